@@ -5,8 +5,11 @@
 
 // Static imports (required for service workers)
 import debugUtils from '../shared/utils/DebugUtils.js';
+import ValidationUtils from '../shared/utils/ValidationUtils.js';
 import TabManager from './managers/TabManager.js';
 import CategoryManager from './managers/CategoryManager.js';
+import LearningManager from './managers/LearningManager.js';
+import PageMetadataManager from './managers/PageMetadataManager.js';
 import StorageManager from './managers/StorageManager.js';
 import MessageService from './services/MessageService.js';
 import EventService from './services/EventService.js';
@@ -96,6 +99,14 @@ class BackgroundController {
         console.warn('StorageManager init failed, using fallback:', error);
       }
       
+      try {
+        console.log('Initializing LearningManager...');
+        await LearningManager.init();
+        this.services.set('learning', LearningManager);
+      } catch (error) {
+        console.warn('LearningManager init failed, using fallback:', error);
+      }
+      
       try {
         console.log('Initializing CategoryManager...');
         await CategoryManager.init();
@@ -112,6 +123,14 @@ class BackgroundController {
         console.warn('TabManager init failed, using fallback:', error);
       }
       
+      try {
+        console.log('Initializing PageMetadataManager...');
+        await PageMetadataManager.init();
+        this.services.set('metadata', PageMetadataManager);
+      } catch (error) {
+        console.warn('PageMetadataManager init failed, using fallback:', error);
+      }
+      
       try {
         console.log('Initializing EventService...');
         EventService.init();
@@ -201,7 +220,12 @@ class BackgroundController {
     // Set settings
     messageService.registerHandler('SET_SETTINGS', async (message) => {
       try {
-        const updatedSettings = await StorageManager.setSettings(message.settings);
+        const validation = ValidationUtils.validateSettings(message.settings);
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+        
+        const updatedSettings = await StorageManager.setSettings(validation.sanitized);
         this.settings = updatedSettings;
         
         // Apply settings that affect background behavior
@@ -239,16 +263,16 @@ class BackgroundController {
     // Set custom rules
     messageService.registerHandler('SET_CUSTOM_RULES', async (message) => {
       try {
-        await StorageManager.setCategoryRules(message.rules);
-        
-        // Refresh category manager with new rules
         const categoryManager = this.services.get('category');
-        if (categoryManager) {
-          await categoryManager.refresh();
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
         }
         
+        // Invalid rules are skipped; the rest are saved and their conflicts reported for the settings panel
+        const { rules, skipped } = await categoryManager.replaceCustomRules(message.rules);
         return { 
-          success: true 
+          success: true,
+          data: { rules, skipped, conflicts: categoryManager.getRuleConflicts() }
         };
       } catch (error) {
         return { 
@@ -266,15 +290,20 @@ class BackgroundController {
           throw new Error('CategoryManager not available');
         }
         
+        // message.type carries the message name, so the rule type travels as ruleType
         const result = await categoryManager.addCustomRule(
           message.category, 
           message.value, 
-          message.type
+          message.ruleType || 'auto',
+          message.options
         );
         
         return { 
           success: true, 
-          data: { added: result } 
+          data: { 
+            added: result,
+            conflicts: result ? categoryManager.getConflictsForRule(message.category, message.value, message.ruleType || 'auto') : []
+          } 
         };
       } catch (error) {
         return { 
@@ -292,10 +321,11 @@ class BackgroundController {
           throw new Error('CategoryManager not available');
         }
         
+        // message.type carries the message name, so the rule type travels as ruleType
         const result = await categoryManager.removeCustomRule(
           message.category, 
           message.value, 
-          message.type
+          message.ruleType || 'auto'
         );
         
         return { 
@@ -310,6 +340,374 @@ class BackgroundController {
       }
     });
 
+    // Update options (e.g. domain match mode) of a custom rule
+    messageService.registerHandler('UPDATE_RULE_OPTIONS', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const result = await categoryManager.updateRuleOptions(
+          message.category, 
+          message.value, 
+          message.ruleType, 
+          message.options
+        );
+        
+        return { 
+          success: true, 
+          data: { updated: result } 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Get per-category weights, keyword thresholds, minimum scores and boosts
+    messageService.registerHandler('GET_SCORING_SETTINGS', async () => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        return { 
+          success: true, 
+          data: categoryManager.getScoringSettings() 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Override scoring values of a category (message.values; null resets a value)
+    messageService.registerHandler('UPDATE_CATEGORY_SCORING', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const scoring = await categoryManager.updateCategoryScoring(message.category, message.values);
+        
+        return { 
+          success: true, 
+          data: { scoring } 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Dry-run a rule change (message.change) or a full rule set (message.rules) against open tabs
+    messageService.registerHandler('PREVIEW_RULE_CHANGES', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        const tabManager = this.services.get('tab');
+        if (!categoryManager || !tabManager) {
+          throw new Error('CategoryManager or TabManager not available');
+        }
+        
+        const tabs = Array.from(tabManager.tabs.values());
+        const preview = message.rules
+          ? categoryManager.simulateRules(message.rules, tabs)
+          : categoryManager.previewRuleChange(message.change, tabs);
+        
+        return { 
+          success: true, 
+          data: preview 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Check a rule expression and return its canonical text
+    messageService.registerHandler('VALIDATE_RULE_EXPRESSION', async (message) => {
+      try {
+        const { valid, errors, sanitized } = ValidationUtils.validateRuleExpression(message.expression);
+        
+        return { 
+          success: true, 
+          data: { valid, errors, expression: sanitized } 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Get category registry
+    messageService.registerHandler('GET_CATEGORIES', async () => {
+      try {
+        const categoryManager = this.services.get('category');
+        const categories = categoryManager
+          ? categoryManager.getCategories()
+          : await StorageManager.getCategoryRegistry();
+        return { 
+          success: true, 
+          data: categories 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message,
+          data: [] 
+        };
+      }
+    });
+
+    // Create category
+    messageService.registerHandler('CREATE_CATEGORY', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const category = await categoryManager.createCategory(message.category);
+        
+        return { 
+          success: true, 
+          data: category 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Rename category or change its icon/color
+    messageService.registerHandler('UPDATE_CATEGORY', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const category = await categoryManager.updateCategory(
+          message.categoryId, 
+          message.changes
+        );
+        
+        return { 
+          success: true, 
+          data: category 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Delete category
+    messageService.registerHandler('DELETE_CATEGORY', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const deleted = await categoryManager.deleteCategory(message.categoryId);
+        
+        // Tabs filed under the deleted category need a new home
+        const tabManager = this.services.get('tab');
+        const releasedTabs = deleted && tabManager
+          ? await tabManager.releaseCategory(message.categoryId)
+          : 0;
+        
+        return { 
+          success: true, 
+          data: { deleted, releasedTabs } 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Reorder categories
+    messageService.registerHandler('REORDER_CATEGORIES', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const order = await categoryManager.reorderCategories(message.categoryIds);
+        
+        return { 
+          success: true, 
+          data: order 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // List rule profiles
+    messageService.registerHandler('GET_PROFILES', async () => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const profiles = categoryManager.getProfiles();
+        
+        return { 
+          success: true, 
+          data: profiles 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Create rule profile (message.profile.copyFrom copies an existing profile)
+    messageService.registerHandler('CREATE_PROFILE', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const profile = await categoryManager.createProfile(message.profile);
+        
+        return { 
+          success: true, 
+          data: profile 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Rename rule profile or change its icon
+    messageService.registerHandler('UPDATE_PROFILE', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const profile = await categoryManager.updateProfile(
+          message.profileId, 
+          message.changes
+        );
+        
+        return { 
+          success: true, 
+          data: profile 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Delete an inactive rule profile
+    messageService.registerHandler('DELETE_PROFILE', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const deleted = await categoryManager.deleteProfile(message.profileId);
+        
+        return { 
+          success: true, 
+          data: { deleted } 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Switch the active rule profile; tabs are re-categorized through the rules changed listeners
+    messageService.registerHandler('SWITCH_PROFILE', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const profile = await categoryManager.switchProfile(message.profileId);
+        
+        return { 
+          success: true, 
+          data: profile 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Restore categories, profiles and scoring from a backup; its rules follow through SET_CUSTOM_RULES
+    messageService.registerHandler('IMPORT_RULE_DATA', async (message) => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        const { skipped } = await categoryManager.importRuleData({
+          registry: message.registry,
+          profiles: message.profiles,
+          scoring: message.scoring
+        });
+        
+        return { 
+          success: true,
+          data: { skipped }
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
     // Get extension stats
     messageService.registerHandler('GET_STATS', async () => {
       try {
@@ -325,6 +723,8 @@ class BackgroundController {
           },
           tabs: tabManager ? tabManager.getMetrics() : {},
           categories: categoryManager ? categoryManager.getCategoryMetrics([]) : {},
+          categorization: categoryManager ? categoryManager.getAssignmentCacheStats() : {},
+          learning: this.services.get('learning')?.getStats() || {},
           storage: storageManager ? await storageManager.getStorageUsage() : {},
           services: this.getServiceStatus()
         };
@@ -341,6 +741,152 @@ class BackgroundController {
       }
     });
 
+    // Forget everything learned from manual corrections
+    messageService.registerHandler('RESET_LEARNING', async () => {
+      try {
+        const learningManager = this.services.get('learning');
+        if (!learningManager) {
+          throw new Error('LearningManager not available');
+        }
+        
+        await learningManager.reset();
+        
+        // Tabs the model filed go back to what the rules say
+        const categoryManager = this.services.get('category');
+        if (categoryManager) {
+          await categoryManager.notifyRulesChanged('learningReset');
+        }
+        
+        return { 
+          success: true, 
+          data: learningManager.getStats() 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Learning model statistics
+    messageService.registerHandler('GET_LEARNING_STATS', async () => {
+      try {
+        const learningManager = this.services.get('learning');
+        return { 
+          success: true, 
+          data: learningManager ? learningManager.getStats() : null 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Hit counts of custom rules, with unused and shadowed rules flagged
+    messageService.registerHandler('GET_RULE_STATS', async () => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        return { 
+          success: true, 
+          data: categoryManager.getRuleStats() 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Custom rules that compete with default or other custom rules
+    messageService.registerHandler('GET_RULE_CONFLICTS', async () => {
+      try {
+        const categoryManager = this.services.get('category');
+        if (!categoryManager) {
+          throw new Error('CategoryManager not available');
+        }
+        
+        return { 
+          success: true, 
+          data: categoryManager.getRuleConflicts() 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Hosts that page metadata is read from
+    messageService.registerHandler('GET_METADATA_HOSTS', async () => {
+      try {
+        const metadataManager = this.services.get('metadata');
+        return { 
+          success: true, 
+          data: metadataManager ? metadataManager.getHosts() : [] 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    // Start reading page metadata on a host (the popup requests the permission first)
+    messageService.registerHandler('ENABLE_PAGE_METADATA', async (message) => {
+      try {
+        const metadataManager = this.services.get('metadata');
+        if (!metadataManager) {
+          throw new Error('PageMetadataManager not available');
+        }
+        
+        const hosts = await metadataManager.enableHost(message.host);
+        
+        return { 
+          success: true, 
+          data: hosts 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
+    messageService.registerHandler('DISABLE_PAGE_METADATA', async (message) => {
+      try {
+        const metadataManager = this.services.get('metadata');
+        if (!metadataManager) {
+          throw new Error('PageMetadataManager not available');
+        }
+        
+        const changes = await metadataManager.disableHost(message.host);
+        if (changes.length > 0) {
+          await messageService.notifyUI(MESSAGE_TYPES.TABS_RECATEGORIZED, { reason: 'pageMetadataDisabled', changes });
+        }
+        
+        return { 
+          success: true, 
+          data: metadataManager.getHosts() 
+        };
+      } catch (error) {
+        return { 
+          success: false, 
+          error: error.message 
+        };
+      }
+    });
+
     console.log('✅ Settings message handlers registered');
   }
 
@@ -376,9 +922,12 @@ class BackgroundController {
         console.log(`Notifications: ${settings.showNotifications ? 'enabled' : 'disabled'}`);
       }
 
-      // Apply categorization mode
-      if (settings.categorization) {
-        console.log(`Categorization mode: ${settings.categorization}`);
+      // Apply categorization mode, review threshold and learning settings;
+      // open tabs are re-filed when any of them changed
+      const categoryManager = this.services.get('category');
+      if (categoryManager && categoryManager.applySettings(settings)) {
+        console.log(`Categorization mode: ${categoryManager.mode}`);
+        await categoryManager.notifyRulesChanged('settingsChanged');
       }
 
       console.log('✅ Settings applied to background services');
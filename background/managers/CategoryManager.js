@@ -1,21 +1,52 @@
 /**
  * Tab categorization manager
  * Handles smart categorization logic with custom rules support
+ * Scoring comes from the shared CategorizationEngine; this manager loads and saves
+ * the registry, rules and profiles and caches assignments
  */
 
 import { 
     CATEGORIES, 
     CATEGORY_RULES, 
+    CATEGORY_SOURCES,
+    DEFAULT_CATEGORY_REGISTRY,
+    DEFAULT_CATEGORY_ICON,
+    DEFAULT_CATEGORY_COLOR,
+    DEFAULT_CATEGORY_WEIGHT,
+    DEFAULT_DOMAIN_MATCH_MODE,
+    DEFAULT_RULE_PROFILE,
+    DEFAULT_SETTINGS,
+    DOMAIN_MATCH_MODES,
     LIMITS,
+    RULE_PROFILE_KEYS,
+    RULE_STATS,
+    RULE_TYPES,
+    RULE_TYPE_KEYS,
+    SCORING_DEFAULTS,
     STORAGE_KEYS 
   } from '../../shared/constants/AppConstants.js';
+  import CategorizationEngine from '../../shared/utils/CategorizationEngine.js';
   import debugUtils from '../../shared/utils/DebugUtils.js';
+  import DomainUtils from '../../shared/utils/DomainUtils.js';
+  import UrlPatternUtils from '../../shared/utils/UrlPatternUtils.js';
+  import ValidationUtils from '../../shared/utils/ValidationUtils.js';
+  import LearningManager from './LearningManager.js';
   import StorageManager from './StorageManager.js';
   
-  class CategoryManager {
+  class CategoryManager extends CategorizationEngine {
     constructor() {
-      this.customRules = {};
-      this.mergedRules = {};
+      super();
+      this.categories = [];
+      this.rulesVersion = 0;
+      this.assignmentCache = new Map(); // Cache key -> calculateAssignment result
+      this.assignmentCacheStats = { hits: 0, misses: 0, invalidations: 0 };
+      this.assignmentCacheExpiresAt = null; // Next schedule boundary, when cached scores may go stale
+      this.profiles = { activeProfileId: DEFAULT_RULE_PROFILE.id, profiles: [{ ...DEFAULT_RULE_PROFILE }] };
+      this.rulesChangedListeners = new Set();
+      this.ruleConflicts = null; // { version, conflicts } of the active rules, built on demand
+      this.ruleStats = { since: Date.now(), categories: {} }; // Category -> rule key -> hit counts of custom rules
+      this.ruleStatsPending = 0; // Page loads counted since the statistics were last saved
+      this.ruleStatsSavedAt = Date.now();
       this.initialized = false;
       
       this.init();
@@ -28,7 +59,11 @@ import {
       try {
         debugUtils.info('Initializing CategoryManager', 'CategoryManager');
         
+        await this.loadProfiles();
+        await this.loadCategoryRegistry();
         await this.loadCustomRules();
+        await this.loadScoring();
+        await this.loadRuleStats();
         this.mergeRules();
         
         this.initialized = true;
@@ -40,320 +75,1609 @@ import {
     }
   
     /**
-     * Load custom categorization rules from storage
+     * Load the rule profile list from storage
+     */
+    async loadProfiles() {
+      try {
+        this.profiles = await StorageManager.getRuleProfiles();
+      } catch (error) {
+        debugUtils.error('Failed to load rule profiles', 'CategoryManager', error);
+        this.profiles = { activeProfileId: DEFAULT_RULE_PROFILE.id, profiles: [{ ...DEFAULT_RULE_PROFILE }] };
+      }
+    }
+  
+    /**
+     * Load the category registry from storage
+     */
+    async loadCategoryRegistry() {
+      try {
+        this.categories = await StorageManager.getCategoryRegistry();
+      } catch (error) {
+        debugUtils.error('Failed to load category registry', 'CategoryManager', error);
+        this.categories = DEFAULT_CATEGORY_REGISTRY.map(category => ({ ...category }));
+      }
+  
+      // "Other" is the fallback bucket and must always exist
+      if (!this.hasCategory(CATEGORIES.OTHER)) {
+        this.categories.push(
+          DEFAULT_CATEGORY_REGISTRY.find(category => category.id === CATEGORIES.OTHER)
+        );
+      }
+  
+      this.normalizeHierarchy();
+  
+      debugUtils.debug('Loaded category registry', 'CategoryManager', this.categories);
+    }
+  
+    /**
+     * Drop parent links that are missing, circular or too deep (registries stored before sub-categories existed)
+     */
+    normalizeHierarchy() {
+      this.categories.forEach(category => {
+        const parentId = category.parentId ?? null;
+        category.parentId = parentId;
+  
+        if (parentId === null) return;
+  
+        const ancestors = this.getAncestorIds(category.id);
+        const valid = this.hasCategory(parentId) &&
+          parentId !== CATEGORIES.OTHER &&
+          category.id !== CATEGORIES.OTHER &&
+          !ancestors.includes(category.id) &&
+          ancestors.length < LIMITS.MAX_CATEGORY_DEPTH;
+  
+        if (!valid) {
+          debugUtils.warn(`Dropped invalid parent of category: ${category.id}`, 'CategoryManager', parentId);
+          category.parentId = null;
+        }
+      });
+    }
+  
+    /**
+     * Load the active profile's custom categorization rules from storage
      */
     async loadCustomRules() {
       try {
         this.customRules = await StorageManager.getCategoryRules();
-        debugUtils.debug('Loaded custom rules', 'CategoryManager', this.customRules);
+        debugUtils.debug(`Loaded custom rules of profile: ${this.getActiveProfileId()}`, 'CategoryManager', this.customRules);
+      } catch (error) {
+        debugUtils.error('Failed to load custom rules', 'CategoryManager', error);
+        this.customRules = {};
+      }
+    }
+  
+    /**
+     * Load the active profile's per-category scoring overrides from storage
+     */
+    async loadScoring() {
+      try {
+        this.scoring = await StorageManager.getCategoryScoring();
+      } catch (error) {
+        debugUtils.error('Failed to load scoring settings', 'CategoryManager', error);
+        this.scoring = {};
+      }
+    }
+  
+    /**
+     * Apply user settings that affect categorization
+     * Returns true when existing tabs should be re-categorized
+     */
+    applySettings(settings = {}) {
+      const previous = JSON.stringify([this.mode, this.reviewThreshold, this.learning]);
+  
+      this.mode = settings.categorization ?? DEFAULT_SETTINGS.categorization;
+      this.reviewThreshold = settings.reviewThreshold ?? DEFAULT_SETTINGS.reviewThreshold;
+      this.learning = {
+        enabled: settings.learningEnabled ?? DEFAULT_SETTINGS.learningEnabled,
+        weight: settings.learningWeight ?? DEFAULT_SETTINGS.learningWeight,
+        overrideLimit: settings.learningOverrideLimit ?? DEFAULT_SETTINGS.learningOverrideLimit
+      };
+      const changed = JSON.stringify([this.mode, this.reviewThreshold, this.learning]) !== previous;
+      if (changed) {
+        this.invalidateAssignmentCache('settingsChanged');
+      }
+  
+      debugUtils.debug('Applied categorization settings', 'CategoryManager', {
+        mode: this.mode,
+        reviewThreshold: this.reviewThreshold,
+        learning: this.learning
+      });
+  
+      return changed;
+    }
+  
+    /**
+     * Register a listener called after the categorization rules change
+     */
+    onRulesChanged(callback) {
+      this.rulesChangedListeners.add(callback);
+  
+      // Return unsubscribe function
+      return () => {
+        this.rulesChangedListeners.delete(callback);
+      };
+    }
+  
+    /**
+     * Notify listeners that the rules changed; listener failures are logged, not thrown
+     */
+    async notifyRulesChanged(reason) {
+      const listeners = Array.from(this.rulesChangedListeners);
+      await Promise.all(listeners.map(async (callback) => {
+        try {
+          await callback(reason);
+        } catch (error) {
+          debugUtils.error('Rules changed listener failed', 'CategoryManager', error);
+        }
+      }));
+    }
+  
+    /**
+     * Merge default and custom rules of the active profile
+     */
+    mergeRules() {
+      super.mergeRules();
+      this.invalidateAssignmentCache('rulesMerged');
+      
+      debugUtils.debug(`Merged categorization rules of profile: ${this.getActiveProfileId()}`, 'CategoryManager', this.mergedRules);
+    }
+  
+    /**
+     * Predict a category with the model learned from manual corrections
+     */
+    predictCategory(tab, categoryIds) {
+      return LearningManager.predict(tab, categoryIds);
+    }
+  
+    /**
+     * Categorize a single tab
+     */
+    async categorizeTab(tab) {
+      return (await this.assignCategory(tab)).category;
+    }
+  
+    /**
+     * Decide a tab's category and where it came from, honoring the categorization mode
+     */
+    async assignCategory(tab) {
+      if (!this.initialized) {
+        await this.init();
+      }
+  
+      return this.assignTab(tab);
+    }
+  
+    /**
+     * Get a tab's assignment under the active rules, reusing the result for an identical tab
+     * Cached results are dropped when the rules, settings or learned model change, or a schedule boundary passes
+     */
+    getAssignment(tab) {
+      if (this.assignmentCacheExpiresAt !== null && Date.now() >= this.assignmentCacheExpiresAt) {
+        this.invalidateAssignmentCache('scheduleBoundary');
+      }
+  
+      const key = this.getAssignmentCacheKey(tab);
+      let assignment = this.assignmentCache.get(key);
+  
+      if (assignment) {
+        this.assignmentCacheStats.hits++;
+        // Re-insert so the least recently used entry is evicted first
+        this.assignmentCache.delete(key);
+      } else {
+        this.assignmentCacheStats.misses++;
+        assignment = this.calculateAssignment(tab);
+        if (this.assignmentCache.size >= LIMITS.MAX_ASSIGNMENT_CACHE_SIZE) {
+          this.assignmentCache.delete(this.assignmentCache.keys().next().value);
+        }
+      }
+  
+      this.assignmentCache.set(key, assignment);
+      return { ...assignment, ruleTags: [...assignment.ruleTags] };
+    }
+  
+    /**
+     * Build the cache key of a tab: rule version, normalized URL, title and every
+     * other tab property that scoring reads
+     */
+    getAssignmentCacheKey(tab) {
+      let url = tab.url;
+      try {
+        url = new URL(tab.url).href;
+      } catch {
+        // Unparseable URLs score nothing; keep them as they are
+      }
+  
+      return JSON.stringify([
+        this.rulesVersion,
+        url,
+        tab.title || '',
+        Boolean(tab.pinned),
+        Boolean(tab.audible),
+        tab.windowId ?? null,
+        tab.metadata || null,
+        this.isFrequentlyAccessed(tab),
+        this.isRecentlyAccessed(tab),
+        this.learning.enabled ? LearningManager.getRevision() : null
+      ]);
+    }
+  
+    /**
+     * Drop every cached assignment and start a new rule version
+     */
+    invalidateAssignmentCache(reason) {
+      this.rulesVersion++;
+      this.assignmentCache.clear();
+      this.assignmentCacheStats.invalidations++;
+      this.assignmentCacheExpiresAt = this.getNextScheduleBoundary();
+  
+      debugUtils.debug(`Categorization cache invalidated: ${reason}`, 'CategoryManager', { version: this.rulesVersion });
+    }
+  
+    /**
+     * Get categorization cache statistics
+     */
+    getAssignmentCacheStats() {
+      const { hits, misses, invalidations } = this.assignmentCacheStats;
+      return {
+        size: this.assignmentCache.size,
+        maxSize: LIMITS.MAX_ASSIGNMENT_CACHE_SIZE,
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : 0,
+        invalidations,
+        rulesVersion: this.rulesVersion
+      };
+    }
+  
+    /**
+     * Load per-rule hit statistics from storage
+     */
+    async loadRuleStats() {
+      try {
+        this.ruleStats = await StorageManager.getRuleStats();
+      } catch (error) {
+        debugUtils.error('Failed to load rule statistics', 'CategoryManager', error);
+        this.ruleStats = { since: Date.now(), categories: {} };
+      }
+    }
+  
+    /**
+     * Count which custom rules matched a loaded page and whether they decided its category
+     * A match is "beaten" when a different category won; TabManager calls this once per page load,
+     * right after assigning the tab, so the matched rules come from the assignment cache
+     */
+    async recordRuleStats(tab, assignment) {
+      try {
+        const { matchedRules } = this.getAssignment(tab);
+        if (matchedRules.length === 0) return;
+  
+        const winner = assignment.needsReview ? assignment.suggestedCategory : assignment.category;
+        const now = Date.now();
+  
+        // Exclusion rules only count matches; they lower a category rather than pick one
+        matchedRules.forEach(({ category, type, value, exclusion }) => {
+          const decided = winner === category && !assignment.needsReview && assignment.source === CATEGORY_SOURCES.RULE;
+          // Rules of a parent category only echo the winning sub-category, so they are not beaten by it
+          const beaten = Boolean(winner) && winner !== CATEGORIES.OTHER && winner !== category &&
+            !this.getAncestorIds(winner).includes(category);
+  
+          const stats = this.getRuleStatsEntry(category, type, value, true);
+          stats.matches++;
+          stats.lastMatchedAt = now;
+          if (decided && !exclusion) stats.decided++;
+          if (beaten && !exclusion) stats.beaten++;
+        });
+  
+        // Counts are saved in batches rather than on every page load
+        this.ruleStatsPending++;
+        if (this.ruleStatsPending >= RULE_STATS.SAVE_BATCH_SIZE ||
+          now - this.ruleStatsSavedAt >= RULE_STATS.SAVE_INTERVAL_MS) {
+          await this.saveRuleStats();
+        }
+      } catch (error) {
+        debugUtils.warn('Failed to record rule statistics', 'CategoryManager', error);
+      }
+    }
+  
+    /**
+     * Save the rule statistics, including counts not yet saved
+     */
+    async saveRuleStats() {
+      this.ruleStatsPending = 0;
+      this.ruleStatsSavedAt = Date.now();
+      await StorageManager.setRuleStats(this.ruleStats);
+    }
+  
+    /**
+     * Get the stored hit counts of a rule, optionally creating an empty entry
+     */
+    getRuleStatsEntry(category, type, value, create = false) {
+      const key = this.getRuleOptionKey(type, value);
+      const categoryStats = this.ruleStats.categories[category];
+      if (categoryStats?.[key] || !create) {
+        return categoryStats?.[key] || null;
+      }
+  
+      this.ruleStats.categories[category] = categoryStats || {};
+      this.ruleStats.categories[category][key] = { matches: 0, decided: 0, beaten: 0, lastMatchedAt: null, addedAt: null };
+      return this.ruleStats.categories[category][key];
+    }
+  
+    /**
+     * Drop the hit counts of a removed rule (or of a whole category when type is omitted)
+     */
+    async forgetRuleStats(category, type = null, value = null) {
+      const categoryStats = this.ruleStats.categories[category];
+      if (!categoryStats) return;
+  
+      if (type) {
+        delete categoryStats[this.getRuleOptionKey(type, value)];
+      } else {
+        delete this.ruleStats.categories[category];
+      }
+      await this.saveRuleStats();
+    }
+  
+    /**
+     * Get hit counts for every custom rule of the active profile, flagging rules that look dead:
+     * unused (no match for RULE_STATS.STALE_DAYS) or shadowed (every match lost to another category)
+     */
+    getRuleStats(now = Date.now()) {
+      const staleBefore = now - RULE_STATS.STALE_DAYS * 24 * 60 * 60 * 1000;
+      const result = {};
+  
+      Object.entries(this.customRules).forEach(([category, rules]) => {
+        Object.entries(RULE_TYPE_KEYS).forEach(([type, key]) => {
+          (rules[key] || []).forEach(value => {
+            const stats = this.getRuleStatsEntry(category, type, value) ||
+              { matches: 0, decided: 0, beaten: 0, lastMatchedAt: null, addedAt: null };
+            // Rules added before statistics existed are measured from when counting started
+            const lastSeen = stats.lastMatchedAt || stats.addedAt || this.ruleStats.since;
+  
+            result[category] = result[category] || {};
+            result[category][this.getRuleOptionKey(type, value)] = {
+              ...stats,
+              unused: lastSeen < staleBefore,
+              shadowed: stats.decided === 0 && stats.beaten >= RULE_STATS.MIN_BEATEN_MATCHES &&
+                !this.isExclusionRule(this.getRuleOptions(rules, type, value))
+            };
+          });
+        });
+      });
+  
+      return { since: this.ruleStats.since, staleDays: RULE_STATS.STALE_DAYS, categories: result };
+    }
+  
+    /**
+     * Explain how a tab was (or would be) categorized
+     */
+    explainCategory(tab) {
+      const scores = tab?.url ? this.scoreCategories(tab) : [];
+      const {
+        category: predictedCategory,
+        source: predictedSource,
+        confidence,
+        runnerUpCategory
+      } = this.resolveAssignment(scores);
+      const best = scores.find(entry => entry.category === predictedCategory);
+      const threshold = best ? this.getScoreThreshold(best) : LIMITS.MIN_SCORE_THRESHOLD;
+  
+      // The stored category wins; it differs from the prediction when locked or not yet re-categorized
+      const locked = Boolean(tab?.categoryLocked && tab.category);
+      const source = tab?.category ? tab.categorySource || CATEGORY_SOURCES.RULE : predictedSource;
+      const unfiled = source === CATEGORY_SOURCES.UNFILED;
+      const keptExisting = Boolean(tab?.category && !unfiled && tab.category !== predictedCategory);
+  
+      let reason;
+      if (locked) {
+        reason = source === CATEGORY_SOURCES.MANUAL
+          ? 'You moved this tab here and the category is locked, so rule changes leave it alone'
+          : 'The category is locked, so rule changes leave it alone';
+      } else if (unfiled && tab.needsReview) {
+        reason = `Confidence ${confidence.toFixed(2)} is below the ${this.reviewThreshold} review threshold, so the tab waits for you to file it`;
+      } else if (unfiled) {
+        reason = 'Manual mode is on, so the tab stays unfiled until you move it';
+      } else if (!tab?.url|| !tab?.title) {
+        reason = 'Tab has no URL or title yet, so it was not scored';
+      } else if (scores.length === 0) {
+        reason = 'URL could not be parsed, so no rules were applied';
+      } else if (source === CATEGORY_SOURCES.INHERITED && predictedCategory === CATEGORIES.OTHER) {
+        reason = 'No category scored above its minimum score, so the tab keeps the category of the tab that opened it';
+      } else if (keptExisting) {
+        reason = 'Category was assigned earlier and will be updated the next time the tab or the rules change';
+      } else if (predictedCategory === CATEGORIES.OTHER) {
+        const excluded = scores.filter(entry => entry.excluded).map(entry => this.getCategory(entry.category)?.name);
+        reason = 'No category scored above its minimum score' +
+          (excluded.length > 0 ? ` (ruled out by exclusion rules: ${excluded.join(', ')})` : '');
+      } else if (predictedSource === CATEGORY_SOURCES.LEARNED) {
+        reason = `Learned corrections outweighed the rules and lifted this category above the ${threshold} threshold`;
+      } else if (best.learned?.points > 0) {
+        reason = `Highest score above the ${threshold} threshold, including what was learned from your corrections`;
+      } else {
+        reason = `Highest score above the ${threshold} threshold`;
+      }
+  
+      return {
+        tabId: tab?.id,
+        title: tab?.title || '',
+        url: tab?.url || '',
+        category: tab?.category || predictedCategory,
+        predictedCategory,
+        keptExisting,
+        source,
+        locked,
+        needsReview: Boolean(tab?.needsReview),
+        suggestedCategory: tab?.suggestedCategory || null,
+        confidence,
+        runnerUpCategory,
+        tags: tab?.tags || [],
+        ruleTags: this.collectRuleTags(scores),
+        mode: this.mode,
+        threshold,
+        reason,
+        scores
+      };
+    }
+  
+    /**
+     * Categorize multiple tabs efficiently
+     */
+    async categorizeTabs(tabs) {
+      if (!this.initialized) {
+        await this.init();
+      }
+  
+      try {
+        const startTime = debugUtils.startTimer('Categorize Tabs');
+        
+        const categorizedTabs = await Promise.all(
+          tabs.map(async tab => ({
+            ...tab,
+            category: await this.categorizeTab(tab)
+          }))
+        );
+  
+        debugUtils.endTimer('Categorize Tabs', startTime);
+        debugUtils.info(`Categorized ${tabs.length} tabs`, 'CategoryManager');
+        
+        return categorizedTabs;
+      } catch (error) {
+        debugUtils.error('Failed to categorize tabs', 'CategoryManager', error);
+        return tabs.map(tab => ({ ...tab, category: CATEGORIES.OTHER }));
+      }
+    }
+  
+    /**
+     * Get category statistics
+     */
+    getCategoryStats(tabs) {
+      const stats = {};
+      
+      tabs.forEach(tab => {
+        const category = tab.category || CATEGORIES.OTHER;
+  
+        // Sub-category tabs also count toward every ancestor
+        [category, ...this.getAncestorIds(category)].forEach(id => {
+          stats[id] = (stats[id] || 0) + 1;
+        });
+      });
+  
+      return stats;
+    }
+  
+    /**
+     * Add custom categorization rule
+     */
+    async addCustomRule(category, value, type = 'auto', options = {}) {
+      try {
+        const result = this.applyRuleAddition(this.customRules, category, value, type, options);
+        if (!result.added) {
+          debugUtils.warn(`Rule already exists: ${category} - ${result.value}`, 'CategoryManager');
+          return false;
+        }
+  
+        // Save to storage and update merged rules
+        await StorageManager.setCategoryRules(this.customRules);
+        this.mergeRules();
+  
+        // A new rule gets the full stale period before it is flagged as unused
+        this.getRuleStatsEntry(category, result.type, result.value, true).addedAt = Date.now();
+        await this.saveRuleStats();
+  
+        const conflicts = this.getConflictsForRule(category, result.value, result.type);
+        if (conflicts.length > 0) {
+          debugUtils.warn(`Rule ${result.value} conflicts with ${conflicts.length} other rules`, 'CategoryManager', conflicts);
+        }
+  
+        debugUtils.info(`Added custom rule: ${category} - ${result.value} (${result.type})`, 'CategoryManager');
+        await this.notifyRulesChanged('ruleAdded');
+        return true;
+      } catch (error) {
+        debugUtils.error('Failed to add custom rule', 'CategoryManager', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Validate and add a rule to a custom rule set in place (nothing is saved)
+     * The rule set may belong to an inactive profile with its own categories
+     */
+    applyRuleAddition(customRules, category, value, type = 'auto', options = {}, allowedCategories = this.getCategoryOrder()) {
+      if (!allowedCategories.includes(category)) {
+        throw new Error(`Invalid category: ${category}`);
+      }
+  
+      if (!value || typeof value !== 'string') {
+        throw new Error('Value must be a non-empty string');
+      }
+  
+      // Determine rule type if not specified
+      if (type === 'auto') {
+        type = ValidationUtils.detectRuleType(value);
+      }
+  
+      const ruleArray = this.getRuleArrayKey(type);
+      const cleanValue = this.normalizeRuleValue(value, type);
+  
+      if (type === RULE_TYPES.PATTERN) {
+        const validation = UrlPatternUtils.validate(cleanValue);
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+      }
+  
+      if (type === RULE_TYPES.EXPRESSION) {
+        const validation = ValidationUtils.validateRuleExpression(cleanValue);
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+      }
+  
+      const ruleOptions = this.sanitizeRuleOptions(type, options);
+  
+      // Initialize category rules if not exists
+      if (!customRules[category]) {
+        customRules[category] = { domains: [], keywords: [] };
+      }
+  
+      if (!customRules[category][ruleArray]) {
+        customRules[category][ruleArray] = [];
+      }
+  
+      // Check if rule already exists
+      if (customRules[category][ruleArray].includes(cleanValue)) {
+        return { added: false, type, value: cleanValue };
+      }
+  
+      // Check limits
+      const totalRules = Object.values(customRules).reduce((total, rules) => 
+        total + this.countRules(rules), 0
+      );
+  
+      if (totalRules >= LIMITS.MAX_CUSTOM_RULES) {
+        throw new Error(`Maximum custom rules limit (${LIMITS.MAX_CUSTOM_RULES}) reached`);
+      }
+  
+      // Add the rule
+      customRules[category][ruleArray].push(cleanValue);
+      this.setRuleOptions(customRules[category], type, cleanValue, ruleOptions);
+  
+      return { added: true, type, value: cleanValue };
+    }
+  
+    /**
+     * Remove custom categorization rule
+     */
+    async removeCustomRule(category, value, type = 'auto') {
+      try {
+        const result = this.applyRuleRemoval(this.customRules, category, value, type);
+        if (!result.removed) {
+          return false;
+        }
+  
+        // Save to storage and update merged rules
+        await StorageManager.setCategoryRules(this.customRules);
+        this.mergeRules();
+        await this.forgetRuleStats(category, result.type, result.value);
+  
+        debugUtils.info(`Removed custom rule: ${category} - ${result.value} (${result.type})`, 'CategoryManager');
+        await this.notifyRulesChanged('ruleRemoved');
+        return true;
+      } catch (error) {
+        debugUtils.error('Failed to remove custom rule', 'CategoryManager', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Remove a rule from a custom rule set in place (nothing is saved)
+     */
+    applyRuleRemoval(customRules, category, value, type = 'auto') {
+      // Determine rule type if not specified
+      if (type === 'auto') {
+        type = ValidationUtils.detectRuleType(value);
+      }
+  
+      const ruleArray = this.getRuleArrayKey(type);
+      const cleanValue = this.normalizeRuleValue(value, type);
+  
+      const rules = customRules[category]?.[ruleArray] || [];
+      const index = rules.indexOf(cleanValue);
+      
+      if (index === -1) {
+        return { removed: false, type, value: cleanValue };
+      }
+  
+      rules.splice(index, 1);
+      this.setRuleOptions(customRules[category], type, cleanValue, null);
+  
+      // Clean up empty categories
+      if (this.countRules(customRules[category]) === 0) {
+        delete customRules[category];
+      }
+  
+      return { removed: true, type, value: cleanValue };
+    }
+  
+    /**
+     * Replace all custom rules of the active profile, e.g. from a backup
+     * Each rule goes through the same checks as addCustomRule; rules that fail are skipped and reported
+     */
+    async replaceCustomRules(rules) {
+      try {
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+          throw new Error('Custom rules must be an object');
+        }
+  
+        const { rules: sanitized, skipped } = this.sanitizeCustomRules(rules, this.getCategoryOrder());
+        if (skipped.length > 0) {
+          debugUtils.warn(`Skipped ${skipped.length} invalid custom rules`, 'CategoryManager', skipped);
+        }
+  
+        await StorageManager.setCategoryRules(sanitized);
+        await this.refresh();
+  
+        return { rules: this.getCustomRules(), skipped };
+      } catch (error) {
+        debugUtils.error('Failed to replace custom rules', 'CategoryManager', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Rebuild a custom rule set rule by rule with the checks of addCustomRule
+     * Returns the rules that passed and the ones that were skipped, with the reason
+     */
+    sanitizeCustomRules(rules, allowedCategories) {
+      const sanitized = {};
+      const skipped = [];
+  
+      Object.entries(rules).forEach(([category, categoryRules]) => {
+        Object.entries(RULE_TYPE_KEYS).forEach(([type, key]) => {
+          const values = Array.isArray(categoryRules?.[key]) ? categoryRules[key] : [];
+  
+          values.forEach(value => {
+            const validation = ValidationUtils.validateCustomRule(category, value, type, allowedCategories);
+            if (!validation.valid) {
+              skipped.push({ category, type, value, error: validation.errors.join(', ') });
+              return;
+            }
+  
+            try {
+              const options = this.getRuleOptions(categoryRules, type, value);
+              this.applyRuleAddition(sanitized, category, value, type, options, allowedCategories);
+            } catch (error) {
+              skipped.push({ category, type, value, error: error.message });
+            }
+          });
+        });
+      });
+  
+      return { rules: sanitized, skipped };
+    }
+  
+    /**
+     * Dry-run a single rule change against tabs without saving it
+     */
+    previewRuleChange(change, tabs) {
+      const proposedRules = structuredClone(this.customRules);
+      let added = null;
+  
+      switch (change?.action) {
+        case 'add':
+          added = this.applyRuleAddition(proposedRules, change.category, change.value, change.ruleType || 'auto', change.options);
+          break;
+        case 'remove':
+          this.applyRuleRemoval(proposedRules, change.category, change.value, change.ruleType || 'auto');
+          break;
+        default:
+          throw new Error(`Invalid rule change: ${change?.action}`);
+      }
+  
+      const preview = this.simulateRules(proposedRules, tabs);
+  
+      // Only the conflicts an added rule brings in; existing ones are listed in the settings panel
+      preview.conflicts = added?.added
+        ? this.filterConflicts(preview.conflicts, change.category, added.type, added.value)
+        : [];
+  
+      return preview;
+    }
+  
+    /**
+     * Dry-run a proposed custom rule set against tabs without saving it
+     * Only tabs whose rule-based category changes are reported
+     */
+    simulateRules(proposedRules, tabs) {
+      if (!proposedRules || typeof proposedRules !== 'object' || Array.isArray(proposedRules)) {
+        throw new Error('Proposed rules must be an object');
+      }
+  
+      const proposedMerged = this.buildMergedRules(proposedRules);
+      const counts = {};
+      const count = (category, key) => {
+        counts[category] = counts[category] || { category, added: 0, removed: 0 };
+        counts[category][key]++;
+      };
+  
+      const changes = [];
+      tabs.forEach(tab => {
+        if (!tab.url || !tab.title) return;
+  
+        const before = this.calculateCategory(tab);
+        const after = this.calculateCategory(tab, proposedMerged);
+        const from = tab.category || before;
+        if (before === after || from === after) return;
+  
+        changes.push({ tabId: tab.id, title: tab.title, url: tab.url, from, to: after });
+        count(after, 'added');
+        count(from, 'removed');
+      });
+  
+      return {
+        changes,
+        summary: this.getCategoryOrder()
+          .filter(category => counts[category])
+          .map(category => counts[category]),
+        tabCount: tabs.length,
+        conflicts: this.detectRuleConflicts(proposedMerged)
+      };
+    }
+  
+    /**
+     * Find custom rules that compete with a rule of another category for the same pages:
+     * duplicate domains or keywords, overlapping URL patterns and keywords that occur in
+     * another category's domain. Exclusion rules overlap on purpose and are left out
+     */
+    detectRuleConflicts(mergedRules = this.mergedRules) {
+      const rulesByType = { [RULE_TYPES.DOMAIN]: [], [RULE_TYPES.KEYWORD]: [], [RULE_TYPES.PATTERN]: [] };
+      Object.entries(mergedRules).forEach(([category, rules]) => {
+        Object.keys(rulesByType).forEach(type => {
+          const key = RULE_TYPE_KEYS[type];
+          new Set(rules[key] || []).forEach(value => {
+            if (this.isExclusionRule(this.getRuleOptions(rules, type, value))) return;
+            rulesByType[type].push({ category, type, value, custom: Boolean(rules.custom?.[key]?.includes(value)) });
+          });
+        });
+      });
+  
+      const conflicts = [];
+      const reported = new Set();
+      const addConflict = (kind, a, b) => {
+        if (a.category === b.category || (!a.custom && !b.custom)) return;
+  
+        // Each pair is reported once, led by a custom rule
+        const [rule, other] = a.custom ? [a, b] : [b, a];
+        const id = [kind, ...[rule, other].map(entry => `${entry.category}:${entry.type}:${entry.value}`).sort()].join('|');
+        if (reported.has(id)) return;
+        reported.add(id);
+  
+        conflicts.push({ kind, rule, other, suggestion: this.suggestConflictResolution(kind, rule, other) });
+      };
+  
+      // The same domain or keyword in two categories
+      const normalizers = {
+        [RULE_TYPES.DOMAIN]: value => DomainUtils.normalizeHost(value),
+        [RULE_TYPES.KEYWORD]: value => value.toLowerCase()
+      };
+      Object.entries(normalizers).forEach(([type, normalize]) => {
+        const groups = new Map();
+        rulesByType[type].forEach(rule => {
+          const key = normalize(rule.value);
+          groups.set(key, [...(groups.get(key) || []), rule]);
+        });
+        groups.forEach(group => group.forEach((rule, i) => {
+          group.slice(i + 1).forEach(other => addConflict('duplicate', rule, other));
+        }));
+      });
+  
+      // URL patterns that can match the same pages
+      const patterns = rulesByType[RULE_TYPES.PATTERN];
+      patterns.forEach((rule, i) => {
+        patterns.slice(i + 1)
+          .filter(other => other.category !== rule.category && (rule.custom || other.custom))
+          .filter(other => UrlPatternUtils.overlaps(rule.value, other.value))
+          .forEach(other => addConflict('overlappingPattern', rule, other));
+      });
+  
+      // Keywords found in another category's domain match every page of that site
+      const index = this.getRuleIndex(mergedRules);
+      const keywordRules = new Map(rulesByType[RULE_TYPES.KEYWORD].map(rule => [`${rule.category}:${rule.value}`, rule]));
+      rulesByType[RULE_TYPES.DOMAIN].forEach(domainRule => {
+        index.match('', DomainUtils.normalizeHost(domainRule.value), '').forEach(({ keywords }, category) => {
+          keywords.forEach((_, keyword) => {
+            const keywordRule = keywordRules.get(`${category}:${keyword}`);
+            if (keywordRule) {
+              addConflict('keywordInDomain', keywordRule, domainRule);
+            }
+          });
+        });
+      });
+  
+      return conflicts;
+    }
+  
+    /**
+     * Describe how to settle a rule conflict
+     */
+    suggestConflictResolution(kind, rule, other) {
+      const name = (entry) => this.getCategory(entry.category)?.name || entry.category;
+  
+      switch (kind) {
+        case 'duplicate':
+          return other.custom
+            ? `Keep "${rule.value}" in one category: remove it from ${name(rule)} or ${name(other)}`
+            : `"${other.value}" is a built-in ${name(other)} rule; add it to ${name(other)} as an exclusion rule so ${name(rule)} always wins`;
+  
+        case 'overlappingPattern':
+          return `Both patterns can match the same pages; make one more specific (e.g. a longer path) or remove it`;
+  
+        case 'keywordInDomain': {
+          const [keyword, domain] = rule.type === RULE_TYPES.KEYWORD ? [rule, other] : [other, rule];
+          return `Every page on ${domain.value} contains "${keyword.value}", so ${name(keyword)} competes with ${name(domain)} there; ` +
+            `use a longer keyword or add "${domain.value}" to ${name(keyword)} as an exclusion rule`;
+        }
+  
+        default:
+          return '';
+      }
+    }
+  
+    /**
+     * Get the conflicts of the active rules, recomputed whenever the rules change
+     */
+    getRuleConflicts() {
+      if (this.ruleConflicts?.version !== this.rulesVersion) {
+        this.ruleConflicts = { version: this.rulesVersion, conflicts: this.detectRuleConflicts() };
+      }
+      return this.ruleConflicts.conflicts;
+    }
+  
+    /**
+     * Get the conflicts of the active rules that involve one rule
+     */
+    getConflictsForRule(category, value, type = 'auto') {
+      const ruleType = type === 'auto' ? ValidationUtils.detectRuleType(value) : type;
+      return this.filterConflicts(this.getRuleConflicts(), category, ruleType, this.normalizeRuleValue(value, ruleType));
+    }
+  
+    /**
+     * Keep the conflicts that involve the given rule
+     */
+    filterConflicts(conflicts, category, type, value) {
+      const isRule = (entry) => entry.category === category && entry.type === type && entry.value === value;
+      return conflicts.filter(conflict => isRule(conflict.rule) || isRule(conflict.other));
+    }
+  
+    /**
+     * Map a rule type to the array that stores it
+     */
+    getRuleArrayKey(type) {
+      const key = RULE_TYPE_KEYS[type];
+      if (!key) {
+        throw new Error(`Invalid rule type: ${type}`);
+      }
+      return key;
+    }
+  
+    /**
+     * Normalize a rule value for storage and comparison
+     */
+    normalizeRuleValue(value, type) {
+      const trimmed = value.trim();
+  
+      // Regular expressions keep their case so explicit flags still mean something
+      if (type === RULE_TYPES.PATTERN && UrlPatternUtils.isRegexPattern(trimmed)) {
+        return trimmed;
+      }
+  
+      // Expressions are stored in canonical form so spacing and keyword case do not create duplicates
+      if (type === RULE_TYPES.EXPRESSION) {
+        return ValidationUtils.validateRuleExpression(trimmed).sanitized || trimmed;
+      }
+  
+      return trimmed.toLowerCase();
+    }
+  
+    /**
+     * Store (or clear, when empty) the options for a single rule
+     */
+    setRuleOptions(rules, type, value, options) {
+      const key = this.getRuleOptionKey(type, value);
+  
+      if (options && Object.keys(options).length > 0) {
+        rules.options = { ...(rules.options || {}), [key]: options };
+      } else if (rules.options) {
+        delete rules.options[key];
+        if (Object.keys(rules.options).length === 0) {
+          delete rules.options;
+        }
+      }
+    }
+  
+    /**
+     * Keep only the options that apply to the rule type; defaults are not stored
+     */
+    sanitizeRuleOptions(type, options = {}) {
+      const sanitized = {};
+  
+      if (options.tags !== undefined) {
+        if (!Array.isArray(options.tags)) {
+          throw new Error('Rule tags must be an array');
+        }
+        const tags = ValidationUtils.sanitizeTags(options.tags);
+        if (tags.length > 0) {
+          sanitized.tags = tags;
+        }
+      }
+  
+      if (type === RULE_TYPES.DOMAIN && options.mode !== undefined) {
+        if (!Object.values(DOMAIN_MATCH_MODES).includes(options.mode)) {
+          throw new Error(`Invalid domain match mode: ${options.mode}`);
+        }
+        if (options.mode !== DEFAULT_DOMAIN_MATCH_MODE) {
+          sanitized.mode = options.mode;
+        }
+      }
+  
+      // An exclusion rule rules its category out; a negative weight only lowers the score.
+      // null clears either, turning the rule back into one that adds points
+      if (options.exclude !== undefined && options.exclude !== null) {
+        if (typeof options.exclude !== 'boolean') {
+          throw new Error('Rule exclude flag must be true or false');
+        }
+        if (options.exclude) {
+          sanitized.exclude = true;
+        }
+      }
+  
+      if (options.weight !== undefined && options.weight !== null && !sanitized.exclude) {
+        const validation = ValidationUtils.validateNumberRange(
+          options.weight, LIMITS.MIN_RULE_WEIGHT, LIMITS.MAX_RULE_WEIGHT, 'Rule weight'
+        );
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+        sanitized.weight = options.weight;
+      }
+  
+      // null removes the schedule so the rule applies at all times again
+      if (options.schedule !== undefined && options.schedule !== null) {
+        const validation = ValidationUtils.validateSchedule(options.schedule);
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+        sanitized.schedule = validation.sanitized;
+      }
+  
+      return sanitized;
+    }
+  
+    /**
+     * Change the options of an existing custom rule; options that are not given keep their value
+     */
+    async updateRuleOptions(category, value, type, options = {}) {
+      try {
+        const rules = this.customRules[category];
+        const ruleArray = this.getRuleArrayKey(type);
+        const cleanValue = this.normalizeRuleValue(value, type);
+  
+        if (!rules?.[ruleArray]?.includes(cleanValue)) {
+          throw new Error(`Rule not found: ${category} - ${cleanValue}`);
+        }
+  
+        const merged = { ...this.getRuleOptions(rules, type, cleanValue), ...options };
+        this.setRuleOptions(rules, type, cleanValue, this.sanitizeRuleOptions(type, merged));
+  
+        await StorageManager.setCategoryRules(this.customRules);
+        this.mergeRules();
+  
+        debugUtils.info(`Updated rule options: ${category} - ${cleanValue}`, 'CategoryManager', options);
+        await this.notifyRulesChanged('ruleOptionsUpdated');
+        return true;
+      } catch (error) {
+        debugUtils.error('Failed to update rule options', 'CategoryManager', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Get every category's effective scoring values and which of them are overridden
+     */
+    getScoringSettings() {
+      return {
+        defaults: { ...SCORING_DEFAULTS },
+        categories: Object.fromEntries(this.categories.map(({ id }) => {
+          const rules = this.mergedRules[id];
+          return [id, {
+            weight: rules?.weight ?? CATEGORY_RULES[id]?.weight ?? DEFAULT_CATEGORY_WEIGHT,
+            defaultWeight: CATEGORY_RULES[id]?.weight ?? DEFAULT_CATEGORY_WEIGHT,
+            ...(rules?.scoring || SCORING_DEFAULTS),
+            overrides: { ...(this.scoring[id] || {}) }
+          }];
+        }))
+      };
+    }
+  
+    /**
+     * Override scoring values of a category; null resets a value to its default
+     */
+    async updateCategoryScoring(categoryId, values = {}) {
+      try {
+        if (!this.hasCategory(categoryId)) {
+          throw new Error(`Invalid category: ${categoryId}`);
+        }
+  
+        const validation = ValidationUtils.validateScoringSettings(values);
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+  
+        const overrides = { ...(this.scoring[categoryId] || {}), ...validation.sanitized };
+        Object.keys(overrides)
+          .filter(field => overrides[field] === null)
+          .forEach(field => delete overrides[field]);
+  
+        if (Object.keys(overrides).length > 0) {
+          this.scoring[categoryId] = overrides;
+        } else {
+          delete this.scoring[categoryId];
+        }
+  
+        await StorageManager.setCategoryScoring(this.scoring);
+        this.mergeRules();
+  
+        debugUtils.info(`Updated scoring of category: ${categoryId}`, 'CategoryManager', overrides);
+        await this.notifyRulesChanged('scoringUpdated');
+        return this.getScoringSettings().categories[categoryId];
+      } catch (error) {
+        debugUtils.error('Failed to update category scoring', 'CategoryManager', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Count the rules in a category rule set across all rule types
+     */
+    countRules(rules = {}) {
+      return Object.values(RULE_TYPE_KEYS).reduce((total, key) => 
+        total + (rules[key]?.length || 0), 0
+      );
+    }
+  
+    /**
+     * Check whether a custom rule already exists in a category
+     */
+    hasCustomRule(category, value, type) {
+      const cleanValue = this.normalizeRuleValue(value, type);
+      return Boolean(this.customRules[category]?.[this.getRuleArrayKey(type)]?.includes(cleanValue));
+    }
+  
+    /**
+     * Get all custom rules
+     */
+    getCustomRules() {
+      return { ...this.customRules };
+    }
+  
+    /**
+     * Clear all custom rules
+     */
+    async clearCustomRules() {
+      try {
+        this.customRules = {};
+        await StorageManager.setCategoryRules({});
+        this.mergeRules();
+        
+        debugUtils.info('Cleared all custom rules', 'CategoryManager');
+        await this.notifyRulesChanged('rulesCleared');
       } catch (error) {
-        debugUtils.error('Failed to load custom rules', 'CategoryManager', error);
-        this.customRules = {};
+        debugUtils.error('Failed to clear custom rules', 'CategoryManager', error);
+        throw error;
       }
     }
   
     /**
-     * Merge default and custom rules
+     * Get the id of the active rule profile
      */
-    mergeRules() {
-      this.mergedRules = { ...CATEGORY_RULES };
-      
-      // Merge custom rules with default rules
-      Object.entries(this.customRules).forEach(([category, custom]) => {
-        if (!this.mergedRules[category]) {
-          this.mergedRules[category] = { 
-            domains: [], 
-            keywords: [], 
-            weight: 0.6 
+    getActiveProfileId() {
+      return this.profiles.activeProfileId;
+    }
+  
+    /**
+     * Get rule profiles without their stored rule data
+     */
+    getProfiles() {
+      return this.profiles.profiles.map(({ id, name, icon, createdAt }) => ({
+        id,
+        name,
+        icon,
+        createdAt: createdAt ?? null,
+        active: id === this.profiles.activeProfileId
+      }));
+    }
+  
+    /**
+     * Create a rule profile, either empty (built-in categories only) or copied from another profile
+     */
+    async createProfile({ name, icon = DEFAULT_RULE_PROFILE.icon, copyFrom = null } = {}) {
+      try {
+        const validation = ValidationUtils.validateProfileDefinition({ name, icon });
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+  
+        if (this.profiles.profiles.length >= LIMITS.MAX_PROFILES) {
+          throw new Error(`Maximum profiles limit (${LIMITS.MAX_PROFILES}) reached`);
+        }
+  
+        const { sanitized } = validation;
+        if (this.isProfileNameTaken(sanitized.name)) {
+          throw new Error(`Profile already exists: ${sanitized.name}`);
+        }
+  
+        let data;
+        if (copyFrom === null) {
+          data = {
+            [STORAGE_KEYS.CATEGORY_RULES]: {},
+            [STORAGE_KEYS.CATEGORY_REGISTRY]: DEFAULT_CATEGORY_REGISTRY.map(category => ({ ...category })),
+            [STORAGE_KEYS.CATEGORY_SCORING]: {}
           };
+        } else if (copyFrom === this.getActiveProfileId()) {
+          data = structuredClone(await StorageManager.getMultiple(RULE_PROFILE_KEYS));
+        } else {
+          const source = this.profiles.profiles.find(profile => profile.id === copyFrom);
+          if (!source) {
+            throw new Error(`Profile not found: ${copyFrom}`);
+          }
+          data = structuredClone(source.data || {});
         }
-        
-        this.mergedRules[category] = {
-          ...this.mergedRules[category],
-          domains: [
-            ...(this.mergedRules[category].domains || []),
-            ...(custom.domains || [])
-          ],
-          keywords: [
-            ...(this.mergedRules[category].keywords || []),
-            ...(custom.keywords || [])
-          ]
+  
+        const profile = {
+          id: this.generateProfileId(sanitized.name),
+          name: sanitized.name,
+          icon: sanitized.icon,
+          createdAt: Date.now(),
+          data
         };
-      });
-      
-      debugUtils.debug('Merged categorization rules', 'CategoryManager', this.mergedRules);
+  
+        this.profiles.profiles.push(profile);
+        await StorageManager.setRuleProfiles(this.profiles);
+  
+        debugUtils.info(`Created rule profile: ${profile.id}`, 'CategoryManager');
+        return this.getProfiles().find(entry => entry.id === profile.id);
+      } catch (error) {
+        debugUtils.error('Failed to create rule profile', 'CategoryManager', error);
+        throw error;
+      }
     }
   
     /**
-     * Categorize a single tab
+     * Rename a rule profile or change its icon
      */
-    async categorizeTab(tab) {
-      if (!this.initialized) {
-        await this.init();
+    async updateProfile(profileId, changes = {}) {
+      try {
+        const profile = this.profiles.profiles.find(entry => entry.id === profileId);
+        if (!profile) {
+          throw new Error(`Profile not found: ${profileId}`);
+        }
+  
+        const validation = ValidationUtils.validateProfileDefinition({
+          name: changes.name ?? profile.name,
+          icon: changes.icon ?? profile.icon
+        });
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+  
+        const { sanitized } = validation;
+        if (this.isProfileNameTaken(sanitized.name, profileId)) {
+          throw new Error(`Profile already exists: ${sanitized.name}`);
+        }
+  
+        Object.assign(profile, sanitized);
+        await StorageManager.setRuleProfiles(this.profiles);
+  
+        debugUtils.info(`Updated rule profile: ${profileId}`, 'CategoryManager');
+        return this.getProfiles().find(entry => entry.id === profileId);
+      } catch (error) {
+        debugUtils.error('Failed to update rule profile', 'CategoryManager', error);
+        throw error;
       }
+    }
   
+    /**
+     * Delete an inactive rule profile together with its rules
+     */
+    async deleteProfile(profileId) {
       try {
-        // Return existing category if manually set
-        if (tab.category && tab.category !== CATEGORIES.OTHER) {
-          return tab.category;
+        if (profileId === this.getActiveProfileId()) {
+          throw new Error('The active profile cannot be deleted; switch to another profile first');
         }
   
-        // Skip categorization for invalid tabs
-        if (!tab.url || !tab.title) {
-          return CATEGORIES.OTHER;
+        const index = this.profiles.profiles.findIndex(entry => entry.id === profileId);
+        if (index === -1) {
+          return false;
         }
   
-        const category = this.calculateCategory(tab);
-        debugUtils.debug(`Categorized tab: ${tab.title} -> ${category}`, 'CategoryManager');
-        
-        return category;
+        this.profiles.profiles.splice(index, 1);
+        await StorageManager.setRuleProfiles(this.profiles);
+  
+        debugUtils.info(`Deleted rule profile: ${profileId}`, 'CategoryManager');
+        return true;
       } catch (error) {
-        debugUtils.error('Failed to categorize tab', 'CategoryManager', error);
-        return CATEGORIES.OTHER;
+        debugUtils.error('Failed to delete rule profile', 'CategoryManager', error);
+        throw error;
       }
     }
   
     /**
-     * Calculate category based on URL and title analysis
+     * Make another profile active: its rules and categories replace the current ones
+     * and every unlocked tab is re-categorized
      */
-    calculateCategory(tab) {
-      const url = tab.url.toLowerCase();
-      const title = tab.title.toLowerCase();
-      
-      let hostname;
+    async switchProfile(profileId) {
       try {
-        hostname = new URL(tab.url).hostname.toLowerCase();
-      } catch {
-        return CATEGORIES.OTHER;
-      }
+        const activeProfileId = this.getActiveProfileId();
+        if (profileId === activeProfileId) {
+          return this.getProfiles().find(entry => entry.id === profileId);
+        }
   
-      let maxScore = 0;
-      let bestCategory = CATEGORIES.OTHER;
+        const target = this.profiles.profiles.find(entry => entry.id === profileId);
+        if (!target) {
+          throw new Error(`Profile not found: ${profileId}`);
+        }
   
-      // Analyze each category
-      Object.entries(this.mergedRules).forEach(([category, rules]) => {
-        const score = this.calculateCategoryScore(
-          hostname, 
-          url, 
-          title, 
-          rules, 
-          tab
+        // The outgoing profile keeps a copy of the live rule data; the incoming one moves into the live keys
+        const snapshot = structuredClone(await StorageManager.getMultiple(RULE_PROFILE_KEYS));
+        const profileData = Object.fromEntries(
+          RULE_PROFILE_KEYS.map(key => [key, target.data?.[key] ?? null])
         );
+        const profiles = {
+          activeProfileId: profileId,
+          profiles: this.profiles.profiles.map(({ data, ...profile }) => {
+            if (profile.id === activeProfileId) {
+              return { ...profile, data: snapshot };
+            }
+            return profile.id === profileId ? profile : { ...profile, data };
+          })
+        };
   
-        if (score > maxScore) {
-          maxScore = score;
-          bestCategory = category;
-        }
-      });
+        await StorageManager.switchRuleProfile(profiles, profileData);
+        this.profiles = profiles;
+  
+        await this.loadCategoryRegistry();
+        await this.loadCustomRules();
+        await this.loadScoring();
+        this.mergeRules();
   
-      // Only return category if score exceeds threshold
-      return maxScore > LIMITS.MIN_SCORE_THRESHOLD ? bestCategory : CATEGORIES.OTHER;
+        debugUtils.info(`Switched rule profile: ${activeProfileId} -> ${profileId}`, 'CategoryManager');
+        await this.notifyRulesChanged('profileSwitched');
+        return this.getProfiles().find(entry => entry.id === profileId);
+      } catch (error) {
+        debugUtils.error('Failed to switch rule profile', 'CategoryManager', error);
+        throw error;
+      }
     }
   
     /**
-     * Calculate score for a specific category
+     * Check if another profile already uses this name
      */
-    calculateCategoryScore(hostname, url, title, rules, tab) {
-      let score = 0;
-  
-      // Domain matching (strong indicator)
-      const domainMatch = rules.domains?.some(domain => 
-        hostname.includes(domain.toLowerCase())
+    isProfileNameTaken(name, exceptId = null) {
+      const lowerName = name.toLowerCase();
+      return this.profiles.profiles.some(profile =>
+        profile.id !== exceptId && profile.name.toLowerCase() === lowerName
       );
-      if (domainMatch) {
-        score += rules.weight * 2;
-      }
+    }
   
-      // Keyword matching in URL and title
-      const keywordMatches = rules.keywords?.filter(keyword => {
-        const lowerKeyword = keyword.toLowerCase();
-        return url.includes(lowerKeyword) || title.includes(lowerKeyword);
-      }).length || 0;
-      
-      if (keywordMatches > 0) {
-        score += (keywordMatches / LIMITS.KEYWORD_THRESHOLD) * rules.weight;
-      }
+    /**
+     * Derive a unique profile id from a profile name
+     */
+    generateProfileId(name) {
+      const base = name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'profile';
   
-      // Boost for frequently accessed tabs
-      if (tab.accessCount && tab.accessCount > 3) {
-        score += 0.2;
+      let id = base;
+      let suffix = 2;
+      while (this.profiles.profiles.some(profile => profile.id === id)) {
+        id = `${base}-${suffix++}`;
       }
   
-      // Boost for recently accessed tabs
-      if (tab.lastAccessed && Date.now() - tab.lastAccessed < 3600000) { // 1 hour
-        score += 0.1;
-      }
+      return id;
+    }
   
-      return score;
+    /**
+     * Get the category registry in display order
+     */
+    getCategories() {
+      return this.categories.map(category => ({ ...category }));
     }
   
     /**
-     * Categorize multiple tabs efficiently
+     * Get category ids in display order
      */
-    async categorizeTabs(tabs) {
-      if (!this.initialized) {
-        await this.init();
-      }
+    getCategoryOrder() {
+      return this.categories.map(category => category.id);
+    }
   
-      try {
-        const startTime = debugUtils.startTimer('Categorize Tabs');
-        
-        const categorizedTabs = await Promise.all(
-          tabs.map(async tab => ({
-            ...tab,
-            category: await this.categorizeTab(tab)
-          }))
-        );
+    /**
+     * Get a single category definition
+     */
+    getCategory(categoryId) {
+      const category = this.categories.find(entry => entry.id === categoryId);
+      return category ? { ...category } : null;
+    }
   
-        debugUtils.endTimer('Categorize Tabs', startTime);
-        debugUtils.info(`Categorized ${tabs.length} tabs`, 'CategoryManager');
-        
-        return categorizedTabs;
-      } catch (error) {
-        debugUtils.error('Failed to categorize tabs', 'CategoryManager', error);
-        return tabs.map(tab => ({ ...tab, category: CATEGORIES.OTHER }));
-      }
+    /**
+     * Get the direct sub-categories of a category (null for top-level categories) in display order
+     */
+    getChildIds(parentId) {
+      return this.categories
+        .filter(category => (category.parentId ?? null) === parentId)
+        .map(category => category.id);
     }
   
     /**
-     * Get category statistics
+     * Get every category below a category
      */
-    getCategoryStats(tabs) {
-      const stats = {};
-      
-      tabs.forEach(tab => {
-        const category = tab.category || CATEGORIES.OTHER;
-        stats[category] = (stats[category] || 0) + 1;
-      });
+    getDescendantIds(categoryId) {
+      return this.getChildIds(categoryId)
+        .flatMap(childId => [childId, ...this.getDescendantIds(childId)]);
+    }
   
-      return stats;
+    /**
+     * Number of levels from a category down to its deepest descendant (1 for a leaf)
+     */
+    getSubtreeHeight(categoryId) {
+      const childHeights = this.getChildIds(categoryId).map(childId => this.getSubtreeHeight(childId));
+      return 1 + Math.max(0, ...childHeights);
     }
   
     /**
-     * Add custom categorization rule
+     * Check that a category (with its sub-categories) may be placed under a parent
      */
-    async addCustomRule(category, value, type = 'auto') {
-      try {
-        if (!Object.values(CATEGORIES).includes(category)) {
-          throw new Error(`Invalid category: ${category}`);
-        }
+    validateParent(parentId, categoryId = null) {
+      if (parentId === null) return;
   
-        if (!value || typeof value !== 'string') {
-          throw new Error('Value must be a non-empty string');
-        }
+      if (!this.hasCategory(parentId)) {
+        throw new Error(`Invalid parent category: ${parentId}`);
+      }
+      if (parentId === CATEGORIES.OTHER || categoryId === CATEGORIES.OTHER) {
+        throw new Error('The "Other" category cannot have sub-categories or a parent');
+      }
+      if (categoryId && (parentId === categoryId || this.getDescendantIds(categoryId).includes(parentId))) {
+        throw new Error('A category cannot be moved under itself');
+      }
   
-        // Determine rule type if not specified
-        if (type === 'auto') {
-          type = value.includes('.') ? 'domain' : 'keyword';
-        }
+      const depth = this.getAncestorIds(parentId).length + 1 +
+        (categoryId ? this.getSubtreeHeight(categoryId) : 1);
+      if (depth > LIMITS.MAX_CATEGORY_DEPTH) {
+        throw new Error(`Categories can be nested at most ${LIMITS.MAX_CATEGORY_DEPTH} levels deep`);
+      }
+    }
   
-        // Initialize category rules if not exists
-        if (!this.customRules[category]) {
-          this.customRules[category] = { domains: [], keywords: [] };
+    /**
+     * Create a user-defined category
+     */
+    async createCategory({ name, icon = DEFAULT_CATEGORY_ICON, color = DEFAULT_CATEGORY_COLOR, parentId = null } = {}) {
+      try {
+        const validation = ValidationUtils.validateCategoryDefinition({ name, icon, color });
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
         }
   
-        const ruleArray = type === 'domain' ? 'domains' : 'keywords';
-        const cleanValue = value.toLowerCase().trim();
-  
-        // Check if rule already exists
-        if (this.customRules[category][ruleArray].includes(cleanValue)) {
-          debugUtils.warn(`Rule already exists: ${category} - ${cleanValue}`, 'CategoryManager');
-          return false;
+        if (this.categories.length >= LIMITS.MAX_CATEGORIES) {
+          throw new Error(`Maximum categories limit (${LIMITS.MAX_CATEGORIES}) reached`);
         }
   
-        // Check limits
-        const totalRules = Object.values(this.customRules).reduce((total, rules) => 
-          total + (rules.domains?.length || 0) + (rules.keywords?.length || 0), 0
-        );
+        this.validateParent(parentId);
   
-        if (totalRules >= LIMITS.MAX_CUSTOM_RULES) {
-          throw new Error(`Maximum custom rules limit (${LIMITS.MAX_CUSTOM_RULES}) reached`);
+        const { sanitized } = validation;
+        if (this.isCategoryNameTaken(sanitized.name, null, parentId)) {
+          throw new Error(`Category already exists: ${sanitized.name}`);
         }
   
-        // Add the rule
-        this.customRules[category][ruleArray].push(cleanValue);
+        const category = {
+          id: this.generateCategoryId(parentId ? `${parentId} ${sanitized.name}` : sanitized.name),
+          name: sanitized.name,
+          icon: sanitized.icon,
+          color: sanitized.color,
+          parentId,
+          builtIn: false
+        };
   
-        // Save to storage and update merged rules
-        await StorageManager.setCategoryRules(this.customRules);
+        // Sub-categories follow their parent's last descendant; other categories keep "Other" last
+        const anchorIds = parentId ? [parentId, ...this.getDescendantIds(parentId)] : null;
+        const insertIndex = anchorIds
+          ? Math.max(...anchorIds.map(id => this.categories.findIndex(entry => entry.id === id))) + 1
+          : this.categories.findIndex(entry => entry.id === CATEGORIES.OTHER);
+        this.categories.splice(insertIndex === -1 ? this.categories.length : insertIndex, 0, category);
+  
+        await StorageManager.setCategoryRegistry(this.categories);
         this.mergeRules();
   
-        debugUtils.info(`Added custom rule: ${category} - ${cleanValue} (${type})`, 'CategoryManager');
-        return true;
+        debugUtils.info(`Created category: ${category.id}`, 'CategoryManager');
+        return { ...category };
       } catch (error) {
-        debugUtils.error('Failed to add custom rule', 'CategoryManager', error);
+        debugUtils.error('Failed to create category', 'CategoryManager', error);
         throw error;
       }
     }
   
     /**
-     * Remove custom categorization rule
+     * Rename a category, change its icon/color or move it under another parent (the id never changes)
      */
-    async removeCustomRule(category, value, type = 'auto') {
+    async updateCategory(categoryId, changes = {}) {
       try {
-        if (!this.customRules[category]) {
-          return false;
+        const category = this.categories.find(entry => entry.id === categoryId);
+        if (!category) {
+          throw new Error(`Invalid category: ${categoryId}`);
+        }
+  
+        const validation = ValidationUtils.validateCategoryDefinition({
+          name: changes.name ?? category.name,
+          icon: changes.icon ?? category.icon,
+          color: changes.color ?? category.color
+        });
+        if (!validation.valid) {
+          throw new Error(validation.errors.join(', '));
+        }
+  
+        const parentId = changes.parentId !== undefined ? changes.parentId : category.parentId ?? null;
+        const parentChanged = parentId !== (category.parentId ?? null);
+        if (parentChanged) {
+          this.validateParent(parentId, categoryId);
         }
   
-        // Determine rule type if not specified
-        if (type === 'auto') {
-          type = value.includes('.') ? 'domain' : 'keyword';
+        const { sanitized } = validation;
+        if (this.isCategoryNameTaken(sanitized.name, categoryId, parentId)) {
+          throw new Error(`Category already exists: ${sanitized.name}`);
         }
   
-        const ruleArray = type === 'domain' ? 'domains' : 'keywords';
-        const cleanValue = value.toLowerCase().trim();
+        Object.assign(category, sanitized, { parentId });
+        await StorageManager.setCategoryRegistry(this.categories);
   
-        // Remove the rule
-        const rules = this.customRules[category][ruleArray];
-        const index = rules.indexOf(cleanValue);
-        
+        // Moving a category changes which ancestors it inherits points from
+        if (parentChanged) {
+          this.invalidateAssignmentCache('categoryMoved');
+          await this.notifyRulesChanged('categoryMoved');
+        }
+  
+        debugUtils.info(`Updated category: ${categoryId}`, 'CategoryManager');
+        return { ...category };
+      } catch (error) {
+        debugUtils.error('Failed to update category', 'CategoryManager', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Delete a category together with its custom rules
+     */
+    async deleteCategory(categoryId) {
+      try {
+        if (categoryId === CATEGORIES.OTHER) {
+          throw new Error('The "Other" category cannot be deleted');
+        }
+  
+        const index = this.categories.findIndex(entry => entry.id === categoryId);
         if (index === -1) {
           return false;
         }
   
-        rules.splice(index, 1);
+        // Sub-categories move up to the deleted category's parent
+        const [deleted] = this.categories.splice(index, 1);
+        this.categories.forEach(category => {
+          if (category.parentId === categoryId) {
+            category.parentId = deleted.parentId ?? null;
+          }
+        });
+        await StorageManager.setCategoryRegistry(this.categories);
   
-        // Clean up empty categories
-        if (rules.length === 0 && 
-            this.customRules[category].domains.length === 0 && 
-            this.customRules[category].keywords.length === 0) {
-          delete this.customRules[category];
+        if (this.customRules[categoryId]) {
+          delete this.customRules[categoryId];
+          await StorageManager.setCategoryRules(this.customRules);
         }
   
-        // Save to storage and update merged rules
-        await StorageManager.setCategoryRules(this.customRules);
+        if (this.scoring[categoryId]) {
+          delete this.scoring[categoryId];
+          await StorageManager.setCategoryScoring(this.scoring);
+        }
+  
+        await LearningManager.forgetCategory(categoryId);
+        await this.forgetRuleStats(categoryId);
+  
         this.mergeRules();
   
-        debugUtils.info(`Removed custom rule: ${category} - ${cleanValue} (${type})`, 'CategoryManager');
+        debugUtils.info(`Deleted category: ${categoryId}`, 'CategoryManager');
         return true;
       } catch (error) {
-        debugUtils.error('Failed to remove custom rule', 'CategoryManager', error);
+        debugUtils.error('Failed to delete category', 'CategoryManager', error);
         throw error;
       }
     }
   
     /**
-     * Get all custom rules
-     */
-    getCustomRules() {
-      return { ...this.customRules };
-    }
-  
-    /**
-     * Clear all custom rules
+     * Reorder categories; categoryIds must list every category exactly once
      */
-    async clearCustomRules() {
+    async reorderCategories(categoryIds) {
       try {
-        this.customRules = {};
-        await StorageManager.setCategoryRules({});
+        const currentIds = this.getCategoryOrder();
+        const isPermutation = Array.isArray(categoryIds) &&
+          categoryIds.length === currentIds.length &&
+          new Set(categoryIds).size === categoryIds.length &&
+          categoryIds.every(id => currentIds.includes(id));
+  
+        if (!isPermutation) {
+          throw new Error('Category order must contain every category exactly once');
+        }
+  
+        this.categories = categoryIds.map(id =>
+          this.categories.find(category => category.id === id)
+        );
+        await StorageManager.setCategoryRegistry(this.categories);
         this.mergeRules();
-        
-        debugUtils.info('Cleared all custom rules', 'CategoryManager');
+  
+        debugUtils.info('Reordered categories', 'CategoryManager', categoryIds);
+        return this.getCategoryOrder();
       } catch (error) {
-        debugUtils.error('Failed to clear custom rules', 'CategoryManager', error);
+        debugUtils.error('Failed to reorder categories', 'CategoryManager', error);
         throw error;
       }
     }
   
+    /**
+     * Check if another category already uses this name
+     */
+    isCategoryNameTaken(name, exceptId = null, parentId = null) {
+      const lowerName = name.toLowerCase();
+      return this.categories.some(category =>
+        category.id !== exceptId &&
+        (category.parentId ?? null) === parentId &&
+        category.name.toLowerCase() === lowerName
+      );
+    }
+  
+    /**
+     * Derive a unique id from a category name
+     */
+    generateCategoryId(name) {
+      const base = name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'category';
+  
+      // Built-in ids stay reserved so default rules never attach to a user category
+      let id = base;
+      let suffix = 2;
+      while (this.hasCategory(id) || Object.values(CATEGORIES).includes(id)) {
+        id = `${base}-${suffix++}`;
+      }
+  
+      return id;
+    }
+  
     /**
      * Suggest category for a URL
      */
@@ -382,17 +1706,22 @@ import {
       tabs.forEach(tab => {
         const category = tab.category || CATEGORIES.OTHER;
         
-        if (!metrics.categories[category]) {
-          metrics.categories[category] = {
-            count: 0,
-            percentage: 0,
-            avgAccessCount: 0,
-            totalAccessCount: 0
-          };
-        }
+        // Parents roll up their sub-categories; ownCount excludes them
+        [category, ...this.getAncestorIds(category)].forEach(id => {
+          if (!metrics.categories[id]) {
+            metrics.categories[id] = {
+              count: 0,
+              ownCount: 0,
+              percentage: 0,
+              avgAccessCount: 0,
+              totalAccessCount: 0
+            };
+          }
   
-        metrics.categories[category].count++;
-        metrics.categories[category].totalAccessCount += tab.accessCount || 0;
+          metrics.categories[id].count++;
+          metrics.categories[id].totalAccessCount += tab.accessCount || 0;
+        });
+        metrics.categories[category].ownCount++;
   
         if (category !== CATEGORIES.OTHER) {
           metrics.categorized++;
@@ -416,19 +1745,161 @@ import {
       return metrics;
     }
   
+    /**
+     * Restore the category registry, rule profiles and scoring overrides of a backup
+     * Parts the backup lacks stay as they are; custom rules are restored afterwards, once their categories exist.
+     * Rules kept in inactive profiles are checked like imported custom rules; invalid ones are skipped
+     */
+    async importRuleData({ registry, profiles, scoring } = {}) {
+      try {
+        const data = {};
+        const skipped = [];
+  
+        if (registry !== undefined) {
+          if (!this.isValidRegistry(registry)) {
+            throw new Error('Invalid category registry');
+          }
+          data[STORAGE_KEYS.CATEGORY_REGISTRY] = registry;
+        }
+  
+        if (profiles !== undefined) {
+          const profileIds = new Set();
+          const validProfiles = Array.isArray(profiles?.profiles) &&
+            profiles.profiles.some(profile => profile?.id === profiles.activeProfileId) &&
+            profiles.profiles.every(profile => {
+              const unique = typeof profile?.id === 'string' && !profileIds.has(profile.id);
+              profileIds.add(profile?.id);
+              return unique && ValidationUtils.validateProfileDefinition(profile).valid;
+            });
+          if (!validProfiles) {
+            throw new Error('Invalid rule profiles');
+          }
+          data[STORAGE_KEYS.RULE_PROFILES] = {
+            ...profiles,
+            profiles: profiles.profiles.map(profile => this.sanitizeProfileData(profile, skipped))
+          };
+        }
+  
+        if (scoring !== undefined) {
+          if (!this.isValidScoring(scoring)) {
+            throw new Error('Invalid scoring settings');
+          }
+          data[STORAGE_KEYS.CATEGORY_SCORING] = scoring;
+        }
+  
+        if (skipped.length > 0) {
+          debugUtils.warn(`Skipped ${skipped.length} invalid rules in rule profiles`, 'CategoryManager', skipped);
+        }
+  
+        await StorageManager.setMultiple(data, true);
+        await this.refresh();
+  
+        debugUtils.info('Imported rule data', 'CategoryManager', { parts: Object.keys(data) });
+        return { skipped };
+      } catch (error) {
+        debugUtils.error('Failed to import rule data', 'CategoryManager', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Check the rule data an imported profile keeps while inactive
+     * switchProfile loads it as live state, so it gets the checks of the live registry, rules and scoring
+     */
+    sanitizeProfileData(profile, skipped) {
+      if (profile.data === undefined || profile.data === null) {
+        return profile;
+      }
+  
+      if (typeof profile.data !== 'object' || Array.isArray(profile.data)) {
+        throw new Error(`Invalid data of rule profile: ${profile.id}`);
+      }
+  
+      // An empty registry stands for the default one, as in StorageManager.getCategoryRegistry
+      const registry = profile.data[STORAGE_KEYS.CATEGORY_REGISTRY] ?? null;
+      if (registry !== null && !(Array.isArray(registry) && registry.length === 0) && !this.isValidRegistry(registry)) {
+        throw new Error(`Invalid category registry in rule profile: ${profile.id}`);
+      }
+  
+      const scoring = profile.data[STORAGE_KEYS.CATEGORY_SCORING] ?? null;
+      if (scoring !== null && !this.isValidScoring(scoring)) {
+        throw new Error(`Invalid scoring settings in rule profile: ${profile.id}`);
+      }
+  
+      const rules = profile.data[STORAGE_KEYS.CATEGORY_RULES] ?? {};
+      if (typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error(`Invalid custom rules in rule profile: ${profile.id}`);
+      }
+  
+      // "Other" is added to every registry on load, so rules may always use it
+      const allowedCategories = [
+        ...(registry?.length > 0 ? registry : DEFAULT_CATEGORY_REGISTRY).map(category => category.id),
+        CATEGORIES.OTHER
+      ];
+      const result = this.sanitizeCustomRules(rules, allowedCategories);
+      skipped.push(...result.skipped.map(entry => ({ ...entry, profileId: profile.id })));
+  
+      return {
+        ...profile,
+        data: {
+          [STORAGE_KEYS.CATEGORY_RULES]: result.rules,
+          [STORAGE_KEYS.CATEGORY_REGISTRY]: registry,
+          [STORAGE_KEYS.CATEGORY_SCORING]: scoring
+        }
+      };
+    }
+  
+    /**
+     * Check a category registry from outside the extension; every id must be unique
+     */
+    isValidRegistry(registry) {
+      const ids = new Set();
+      return Array.isArray(registry) && registry.length > 0 && registry.every(category => {
+        const unique = typeof category?.id === 'string' && !ids.has(category.id);
+        ids.add(category?.id);
+        return unique && ValidationUtils.validateCategoryDefinition(category).valid;
+      });
+    }
+  
+    /**
+     * Check per-category scoring overrides from outside the extension
+     */
+    isValidScoring(scoring) {
+      return Boolean(scoring) && typeof scoring === 'object' && !Array.isArray(scoring) &&
+        Object.values(scoring).every(values => ValidationUtils.validateScoringSettings(values).valid);
+    }
+  
     /**
      * Refresh categorization rules
      */
     async refresh() {
       try {
+        await this.loadProfiles();
+        await this.loadCategoryRegistry();
         await this.loadCustomRules();
+        await this.loadScoring();
         this.mergeRules();
         debugUtils.info('Category rules refreshed', 'CategoryManager');
+        await this.notifyRulesChanged('rulesRefreshed');
       } catch (error) {
         debugUtils.error('Failed to refresh category rules', 'CategoryManager', error);
         throw error;
       }
     }
+  
+    /**
+     * Cleanup method: save rule statistics still waiting for their batch
+     */
+    async cleanup() {
+      try {
+        if (this.ruleStatsPending > 0) {
+          await this.saveRuleStats();
+        }
+        debugUtils.info('CategoryManager cleanup completed', 'CategoryManager');
+      } catch (error) {
+        debugUtils.error('CategoryManager cleanup failed', 'CategoryManager', error);
+      }
+    }
   }
   
   // Create singleton instance
@@ -0,0 +1,216 @@
+/**
+ * Learning manager
+ * Trains an on-device naive Bayes classifier from manual tab corrections
+ */
+
+import { LEARNING } from '../../shared/constants/AppConstants.js';
+import debugUtils from '../../shared/utils/DebugUtils.js';
+import LearningModelUtils from '../../shared/utils/LearningModelUtils.js';
+import StorageManager from './StorageManager.js';
+
+class LearningManager {
+  constructor() {
+    this.model = this.createEmptyModel();
+    this.vocabulary = new Set();
+    this.revision = 0; // Bumped on every model change so cached predictions can be dropped
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize learning manager
+   */
+  async init() {
+    try {
+      debugUtils.info('Initializing LearningManager', 'LearningManager');
+
+      await this.loadModel();
+
+      this.initialized = true;
+      debugUtils.info('LearningManager initialized successfully', 'LearningManager', {
+        examples: this.model.totalExamples
+      });
+    } catch (error) {
+      debugUtils.error('Failed to initialize LearningManager', 'LearningManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an untrained model
+   */
+  createEmptyModel() {
+    return {
+      version: LEARNING.MODEL_VERSION,
+      totalExamples: 0,
+      categories: {},
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Load model from storage
+   */
+  async loadModel() {
+    try {
+      const stored = await StorageManager.getLearningModel();
+      this.model = LearningModelUtils.isCurrentModel(stored) ? stored : this.createEmptyModel();
+    } catch (error) {
+      debugUtils.error('Failed to load learning model', 'LearningManager', error);
+      this.model = this.createEmptyModel();
+    }
+
+    this.rebuildVocabulary();
+  }
+
+  /**
+   * Save model to storage
+   */
+  async saveModel(immediate = false) {
+    try {
+      await StorageManager.setLearningModel(this.model, immediate);
+    } catch (error) {
+      debugUtils.error('Failed to save learning model', 'LearningManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild the vocabulary set from the model's token counts
+   */
+  rebuildVocabulary() {
+    this.revision++;
+    this.vocabulary = LearningModelUtils.getVocabulary(this.model);
+  }
+
+  /**
+   * Record a manual correction as a training example
+   */
+  async recordCorrection(tab, category) {
+    try {
+      const features = LearningModelUtils.extractFeatures(tab);
+      if (features.length === 0 || !category) {
+        return false;
+      }
+
+      const stats = this.model.categories[category] ||
+        (this.model.categories[category] = { examples: 0, tokenTotal: 0, tokens: {} });
+
+      stats.examples++;
+      features.forEach(token => {
+        stats.tokens[token] = (stats.tokens[token] || 0) + 1;
+        stats.tokenTotal++;
+        this.vocabulary.add(token);
+      });
+
+      this.pruneCategory(stats);
+      this.revision++;
+
+      this.model.totalExamples++;
+      this.model.updatedAt = Date.now();
+      await this.saveModel();
+
+      debugUtils.info(`Learned correction: ${tab.url} -> ${category}`, 'LearningManager');
+      return true;
+    } catch (error) {
+      debugUtils.error('Failed to record correction', 'LearningManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the least frequent tokens once a category grows past the limit
+   */
+  pruneCategory(stats) {
+    const tokens = Object.entries(stats.tokens);
+    if (tokens.length <= LEARNING.MAX_TOKENS_PER_CATEGORY) {
+      return;
+    }
+
+    tokens
+      .sort(([, a], [, b]) => a - b)
+      .slice(0, tokens.length - LEARNING.MAX_TOKENS_PER_CATEGORY)
+      .forEach(([token, count]) => {
+        delete stats.tokens[token];
+        stats.tokenTotal -= count;
+      });
+
+    this.rebuildVocabulary();
+  }
+
+  /**
+   * Predict a category for a tab among the candidate categories
+   */
+  predict(tab, candidateCategories = Object.keys(this.model.categories)) {
+    if (!this.initialized) {
+      return null;
+    }
+
+    return LearningModelUtils.predict(this.model, this.vocabulary, tab, candidateCategories);
+  }
+
+  /**
+   * Forget everything the model has learned
+   */
+  async reset() {
+    try {
+      this.model = this.createEmptyModel();
+      this.vocabulary = new Set();
+      this.revision++;
+      await this.saveModel(true);
+
+      debugUtils.info('Learning model reset', 'LearningManager');
+    } catch (error) {
+      debugUtils.error('Failed to reset learning model', 'LearningManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a category's training data (e.g. when the category is deleted)
+   */
+  async forgetCategory(category) {
+    const stats = this.model.categories[category];
+    if (!stats) {
+      return false;
+    }
+
+    this.model.totalExamples -= stats.examples;
+    delete this.model.categories[category];
+    this.rebuildVocabulary();
+    await this.saveModel();
+
+    return true;
+  }
+
+  /**
+   * Get model statistics
+   */
+  getStats() {
+    return {
+      totalExamples: this.model.totalExamples,
+      vocabularySize: this.vocabulary.size,
+      active: this.model.totalExamples >= LEARNING.MIN_EXAMPLES,
+      updatedAt: this.model.updatedAt,
+      categories: Object.fromEntries(
+        Object.entries(this.model.categories).map(([category, stats]) => [category, stats.examples])
+      )
+    };
+  }
+
+  /**
+   * Get the model revision, which changes whenever predictions may change
+   */
+  getRevision() {
+    return this.revision;
+  }
+
+  /**
+   * Check if manager is ready
+   */
+  isReady() {
+    return this.initialized;
+  }
+}
+
+// Create singleton instance
+export default new LearningManager();
@@ -0,0 +1,238 @@
+/**
+ * Page metadata manager
+ * Keeps the per-host opt-in list for the page metadata content script, registers
+ * the script for those hosts and hands the metadata it reports to TabManager
+ */
+
+import { LIMITS, PAGE_METADATA_SCRIPT } from '../../shared/constants/AppConstants.js';
+import debugUtils from '../../shared/utils/DebugUtils.js';
+import DomainUtils from '../../shared/utils/DomainUtils.js';
+import ValidationUtils from '../../shared/utils/ValidationUtils.js';
+import StorageManager from './StorageManager.js';
+import TabManager from './TabManager.js';
+
+class PageMetadataManager {
+  constructor() {
+    this.hosts = new Set();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize page metadata manager
+   */
+  async init() {
+    try {
+      debugUtils.info('Initializing PageMetadataManager', 'PageMetadataManager');
+
+      await this.loadHosts();
+      await this.syncContentScripts();
+
+      this.initialized = true;
+      debugUtils.info('PageMetadataManager initialized successfully', 'PageMetadataManager', {
+        hosts: this.hosts.size
+      });
+    } catch (error) {
+      debugUtils.error('Failed to initialize PageMetadataManager', 'PageMetadataManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load opted-in hosts, dropping those whose permission was revoked while the worker was away
+   */
+  async loadHosts() {
+    const stored = await StorageManager.getMetadataHosts();
+    const granted = [];
+
+    for (const host of stored) {
+      if (await chrome.permissions.contains({ origins: this.getOrigins(host) })) {
+        granted.push(host);
+      }
+    }
+
+    this.hosts = new Set(granted);
+    if (granted.length !== stored.length) {
+      await this.saveHosts();
+    }
+  }
+
+  /**
+   * Save opted-in hosts
+   */
+  async saveHosts() {
+    await StorageManager.setMetadataHosts([...this.hosts], true);
+  }
+
+  /**
+   * Get the origin match patterns covering a host
+   */
+  getOrigins(host) {
+    return [`*://${host}/*`, `*://www.${host}/*`];
+  }
+
+  /**
+   * Register the content script for the opted-in hosts (or unregister it when there are none)
+   */
+  async syncContentScripts() {
+    try {
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PAGE_METADATA_SCRIPT.ID] });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [PAGE_METADATA_SCRIPT.ID] });
+      }
+
+      if (this.hosts.size === 0) return;
+
+      await chrome.scripting.registerContentScripts([{
+        id: PAGE_METADATA_SCRIPT.ID,
+        js: [PAGE_METADATA_SCRIPT.FILE],
+        matches: [...this.hosts].flatMap(host => this.getOrigins(host)),
+        runAt: 'document_idle',
+        persistAcrossSessions: true
+      }]);
+    } catch (error) {
+      debugUtils.error('Failed to sync page metadata content script', 'PageMetadataManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start reading page metadata on a host
+   * The popup must already hold the host permission, since only a user gesture can request it
+   */
+  async enableHost(value) {
+    try {
+      const host = DomainUtils.normalizeHost(value);
+      if (!host || !ValidationUtils.isValidDomain(host)) {
+        throw new Error(`Invalid host: ${value}`);
+      }
+
+      if (!this.hosts.has(host) && this.hosts.size >= LIMITS.MAX_METADATA_HOSTS) {
+        throw new Error(`Page metadata can be enabled for at most ${LIMITS.MAX_METADATA_HOSTS} hosts`);
+      }
+
+      if (!await chrome.permissions.contains({ origins: this.getOrigins(host) })) {
+        throw new Error(`Permission to read pages on ${host} was not granted`);
+      }
+
+      this.hosts.add(host);
+      await this.saveHosts();
+      await this.syncContentScripts();
+      await this.injectIntoOpenTabs(host);
+
+      debugUtils.info(`Enabled page metadata for ${host}`, 'PageMetadataManager');
+      return this.getHosts();
+    } catch (error) {
+      debugUtils.error('Failed to enable page metadata', 'PageMetadataManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop reading page metadata on a host, give up its permission and forget what was read
+   * Returns the tabs whose category changed
+   */
+  async disableHost(value) {
+    try {
+      const host = DomainUtils.normalizeHost(value);
+      if (!this.hosts.delete(host)) {
+        return [];
+      }
+
+      await this.saveHosts();
+      await this.syncContentScripts();
+      await chrome.permissions.remove({ origins: this.getOrigins(host) });
+
+      debugUtils.info(`Disabled page metadata for ${host}`, 'PageMetadataManager');
+      return await TabManager.clearPageMetadata(host);
+    } catch (error) {
+      debugUtils.error('Failed to disable page metadata', 'PageMetadataManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the content script in tabs already open on a host, which the registration misses
+   */
+  async injectIntoOpenTabs(host) {
+    const tabs = await chrome.tabs.query({ url: this.getOrigins(host) });
+
+    await Promise.all(tabs.map(tab => chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: [PAGE_METADATA_SCRIPT.FILE]
+    }).catch(error => {
+      debugUtils.warn(`Could not read metadata of tab ${tab.id}`, 'PageMetadataManager', error);
+    })));
+  }
+
+  /**
+   * Handle metadata reported by the content script
+   * Only accepted from top-level frames on opted-in hosts; returns the tab's change, if any
+   */
+  async handlePageMetadata(sender, metadata) {
+    if (!sender.tab || sender.frameId !== 0) {
+      return null;
+    }
+
+    // A page the tab has already navigated away from
+    if (sender.url && sender.url !== sender.tab.url) {
+      debugUtils.debug(`Ignored page metadata from a replaced page in tab ${sender.tab.id}`, 'PageMetadataManager');
+      return null;
+    }
+
+    const host = TabManager.getTabHost({ url: sender.tab.url });
+    if (!this.hosts.has(host)) {
+      debugUtils.warn(`Ignored page metadata from ${host || 'unknown host'}`, 'PageMetadataManager');
+      return null;
+    }
+
+    const validation = ValidationUtils.validatePageMetadata(metadata);
+    if (!validation.valid) {
+      throw new Error(`Invalid page metadata: ${validation.errors.join(', ')}`);
+    }
+
+    return await TabManager.setPageMetadata(sender.tab, validation.sanitized);
+  }
+
+  /**
+   * Drop hosts whose permission the user revoked from the browser's extension settings
+   * Every host is checked again, since a revoked pattern may be broader than the one granted
+   */
+  async handlePermissionsRemoved() {
+    const removed = [];
+    for (const host of this.hosts) {
+      if (!await chrome.permissions.contains({ origins: this.getOrigins(host) })) {
+        removed.push(host);
+      }
+    }
+    if (removed.length === 0) return [];
+
+    removed.forEach(host => this.hosts.delete(host));
+    await this.saveHosts();
+    await this.syncContentScripts();
+
+    const changes = [];
+    for (const host of removed) {
+      changes.push(...await TabManager.clearPageMetadata(host));
+    }
+
+    debugUtils.info('Page metadata permissions removed', 'PageMetadataManager', { hosts: removed });
+    return changes;
+  }
+
+  /**
+   * Get opted-in hosts
+   */
+  getHosts() {
+    return [...this.hosts].sort();
+  }
+
+  /**
+   * Check if manager is ready
+   */
+  isReady() {
+    return this.initialized;
+  }
+}
+
+// Create singleton instance
+export default new PageMetadataManager();
@@ -3,7 +3,7 @@
  * Handles all chrome.storage operations with error handling and caching
  */
 
-import { STORAGE_KEYS, DEFAULT_SETTINGS, DEBOUNCE_DELAYS } from '../../shared/constants/AppConstants.js';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, DEFAULT_CATEGORY_REGISTRY, DEFAULT_RULE_PROFILE, DEBOUNCE_DELAYS } from '../../shared/constants/AppConstants.js';
 import debugUtils from '../../shared/utils/DebugUtils.js';
 
 class StorageManager {
@@ -118,7 +118,13 @@ class StorageManager {
    * Pre-load frequently accessed data
    */
   async preloadCriticalData() {
-    const keys = [STORAGE_KEYS.SETTINGS, STORAGE_KEYS.CATEGORY_RULES];
+    const keys = [
+      STORAGE_KEYS.SETTINGS,
+      STORAGE_KEYS.CATEGORY_RULES,
+      STORAGE_KEYS.CATEGORY_REGISTRY,
+      STORAGE_KEYS.CATEGORY_SCORING,
+      STORAGE_KEYS.RULE_PROFILES
+    ];
     
     try {
       const data = await chrome.storage.local.get(keys);
@@ -521,6 +527,136 @@ class StorageManager {
     await this.set(STORAGE_KEYS.CATEGORY_RULES, rules, immediate);
   }
 
+  /**
+   * Get per-category scoring overrides
+   */
+  async getCategoryScoring() {
+    return await this.get(STORAGE_KEYS.CATEGORY_SCORING) || {};
+  }
+
+  /**
+   * Set per-category scoring overrides
+   */
+  async setCategoryScoring(scoring, immediate = false) {
+    await this.set(STORAGE_KEYS.CATEGORY_SCORING, scoring, immediate);
+  }
+
+  /**
+   * Get category registry (falls back to the built-in categories)
+   */
+  async getCategoryRegistry() {
+    const registry = await this.get(STORAGE_KEYS.CATEGORY_REGISTRY);
+    return Array.isArray(registry) && registry.length > 0
+      ? registry
+      : DEFAULT_CATEGORY_REGISTRY.map(category => ({ ...category }));
+  }
+
+  /**
+   * Set category registry
+   */
+  async setCategoryRegistry(registry, immediate = false) {
+    await this.set(STORAGE_KEYS.CATEGORY_REGISTRY, registry, immediate);
+  }
+
+  /**
+   * Get rule profiles; inactive profiles carry their rule data, the active one lives in the regular keys
+   */
+  async getRuleProfiles() {
+    const stored = await this.get(STORAGE_KEYS.RULE_PROFILES);
+    return Array.isArray(stored?.profiles) && stored.profiles.length > 0
+      ? stored
+      : { activeProfileId: DEFAULT_RULE_PROFILE.id, profiles: [{ ...DEFAULT_RULE_PROFILE }] };
+  }
+
+  /**
+   * Set rule profiles
+   */
+  async setRuleProfiles(profiles, immediate = false) {
+    await this.set(STORAGE_KEYS.RULE_PROFILES, profiles, immediate);
+  }
+
+  /**
+   * Write the profile list and the newly active profile's rule data together
+   * Pending debounced saves of those keys are dropped so they cannot overwrite the switch
+   */
+  async switchRuleProfile(profiles, profileData) {
+    const data = { [STORAGE_KEYS.RULE_PROFILES]: profiles, ...profileData };
+
+    Object.keys(data).forEach(key => {
+      if (this.saveQueue.has(key)) {
+        clearTimeout(this.saveQueue.get(key));
+        this.saveQueue.delete(key);
+      }
+    });
+
+    await this.setMultiple(data, true);
+  }
+
+  /**
+   * Get the learned categorization model
+   */
+  async getLearningModel() {
+    return await this.get(STORAGE_KEYS.LEARNING_MODEL) || null;
+  }
+
+  /**
+   * Set the learned categorization model
+   */
+  async setLearningModel(model, immediate = false) {
+    await this.set(STORAGE_KEYS.LEARNING_MODEL, model, immediate);
+  }
+
+  /**
+   * Get the manual move history used for rule suggestions
+   */
+  async getMoveHistory() {
+    const history = await this.get(STORAGE_KEYS.MOVE_HISTORY);
+    return {
+      moves: Array.isArray(history?.moves) ? history.moves : [],
+      dismissed: Array.isArray(history?.dismissed) ? history.dismissed : []
+    };
+  }
+
+  /**
+   * Set the manual move history
+   */
+  async setMoveHistory(history, immediate = false) {
+    await this.set(STORAGE_KEYS.MOVE_HISTORY, history, immediate);
+  }
+
+  /**
+   * Get the per-rule hit statistics
+   */
+  async getRuleStats() {
+    const stats = await this.get(STORAGE_KEYS.RULE_STATS);
+    return {
+      since: stats?.since || Date.now(),
+      categories: stats?.categories && typeof stats.categories === 'object' ? stats.categories : {}
+    };
+  }
+
+  /**
+   * Set the per-rule hit statistics
+   */
+  async setRuleStats(stats, immediate = false) {
+    await this.set(STORAGE_KEYS.RULE_STATS, stats, immediate);
+  }
+
+  /**
+   * Get the hosts that page metadata is read from
+   */
+  async getMetadataHosts() {
+    const hosts = await this.get(STORAGE_KEYS.METADATA_HOSTS);
+    return Array.isArray(hosts) ? hosts : [];
+  }
+
+  /**
+   * Set the hosts that page metadata is read from
+   */
+  async setMetadataHosts(hosts, immediate = false) {
+    await this.set(STORAGE_KEYS.METADATA_HOSTS, hosts, immediate);
+  }
+
   /**
    * Get storage usage statistics
    */
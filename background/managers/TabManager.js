@@ -3,14 +3,19 @@
  * Handles tab creation, updates, removal, and state management
  */
 
-import { LIMITS, ERROR_MESSAGES } from '../../shared/constants/AppConstants.js';
+import { LIMITS, ERROR_MESSAGES, RULE_TYPES, RULE_SUGGESTIONS, CATEGORY_SOURCES } from '../../shared/constants/AppConstants.js';
 import debugUtils from '../../shared/utils/DebugUtils.js';
+import DomainUtils from '../../shared/utils/DomainUtils.js';
+import ValidationUtils from '../../shared/utils/ValidationUtils.js';
 import StorageManager from './StorageManager.js';
 import CategoryManager from './CategoryManager.js';
+import LearningManager from './LearningManager.js';
 
 class TabManager {
   constructor() {
     this.tabs = new Map();
+    this.moveHistory = { moves: [], dismissed: [] };
+    this.ruleStatsUrls = new Map(); // Tab id -> URL whose rule hits were counted, so each page load counts once
     this.initialized = false;
     this.isRefreshing = false;
     
@@ -32,6 +37,7 @@ class TabManager {
       
       // Load existing tab data
       await this.loadTabData();
+      await this.loadMoveHistory();
       
       // Initialize with current browser tabs
       await this.refreshAllTabs();
@@ -53,6 +59,11 @@ class TabManager {
   async loadTabData() {
     try {
       const tabsMap = await StorageManager.getTabs();
+      tabsMap.forEach(tabData => {
+        this.normalizeAssignment(tabData);
+        // Pages known from before a service worker restart were counted already
+        this.ruleStatsUrls.set(tabData.id, tabData.url);
+      });
       this.tabs = tabsMap;
       
       debugUtils.info(`Loaded ${this.tabs.size} tabs from storage`, 'TabManager');
@@ -62,6 +73,34 @@ class TabManager {
     }
   }
 
+  /**
+   * Fill in assignment fields for records stored before they existed
+   */
+  normalizeAssignment(tabData) {
+    if (!Object.values(CATEGORY_SOURCES).includes(tabData.categorySource)) {
+      tabData.categorySource = CATEGORY_SOURCES.RULE;
+    }
+    if (typeof tabData.categoryLocked !== 'boolean') {
+      tabData.categoryLocked = tabData.categorySource === CATEGORY_SOURCES.MANUAL;
+    }
+    tabData.needsReview = Boolean(tabData.needsReview);
+    tabData.suggestedCategory = tabData.suggestedCategory || null;
+    tabData.confidence = typeof tabData.confidence === 'number' ? tabData.confidence : null;
+    tabData.runnerUpCategory = tabData.runnerUpCategory || null;
+    tabData.ruleTags = tabData.ruleTags || [];
+    tabData.userTags = tabData.userTags || [];
+    tabData.removedTags = tabData.removedTags || [];
+    return this.resolveTags(tabData);
+  }
+
+  /**
+   * Combine rule tags (minus those the user removed) with the user's own tags
+   */
+  resolveTags(tabData) {
+    tabData.tags = CategoryManager.resolveTabTags(tabData.ruleTags, tabData);
+    return tabData;
+  }
+
   /**
    * Save tab data to storage
    */
@@ -75,13 +114,67 @@ class TabManager {
     }
   }
 
+  /**
+   * Load manual move history from storage
+   */
+  async loadMoveHistory() {
+    try {
+      this.moveHistory = await StorageManager.getMoveHistory();
+    } catch (error) {
+      debugUtils.error('Failed to load move history', 'TabManager', error);
+      this.moveHistory = { moves: [], dismissed: [] };
+    }
+  }
+
+  /**
+   * Save manual move history to storage
+   */
+  async saveMoveHistory(immediate = false) {
+    try {
+      await StorageManager.setMoveHistory(this.moveHistory, immediate);
+    } catch (error) {
+      debugUtils.error('Failed to save move history', 'TabManager', error);
+      throw error;
+    }
+  }
+
   /**
    * Create tab data structure
    */
-  async createTabData(chromeTab) {
+  async createTabData(chromeTab, { openerCategory = null } = {}) {
     const existingTab = this.tabs.get(chromeTab.id);
     const now = Date.now();
-    
+
+    // Page metadata describes the loaded page, so it is dropped on navigation
+    const metadata = existingTab?.url === chromeTab.url ? existingTab.metadata || null : null;
+
+    // Unlocked tabs are scored again, so navigation picks up the new page's category;
+    // the stored assignment goes along so manual mode can keep tabs the user already filed
+    const assignment = existingTab?.categoryLocked
+      ? {
+        category: existingTab.category,
+        source: existingTab.categorySource,
+        needsReview: false,
+        suggestedCategory: null,
+        confidence: null,
+        runnerUpCategory: null,
+        ruleTags: CategoryManager.getRuleTags({ ...chromeTab, metadata })
+      }
+      : await CategoryManager.assignCategory({
+        ...chromeTab,
+        metadata,
+        openerCategory,
+        previousUrl: existingTab?.url,
+        category: existingTab?.category,
+        categorySource: existingTab?.categorySource
+      });
+
+    if (!existingTab?.categoryLocked && chromeTab.status === 'complete' &&
+      this.ruleStatsUrls.get(chromeTab.id) !== chromeTab.url) {
+      this.ruleStatsUrls.set(chromeTab.id, chromeTab.url);
+      await CategoryManager.recordRuleStats({ ...chromeTab, metadata }, assignment);
+    }
+
     const tabData = {
       id: chromeTab.id,
       title: chromeTab.title || 'Loading...',
@@ -89,14 +182,25 @@ class TabManager {
       favIconUrl: chromeTab.favIconUrl || '',
       active: chromeTab.active || false,
       pinned: chromeTab.pinned || false,
+      audible: chromeTab.audible || false,
       windowId: chromeTab.windowId,
       createdAt: existingTab?.createdAt || now,
       lastAccessed: chromeTab.active ? now : (existingTab?.lastAccessed || now),
       accessCount: existingTab?.accessCount || 0,
-      category: existingTab?.category || await CategoryManager.categorizeTab(chromeTab)
+      category: assignment.category,
+      categorySource: assignment.source,
+      categoryLocked: Boolean(existingTab?.categoryLocked),
+      needsReview: assignment.needsReview,
+      suggestedCategory: assignment.suggestedCategory,
+      confidence: assignment.confidence,
+      runnerUpCategory: assignment.runnerUpCategory,
+      ruleTags: assignment.ruleTags,
+      metadata,
+      userTags: existingTab?.userTags || [],
+      removedTags: existingTab?.removedTags || []
     };
 
-    return tabData;
+    return this.resolveTags(tabData);
   }
 
   /**
@@ -106,7 +210,11 @@ class TabManager {
     try {
       debugUtils.info(`Tab created: ${chromeTab.url}`, 'TabManager');
       
-      const tabData = await this.createTabData(chromeTab);
+      // Links opened from a tab start in that tab's category (see CategorizationEngine#getInheritedCategory)
+      const opener = chromeTab.openerTabId !== undefined ? this.tabs.get(chromeTab.openerTabId) : null;
+      const openerCategory = opener && opener.categorySource !== CATEGORY_SOURCES.UNFILED ? opener.category : null;
+      
+      const tabData = await this.createTabData(chromeTab, { openerCategory });
       this.tabs.set(chromeTab.id, tabData);
       
       await this.saveTabData();
@@ -157,6 +265,8 @@ class TabManager {
     try {
       debugUtils.info(`Tab removed: ${tabId}`, 'TabManager');
       
+      this.ruleStatsUrls.delete(tabId);
+      
       const tabData = this.tabs.get(tabId);
       if (tabData) {
         this.tabs.delete(tabId);
@@ -240,12 +350,13 @@ class TabManager {
    */
   async getAllTabsWithCategories() {
     try {
+      // Stored assignments are kept current by createTabData and recategorizeTabs
       const tabsArray = Array.from(this.tabs.values());
-      const categorizedTabs = await CategoryManager.categorizeTabs(tabsArray);
       
       return {
-        tabs: categorizedTabs,
-        categories: CategoryManager.getCategoryStats(categorizedTabs),
+        tabs: tabsArray,
+        categories: CategoryManager.getCategoryStats(tabsArray),
+        tags: this.getTagStats(),
         totalCount: tabsArray.length,
         metrics: this.getMetrics()
       };
@@ -291,14 +402,30 @@ class TabManager {
   /**
    * Move tabs to a different category
    */
-  async moveTabs(tabIds, category) {
+  async moveTabs(tabIds, category, { lock = true } = {}) {
     try {
       let movedCount = 0;
+      let recordedMoves = 0;
       
       for (const tabId of tabIds) {
         if (this.tabs.has(tabId)) {
           const tabData = this.tabs.get(tabId);
+
+          // A move to a different category is a correction worth learning from
+          if (tabData.category !== category) {
+            await this.recordCorrection(tabData, category);
+            if (this.recordMove(tabData, category)) {
+              recordedMoves++;
+            }
+          }
+
           tabData.category = category;
+          tabData.categorySource = CATEGORY_SOURCES.MANUAL;
+          tabData.categoryLocked = lock;
+          tabData.needsReview = false;
+          tabData.suggestedCategory = null;
+          tabData.confidence = null;
+          tabData.runnerUpCategory = null;
           tabData.lastAccessed = Date.now(); // Update access time
           this.tabs.set(tabId, tabData);
           movedCount++;
@@ -309,7 +436,11 @@ class TabManager {
         await this.saveTabData();
         debugUtils.info(`Moved ${movedCount} tabs to ${category}`, 'TabManager');
       }
-      
+
+      if (recordedMoves > 0) {
+        await this.saveMoveHistory();
+      }
+
       return movedCount;
     } catch (error) {
       debugUtils.error('Failed to move tabs', 'TabManager', error);
@@ -317,6 +448,359 @@ class TabManager {
     }
   }
 
+  /**
+   * Feed a manual correction to the learning model without failing the move
+   */
+  async recordCorrection(tabData, category) {
+    try {
+      if (!LearningManager.isReady()) {
+        await LearningManager.init();
+      }
+      await LearningManager.recordCorrection(tabData, category);
+    } catch (error) {
+      debugUtils.warn('Failed to learn from correction', 'TabManager', error);
+    }
+  }
+
+  /**
+   * Remember a manual move so repeated moves can be turned into a rule
+   */
+  recordMove(tabData, category) {
+    const host = this.getTabHost(tabData);
+    if (!host) {
+      return false;
+    }
+
+    this.moveHistory.moves.push({ host, from: tabData.category, category, timestamp: Date.now() });
+    if (this.moveHistory.moves.length > RULE_SUGGESTIONS.MAX_HISTORY) {
+      this.moveHistory.moves.splice(0, this.moveHistory.moves.length - RULE_SUGGESTIONS.MAX_HISTORY);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the normalized host of a web tab ('' for other schemes and invalid URLs)
+   */
+  getTabHost(tabData) {
+    try {
+      const urlObj = new URL(tabData.url);
+      return /^https?:$/.test(urlObj.protocol) ? DomainUtils.normalizeHost(urlObj.hostname) : '';
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Suggest domain rules for hosts repeatedly moved into the same category
+   */
+  getRuleSuggestions() {
+    const byHost = new Map();
+
+    this.moveHistory.moves.forEach(move => {
+      const categories = byHost.get(move.host) || new Map();
+      const entry = categories.get(move.category) || { count: 0, lastMovedAt: 0 };
+      entry.count++;
+      entry.lastMovedAt = Math.max(entry.lastMovedAt, move.timestamp);
+      categories.set(move.category, entry);
+      byHost.set(move.host, categories);
+    });
+
+    const suggestions = [];
+    byHost.forEach((categories, host) => {
+      // Only the category the host was moved to most often is worth offering
+      const [category, { count, lastMovedAt }] = [...categories.entries()]
+        .sort(([, a], [, b]) => b.count - a.count || b.lastMovedAt - a.lastMovedAt)[0];
+      const id = this.getSuggestionId(host, category);
+
+      if (count < RULE_SUGGESTIONS.MIN_MOVES ||
+          this.moveHistory.dismissed.includes(id) ||
+          !CategoryManager.hasCategory(category) ||
+          CategoryManager.hasCustomRule(category, host, RULE_TYPES.DOMAIN)) {
+        return;
+      }
+
+      suggestions.push({ id, domain: host, category, count, lastMovedAt });
+    });
+
+    return suggestions.sort((a, b) => b.count - a.count || b.lastMovedAt - a.lastMovedAt);
+  }
+
+  /**
+   * Build a stable suggestion id
+   */
+  getSuggestionId(host, category) {
+    return `${host}|${category}`;
+  }
+
+  /**
+   * Accept a rule suggestion by creating a permanent domain rule
+   */
+  async acceptRuleSuggestion(suggestionId) {
+    try {
+      const suggestion = this.getRuleSuggestions().find(entry => entry.id === suggestionId);
+      if (!suggestion) {
+        throw new Error(`Suggestion not found: ${suggestionId}`);
+      }
+
+      await CategoryManager.addCustomRule(suggestion.category, suggestion.domain, RULE_TYPES.DOMAIN);
+
+      // The rule now covers these moves
+      this.moveHistory.moves = this.moveHistory.moves.filter(move => move.host !== suggestion.domain);
+      await this.saveMoveHistory();
+
+      debugUtils.info(`Accepted rule suggestion: ${suggestion.domain} -> ${suggestion.category}`, 'TabManager');
+      return suggestion;
+    } catch (error) {
+      debugUtils.error('Failed to accept rule suggestion', 'TabManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dismiss a rule suggestion so it is not offered again
+   */
+  async dismissRuleSuggestion(suggestionId) {
+    try {
+      if (!this.moveHistory.dismissed.includes(suggestionId)) {
+        this.moveHistory.dismissed.push(suggestionId);
+        if (this.moveHistory.dismissed.length > RULE_SUGGESTIONS.MAX_DISMISSED) {
+          this.moveHistory.dismissed.shift();
+        }
+        await this.saveMoveHistory();
+      }
+
+      debugUtils.info(`Dismissed rule suggestion: ${suggestionId}`, 'TabManager');
+      return true;
+    } catch (error) {
+      debugUtils.error('Failed to dismiss rule suggestion', 'TabManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-run the rules on every unlocked tab
+   * Locked tabs keep their category unless it no longer exists; returns the tabs that changed
+   */
+  async recategorizeTabs() {
+    try {
+      const changes = [];
+
+      for (const tabData of this.tabs.values()) {
+        if (tabData.categoryLocked) {
+          if (CategoryManager.hasCategory(tabData.category)) {
+            continue;
+          }
+          // e.g. the active rule profile has no such category
+          tabData.categoryLocked = false;
+        }
+
+        const change = await this.applyAssignment(tabData);
+        if (change) {
+          changes.push(change);
+        }
+      }
+
+      if (changes.length > 0) {
+        await this.saveTabData();
+        debugUtils.info(`Re-categorized ${changes.length} tabs`, 'TabManager');
+      }
+
+      return changes;
+    } catch (error) {
+      debugUtils.error('Failed to re-categorize tabs', 'TabManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Score an unlocked tab again and store the result; returns the change, if any
+   */
+  async applyAssignment(tabData) {
+    const assignment = await CategoryManager.assignCategory({ ...tabData, categoryLocked: false });
+    const from = tabData.category;
+    const wasInReview = tabData.needsReview;
+    const previousTags = (tabData.tags || []).join(',');
+
+    tabData.category = assignment.category;
+    tabData.categorySource = assignment.source;
+    tabData.needsReview = assignment.needsReview;
+    tabData.suggestedCategory = assignment.suggestedCategory;
+    tabData.confidence = assignment.confidence;
+    tabData.runnerUpCategory = assignment.runnerUpCategory;
+    tabData.ruleTags = assignment.ruleTags;
+    this.resolveTags(tabData);
+
+    const changed = assignment.category !== from ||
+      assignment.needsReview !== wasInReview ||
+      tabData.tags.join(',') !== previousTags;
+
+    return changed
+      ? { tabId: tabData.id, from, to: assignment.category, source: assignment.source, tags: tabData.tags }
+      : null;
+  }
+
+  /**
+   * Store the page metadata the content script read from a tab and score the tab again
+   * chromeTab is the live tab that sent it; returns the change, if any
+   */
+  async setPageMetadata(chromeTab, metadata) {
+    try {
+      const tabId = chromeTab.id;
+      const tabData = this.tabs.get(tabId);
+      if (!tabData) {
+        debugUtils.debug(`Ignored page metadata for unknown tab ${tabId}`, 'TabManager');
+        return null;
+      }
+
+      // The script runs at document_idle, usually before the tab reports 'complete', so a fresh
+      // navigation may not have reached tabData yet; createTabData keeps metadata for this URL
+      if (tabData.url !== chromeTab.url) {
+        tabData.url = chromeTab.url;
+        tabData.title = chromeTab.title || tabData.title;
+      }
+
+      tabData.metadata = metadata;
+      const change = tabData.categoryLocked ? null : await this.applyAssignment(tabData);
+
+      await this.saveTabData();
+      debugUtils.debug(`Stored page metadata of tab ${tabId}`, 'TabManager', metadata);
+
+      return change;
+    } catch (error) {
+      debugUtils.error('Failed to set page metadata', 'TabManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the page metadata of every tab on a host (e.g. when metadata is turned off for it)
+   * Returns the tabs whose category changed
+   */
+  async clearPageMetadata(host) {
+    try {
+      const changes = [];
+
+      for (const tabData of this.tabs.values()) {
+        if (!tabData.metadata || this.getTabHost(tabData) !== host) continue;
+
+        tabData.metadata = null;
+        const change = tabData.categoryLocked ? null : await this.applyAssignment(tabData);
+        if (change) {
+          changes.push(change);
+        }
+      }
+
+      await this.saveTabData();
+      return changes;
+    } catch (error) {
+      debugUtils.error('Failed to clear page metadata', 'TabManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a tab's category against re-categorization, or unlock it and let the rules decide again
+   */
+  async setCategoryLock(tabId, locked) {
+    try {
+      const tabData = this.tabs.get(tabId);
+      if (!tabData) {
+        throw new Error(`Tab not found: ${tabId}`);
+      }
+
+      tabData.categoryLocked = Boolean(locked);
+      const change = tabData.categoryLocked ? null : await this.applyAssignment(tabData);
+
+      await this.saveTabData();
+      debugUtils.info(`${tabData.categoryLocked ? 'Locked' : 'Unlocked'} category of tab ${tabId}`, 'TabManager');
+
+      return { tab: { ...tabData }, change };
+    } catch (error) {
+      debugUtils.error('Failed to set category lock', 'TabManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or remove tags on a tab; removing a rule's tag hides it until the user adds it back
+   */
+  async updateTabTags(tabId, { add = [], remove = [] } = {}) {
+    try {
+      const tabData = this.tabs.get(tabId);
+      if (!tabData) {
+        throw new Error(`Tab not found: ${tabId}`);
+      }
+
+      const tagsToAdd = ValidationUtils.sanitizeTags(add);
+      const tagsToRemove = ValidationUtils.sanitizeTags(remove);
+
+      if (tabData.tags.length + tagsToAdd.filter(tag => !tabData.tags.includes(tag)).length > LIMITS.MAX_TAGS_PER_TAB) {
+        throw new Error(`A tab can have at most ${LIMITS.MAX_TAGS_PER_TAB} tags`);
+      }
+
+      tabData.userTags = [
+        ...tabData.userTags.filter(tag => !tagsToRemove.includes(tag)),
+        ...tagsToAdd.filter(tag => !tabData.userTags.includes(tag) && !tabData.ruleTags.includes(tag))
+      ];
+      tabData.removedTags = [
+        ...tabData.removedTags.filter(tag => !tagsToAdd.includes(tag)),
+        ...tagsToRemove.filter(tag => tabData.ruleTags.includes(tag) && !tabData.removedTags.includes(tag))
+      ];
+      this.resolveTags(tabData);
+
+      await this.saveTabData();
+      debugUtils.info(`Updated tags of tab ${tabId}`, 'TabManager', tabData.tags);
+
+      return { ...tabData };
+    } catch (error) {
+      debugUtils.error('Failed to update tab tags', 'TabManager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count open tabs per tag
+   */
+  getTagStats() {
+    const stats = {};
+    this.tabs.forEach(tabData => {
+      (tabData.tags || []).forEach(tag => {
+        stats[tag] = (stats[tag] || 0) + 1;
+      });
+    });
+    return stats;
+  }
+
+  /**
+   * Re-categorize tabs whose category no longer exists
+   */
+  async releaseCategory(category) {
+    try {
+      let releasedCount = 0;
+
+      for (const tabData of this.tabs.values()) {
+        if (tabData.category === category) {
+          // Even locked tabs must leave a deleted category
+          tabData.categoryLocked = false;
+          tabData.category = null;
+          await this.applyAssignment(tabData);
+          releasedCount++;
+        }
+      }
+
+      if (releasedCount > 0) {
+        await this.saveTabData();
+        debugUtils.info(`Released ${releasedCount} tabs from ${category}`, 'TabManager');
+      }
+
+      return releasedCount;
+    } catch (error) {
+      debugUtils.error('Failed to release category', 'TabManager', error);
+      throw error;
+    }
+  }
+
   /**
    * Reorder tabs within a category
    */
@@ -477,6 +961,7 @@ class TabManager {
   exportTabs() {
     return {
       tabs: Array.from(this.tabs.values()),
+      tags: this.getTagStats(),
       exportDate: new Date().toISOString(),
       version: '1.0.0'
     };
@@ -3,9 +3,11 @@
  * Handles all Chrome extension events with proper lifecycle management
  */
 
-import { MESSAGE_TYPES } from '../../shared/constants/AppConstants.js';
+import { ALARM_NAMES, MESSAGE_TYPES } from '../../shared/constants/AppConstants.js';
 import debugUtils from '../../shared/utils/DebugUtils.js';
 import TabManager from '../managers/TabManager.js';
+import CategoryManager from '../managers/CategoryManager.js';
+import PageMetadataManager from '../managers/PageMetadataManager.js';
 import MessageService from './MessageService.js';
 
 class EventService {
@@ -18,8 +20,10 @@ class EventService {
       tabsRemoved: 0,
       tabsActivated: 0,
       windowsFocused: 0,
-      actionClicks: 0
+      actionClicks: 0,
+      tabsRecategorized: 0
     };
+    this.unsubscribeRulesChanged = null;
   }
 
   /**
@@ -33,6 +37,9 @@ class EventService {
       this.setupWindowEventListeners();
       this.setupActionEventListeners();
       this.setupInstallEventListeners();
+      this.setupRuleEventListeners();
+      this.setupAlarmEventListeners();
+      this.setupPermissionEventListeners();
       
       this.initialized = true;
       debugUtils.info('EventService initialized successfully', 'EventService');
@@ -62,8 +69,8 @@ class EventService {
     // Tab updated
     const onTabUpdated = async (tabId, changeInfo, tab) => {
       try {
-        // Only process when tab is completely loaded
-        if (changeInfo.status === 'complete') {
+        // Only process when tab is completely loaded, or when a property rule expressions test changed
+        if (changeInfo.status === 'complete' || 'pinned' in changeInfo || 'audible' in changeInfo) {
           debugUtils.debug(`Tab updated: ${tab.url}`, 'EventService');
           this.eventStats.tabsUpdated++;
           
@@ -218,6 +225,97 @@ class EventService {
     debugUtils.debug('Install/startup event listeners registered', 'EventService');
   }
 
+  /**
+   * Re-categorize automatically assigned tabs whenever the rules change
+   */
+  setupRuleEventListeners() {
+    const onRulesChanged = async (reason) => {
+      try {
+        const changes = await TabManager.recategorizeTabs();
+        this.eventStats.tabsRecategorized += changes.length;
+
+        if (changes.length > 0) {
+          await MessageService.notifyUI(MESSAGE_TYPES.TABS_RECATEGORIZED, { reason, changes });
+        }
+      } catch (error) {
+        debugUtils.error('Error re-categorizing tabs after rule change', 'EventService', error);
+      }
+
+      // Rule changes may add, move or remove schedule boundaries
+      await this.scheduleRuleBoundaryAlarm();
+    };
+
+    this.unsubscribeRulesChanged = CategoryManager.onRulesChanged(onRulesChanged);
+    this.listeners.set('rulesChanged', onRulesChanged);
+
+    debugUtils.debug('Rule event listeners registered', 'EventService');
+  }
+
+  /**
+   * Re-categorize tabs when a scheduled rule starts or stops applying
+   */
+  setupAlarmEventListeners() {
+    const onAlarm = async (alarm) => {
+      if (alarm.name !== ALARM_NAMES.RULE_SCHEDULE) return;
+
+      try {
+        debugUtils.info('Rule schedule boundary reached', 'EventService');
+        await CategoryManager.notifyRulesChanged('scheduleBoundary');
+      } catch (error) {
+        debugUtils.error('Error handling rule schedule alarm', 'EventService', error);
+      }
+    };
+
+    chrome.alarms.onAlarm.addListener(onAlarm);
+    this.listeners.set('alarm', onAlarm);
+
+    this.scheduleRuleBoundaryAlarm();
+
+    debugUtils.debug('Alarm event listeners registered', 'EventService');
+  }
+
+  /**
+   * Stop reading page metadata on hosts whose permission the user revoked
+   */
+  setupPermissionEventListeners() {
+    const onPermissionsRemoved = async () => {
+      try {
+        const changes = await PageMetadataManager.handlePermissionsRemoved();
+        this.eventStats.tabsRecategorized += changes.length;
+
+        if (changes.length > 0) {
+          await MessageService.notifyUI(MESSAGE_TYPES.TABS_RECATEGORIZED, { reason: 'permissionsRemoved', changes });
+        }
+      } catch (error) {
+        debugUtils.error('Error handling removed permissions', 'EventService', error);
+      }
+    };
+
+    chrome.permissions.onRemoved.addListener(onPermissionsRemoved);
+    this.listeners.set('permissionsRemoved', onPermissionsRemoved);
+
+    debugUtils.debug('Permission event listeners registered', 'EventService');
+  }
+
+  /**
+   * Point the schedule alarm at the next rule schedule boundary, or clear it when no rule has a schedule
+   */
+  async scheduleRuleBoundaryAlarm() {
+    try {
+      const when = CategoryManager.getNextScheduleBoundary();
+
+      if (when === null) {
+        await chrome.alarms.clear(ALARM_NAMES.RULE_SCHEDULE);
+        return;
+      }
+
+      await chrome.alarms.create(ALARM_NAMES.RULE_SCHEDULE, { when });
+      debugUtils.debug(`Next rule schedule boundary: ${new Date(when).toISOString()}`, 'EventService');
+    } catch (error) {
+      debugUtils.error('Failed to schedule rule boundary alarm', 'EventService', error);
+    }
+  }
+
   /**
    * Handle first installation
    */
@@ -403,6 +501,10 @@ class EventService {
     try {
       // Note: Chrome extension event listeners are automatically cleaned up
       // when the service worker terminates, but we can clear our references
+      if (this.unsubscribeRulesChanged) {
+        this.unsubscribeRulesChanged();
+        this.unsubscribeRulesChanged = null;
+      }
       this.listeners.clear();
       this.resetEventStats();
       
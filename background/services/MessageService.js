@@ -3,9 +3,13 @@
  * Handles all chrome.runtime messaging with proper error handling and routing
  */
 
-import { MESSAGE_TYPES, ERROR_MESSAGES } from '../../shared/constants/AppConstants.js';
+import { CATEGORIZATION_STORAGE_KEYS, MESSAGE_TYPES, ERROR_MESSAGES } from '../../shared/constants/AppConstants.js';
+import CategorizationEngine from '../../shared/utils/CategorizationEngine.js';
 import debugUtils from '../../shared/utils/DebugUtils.js';
 import TabManager from '../managers/TabManager.js';
+import CategoryManager from '../managers/CategoryManager.js';
+import PageMetadataManager from '../managers/PageMetadataManager.js';
+import StorageManager from '../managers/StorageManager.js';
 
 class MessageService {
   constructor() {
@@ -53,47 +57,17 @@ class MessageService {
     // Get all tabs
     this.registerHandler(MESSAGE_TYPES.GET_ALL_TABS, async () => {
       try {
-        // Get tabs directly from Chrome API as fallback
-        const chromeTabs = await chrome.tabs.query({});
-        
-        // Simple categorization fallback
-        const categorizedTabs = chromeTabs.map(tab => ({
-          id: tab.id,
-          title: tab.title || 'Loading...',
-          url: tab.url || '',
-          favIconUrl: tab.favIconUrl || '',
-          active: tab.active || false,
-          pinned: tab.pinned || false,
-          windowId: tab.windowId,
-          createdAt: Date.now(),
-          lastAccessed: Date.now(),
-          accessCount: 0,
-          category: this.simpleCategorizationFallback(tab)
-        }));
-
-        // Count categories
-        const categories = {};
-        categorizedTabs.forEach(tab => {
-          const category = tab.category || 'other';
-          categories[category] = (categories[category] || 0) + 1;
-        });
-
-        return { 
-          success: true, 
-          data: {
-            tabs: categorizedTabs,
-            categories: categories,
-            totalCount: categorizedTabs.length
-          }
-        };
+        if (TabManager.isReady()) {
+          return { 
+            success: true, 
+            data: await TabManager.getAllTabsWithCategories() 
+          };
+        }
       } catch (error) {
-        console.error('Error in GET_ALL_TABS:', error);
-        return { 
-          success: false, 
-          error: error.message,
-          data: { tabs: [], categories: {}, totalCount: 0 }
-        };
+        debugUtils.warn('TabManager unavailable, using simple categorization', 'MessageService', error);
       }
+
+      return await this.getFallbackTabs();
     });
 
     // Refresh tabs
@@ -124,10 +98,102 @@ class MessageService {
       }
     });
 
-    // Move tabs (simplified)
+    // Move tabs to a category (manual correction)
     this.registerHandler(MESSAGE_TYPES.MOVE_TABS, async (message) => {
-      // For now, just return success - actual categorization can be added later
-      return { success: true, movedCount: message.tabIds?.length || 0 };
+      try {
+        const tabIds = Array.isArray(message.tabIds) ? message.tabIds : [];
+        if (tabIds.length === 0) {
+          throw new Error('No tabs to move');
+        }
+
+        if (!CategoryManager.hasCategory(message.category)) {
+          throw new Error(`Invalid category: ${message.category}`);
+        }
+
+        const movedCount = await TabManager.moveTabs(tabIds, message.category, {
+          lock: message.lock !== false
+        });
+        return { success: true, data: { movedCount } };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Lock or unlock a tab's category
+    this.registerHandler(MESSAGE_TYPES.SET_CATEGORY_LOCK, async (message) => {
+      try {
+        const result = await TabManager.setCategoryLock(message.tabId, message.locked);
+        return { success: true, data: result };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Add or remove tags on a tab
+    this.registerHandler(MESSAGE_TYPES.UPDATE_TAB_TAGS, async (message) => {
+      try {
+        const tab = await TabManager.updateTabTags(message.tabId, {
+          add: message.add,
+          remove: message.remove
+        });
+        return { success: true, data: tab };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Explain why a tab is in its category
+    this.registerHandler(MESSAGE_TYPES.EXPLAIN_CATEGORY, async (message) => {
+      try {
+        const tab = TabManager.getTabById(message.tabId) || message.tab;
+        if (!tab) {
+          throw new Error(`Tab not found: ${message.tabId}`);
+        }
+
+        return { success: true, data: CategoryManager.explainCategory(tab) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Rule suggestions from repeated manual moves
+    this.registerHandler(MESSAGE_TYPES.GET_RULE_SUGGESTIONS, async () => {
+      try {
+        return { success: true, data: TabManager.getRuleSuggestions() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    this.registerHandler(MESSAGE_TYPES.ACCEPT_RULE_SUGGESTION, async (message) => {
+      try {
+        const suggestion = await TabManager.acceptRuleSuggestion(message.suggestionId);
+        return { success: true, data: suggestion };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    this.registerHandler(MESSAGE_TYPES.DISMISS_RULE_SUGGESTION, async (message) => {
+      try {
+        await TabManager.dismissRuleSuggestion(message.suggestionId);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Page metadata read by the content script on an opted-in host
+    this.registerHandler(MESSAGE_TYPES.PAGE_METADATA, async (message, sender) => {
+      try {
+        const change = await PageMetadataManager.handlePageMetadata(sender, message.metadata);
+        if (change) {
+          await this.notifyUI(MESSAGE_TYPES.TABS_RECATEGORIZED, { reason: 'pageMetadata', changes: [change] });
+        }
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
     });
 
     // Reorder tabs (simplified)
@@ -138,38 +204,82 @@ class MessageService {
   }
 
   /**
-   * Simple categorization fallback when full system isn't ready
+   * Build the tab list straight from the Chrome API when TabManager isn't ready
    */
-  simpleCategorizationFallback(tab) {
-    if (!tab.url) return 'other';
-    
-    const url = tab.url.toLowerCase();
-    const title = (tab.title || '').toLowerCase();
-    
-    // Simple domain-based categorization
-    if (url.includes('github.com') || url.includes('stackoverflow.com') || title.includes('code')) {
-      return 'development';
-    }
-    if (url.includes('youtube.com') || url.includes('netflix.com') || url.includes('spotify.com')) {
-      return 'entertainment';
-    }
-    if (url.includes('twitter.com') || url.includes('facebook.com') || url.includes('linkedin.com')) {
-      return 'social';
-    }
-    if (url.includes('docs.google.com') || url.includes('notion.so') || url.includes('trello.com')) {
-      return 'productivity';
-    }
-    if (url.includes('amazon.com') || url.includes('ebay.com') || title.includes('shop')) {
-      return 'shopping';
+  async getFallbackTabs() {
+    try {
+      // Get tabs directly from Chrome API as fallback
+      const chromeTabs = await chrome.tabs.query({});
+      const engine = await this.getFallbackEngine();
+      const storedTabs = await StorageManager.getTabs();
+      
+      const categorizedTabs = chromeTabs.map(tab => {
+        // Manual, locked and inherited assignments are kept as TabManager would keep them
+        const stored = storedTabs.get(String(tab.id));
+        const assignment = engine.assignStoredTab(tab, stored);
+        return {
+          id: tab.id,
+          title: tab.title || 'Loading...',
+          url: tab.url || '',
+          favIconUrl: tab.favIconUrl || '',
+          active: tab.active || false,
+          pinned: tab.pinned || false,
+          windowId: tab.windowId,
+          createdAt: Date.now(),
+          lastAccessed: Date.now(),
+          accessCount: 0,
+          category: assignment.category,
+          categorySource: assignment.source,
+          categoryLocked: assignment.locked,
+          needsReview: assignment.needsReview,
+          suggestedCategory: assignment.suggestedCategory,
+          confidence: assignment.confidence,
+          runnerUpCategory: assignment.runnerUpCategory,
+          tags: engine.resolveTabTags(assignment.ruleTags, stored)
+        };
+      });
+
+      // Count categories
+      const categories = {};
+      categorizedTabs.forEach(tab => {
+        const category = tab.category || 'other';
+        categories[category] = (categories[category] || 0) + 1;
+      });
+
+      return { 
+        success: true, 
+        data: {
+          tabs: categorizedTabs,
+          categories: categories,
+          totalCount: categorizedTabs.length
+        }
+      };
+    } catch (error) {
+      console.error('Error in GET_ALL_TABS:', error);
+      return { 
+        success: false, 
+        error: error.message,
+        data: { tabs: [], categories: {}, totalCount: 0 }
+      };
     }
-    if (url.includes('news') || url.includes('cnn.com') || url.includes('bbc.com')) {
-      return 'news';
+  }
+
+  /**
+   * Get the engine fallback tabs are categorized with: CategoryManager once it is ready,
+   * otherwise one configured from the stored rules, the same way the popup's fallback does
+   */
+  async getFallbackEngine() {
+    if (CategoryManager.initialized) {
+      return CategoryManager;
     }
-    if (url.includes('wikipedia.org') || title.includes('tutorial') || title.includes('guide')) {
-      return 'reference';
+
+    try {
+      const stored = await chrome.storage.local.get(CATEGORIZATION_STORAGE_KEYS);
+      return new CategorizationEngine().configureFromStorage(stored);
+    } catch (error) {
+      debugUtils.warn('Stored rules unavailable, categorizing with built-in rules', 'MessageService', error);
+      return new CategorizationEngine().configure();
     }
-    
-    return 'other';
   }
 
   /**
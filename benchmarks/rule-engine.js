@@ -0,0 +1,155 @@
+/**
+ * Rule engine benchmark
+ * Matches 1,000 synthetic tabs against thousands of domain and keyword rules,
+ * once with the precompiled RuleIndex and once with the linear scan it replaced,
+ * then categorizes the same tabs end to end with CategorizationEngine while the
+ * custom rule cap (LIMITS.MAX_CUSTOM_RULES) is filled with every rule type
+ *
+ * Run from the repository root:
+ *   node --experimental-default-type=module benchmarks/rule-engine.js   (Node 20)
+ *   node benchmarks/rule-engine.js                                      (Node 22.7+)
+ * Optional arguments: rule count per type, tab count (defaults 5000 and 1000)
+ */
+
+/* eslint-env node */
+
+import { DOMAIN_MATCH_MODES, LIMITS } from '../shared/constants/AppConstants.js';
+import CategorizationEngine from '../shared/utils/CategorizationEngine.js';
+import DomainUtils from '../shared/utils/DomainUtils.js';
+import RuleIndex from '../shared/utils/RuleIndex.js';
+
+const RULE_COUNT = Number(process.argv[2]) || 5000;
+const TAB_COUNT = Number(process.argv[3]) || 1000;
+const CATEGORIES = ['development', 'social', 'productivity', 'entertainment', 'shopping', 'news', 'reference'];
+const MODES = [DOMAIN_MATCH_MODES.SUBDOMAIN, DOMAIN_MATCH_MODES.EXACT, DOMAIN_MATCH_MODES.SUFFIX];
+
+/**
+ * Build a merged rule set with RULE_COUNT domain and keyword rules spread over the categories
+ */
+function createRules() {
+  const rules = Object.fromEntries(CATEGORIES.map(category => [
+    category,
+    { domains: [], keywords: [], options: {} }
+  ]));
+
+  for (let i = 0; i < RULE_COUNT; i++) {
+    const domainRules = rules[CATEGORIES[i % CATEGORIES.length]];
+    const domain = `site${i}.example${i % 50}.com`;
+    domainRules.domains.push(domain);
+    domainRules.options[`domain:${domain}`] = { mode: MODES[i % MODES.length] };
+
+    rules[CATEGORIES[(i + 3) % CATEGORIES.length]].keywords.push(`topic${i}`);
+  }
+
+  return rules;
+}
+
+/**
+ * Build tabs of which roughly half hit a domain rule and most mention a keyword
+ */
+function createTabs() {
+  return Array.from({ length: TAB_COUNT }, (_, i) => {
+    const ruleIndex = (i * 7919) % RULE_COUNT;
+    const host = i % 2 === 0
+      ? `www.app.site${ruleIndex}.example${ruleIndex % 50}.com`
+      : `unknown${i}.org`;
+    const url = `https://${host}/path/topic${(i * 104729) % (RULE_COUNT * 2)}/item?id=${i}`;
+    const title = `Page ${i} about topic${(i * 31) % RULE_COUNT} and other things`;
+    return { hostname: host, url: url.toLowerCase(), title: title.toLowerCase() };
+  });
+}
+
+/**
+ * Build a custom rule set at the rule cap: 40% domain, 40% keyword, 15% pattern and 5% expression rules
+ * Pattern and expression rules are not indexed, so they are the part that grows linearly
+ */
+function createCustomRules() {
+  const customRules = Object.fromEntries(CATEGORIES.map(category => [
+    category,
+    { domains: [], keywords: [], patterns: [], expressions: [], options: {} }
+  ]));
+
+  for (let i = 0; i < LIMITS.MAX_CUSTOM_RULES; i++) {
+    const rules = customRules[CATEGORIES[i % CATEGORIES.length]];
+    const slot = i % 20;
+
+    if (slot < 8) {
+      const domain = `site${i}.example${i % 50}.com`;
+      rules.domains.push(domain);
+      rules.options[`domain:${domain}`] = { mode: MODES[i % MODES.length] };
+    } else if (slot < 16) {
+      rules.keywords.push(`topic${i}`);
+    } else if (slot < 19) {
+      rules.patterns.push(`*.site${i}.example${i % 50}.com/path/topic${i}`);
+    } else {
+      rules.expressions.push(`host endsWith site${i}.example${i % 50}.com AND title contains "topic${i}"`);
+    }
+  }
+
+  return customRules;
+}
+
+const getDomainMode = (rules, domain) => rules.options[`domain:${domain}`]?.mode || DOMAIN_MATCH_MODES.SUBDOMAIN;
+
+/**
+ * Linear scan over every rule, as CategoryManager did before the index
+ */
+function matchLinear(mergedRules, { hostname, url, title }) {
+  let matched = 0;
+  Object.values(mergedRules).forEach(rules => {
+    matched += rules.domains.filter(domain => DomainUtils.matchesDomain(hostname, domain, getDomainMode(rules, domain))).length;
+    matched += rules.keywords.filter(keyword => url.includes(keyword) || title.includes(keyword)).length;
+  });
+  return matched;
+}
+
+/**
+ * Indexed lookup
+ */
+function matchIndexed(index, { hostname, url, title }) {
+  let matched = 0;
+  index.match(hostname, url, title).forEach(({ domains, keywords }) => {
+    matched += domains.size + keywords.size;
+  });
+  return matched;
+}
+
+/**
+ * Time a function, returning its result and the elapsed milliseconds
+ */
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+const mergedRules = createRules();
+const tabs = createTabs();
+
+const build = time(() => new RuleIndex(mergedRules, getDomainMode));
+const indexed = time(() => tabs.map(tab => matchIndexed(build.result, tab)));
+const linear = time(() => tabs.map(tab => matchLinear(mergedRules, tab)));
+
+const mismatches = indexed.result.filter((count, i) => count !== linear.result[i]).length;
+const totalMatches = indexed.result.reduce((total, count) => total + count, 0);
+
+// CategorizationEngine has no assignment cache, so every tab is scored in full
+const customRules = createCustomRules();
+const engineTabs = tabs.map((tab, i) => ({ id: i, url: tab.url, title: tab.title, accessCount: i % 5, lastAccessed: Date.now() }));
+const configure = time(() => new CategorizationEngine().configure({ customRules }));
+const categorized = time(() => engineTabs.map(tab => configure.result.assignTab(tab).category));
+const filed = categorized.result.filter(category => category !== 'other').length;
+
+console.log(`Rules: ${RULE_COUNT} domains + ${RULE_COUNT} keywords, tabs: ${TAB_COUNT}`);
+console.log('Index stats:', build.result.getStats());
+console.log(`Index build:      ${build.ms.toFixed(1)} ms`);
+console.log(`Indexed matching: ${indexed.ms.toFixed(1)} ms (${(indexed.ms / TAB_COUNT).toFixed(3)} ms per tab)`);
+console.log(`Linear matching:  ${linear.ms.toFixed(1)} ms (${(linear.ms / TAB_COUNT).toFixed(3)} ms per tab)`);
+console.log(`Matched rules: ${totalMatches}, mismatches against linear scan: ${mismatches}`);
+console.log(`Full categorization with ${LIMITS.MAX_CUSTOM_RULES} custom rules (domain, keyword, pattern, expression) plus the defaults:`);
+console.log(`  Engine setup:   ${configure.ms.toFixed(1)} ms`);
+console.log(`  Categorizing:   ${categorized.ms.toFixed(1)} ms (${(categorized.ms / TAB_COUNT).toFixed(3)} ms per tab), ${filed} of ${TAB_COUNT} tabs filed`);
+
+if (mismatches > 0) {
+  process.exitCode = 1;
+}
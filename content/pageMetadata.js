@@ -0,0 +1,70 @@
+/**
+ * Page metadata content script
+ * Reads the page's own description of itself (Open Graph, meta keywords and
+ * generator, JSON-LD types) and sends it to the background for categorization.
+ * Registered only for the hosts the user opted in; runs as a classic script
+ */
+
+(() => {
+  const MAX_JSON_LD_BLOCKS = 10;
+
+  /**
+   * Get the content of the first meta tag with the given name or property
+   */
+  const getMeta = (key) => {
+    const element = document.querySelector(`meta[property="${key}" i], meta[name="${key}" i]`);
+    return element?.content?.trim() || '';
+  };
+
+  /**
+   * Collect the @type values of a JSON-LD node, its @graph and nested arrays
+   */
+  const collectTypes = (node, types) => {
+    if (Array.isArray(node)) {
+      node.forEach(item => collectTypes(item, types));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    [].concat(node['@type'] || []).forEach(type => {
+      if (typeof type === 'string') {
+        // https://schema.org/NewsArticle and schema:NewsArticle both mean NewsArticle
+        types.add(type.replace(/^.*[/:]/, ''));
+      }
+    });
+
+    if (node['@graph']) {
+      collectTypes(node['@graph'], types);
+    }
+  };
+
+  /**
+   * Read the JSON-LD types declared on the page
+   */
+  const getJsonLdTypes = () => {
+    const types = new Set();
+    const scripts = [...document.querySelectorAll('script[type="application/ld+json"]')].slice(0, MAX_JSON_LD_BLOCKS);
+
+    scripts.forEach(script => {
+      try {
+        collectTypes(JSON.parse(script.textContent), types);
+      } catch {
+        // Malformed JSON-LD is common; skip the block
+      }
+    });
+
+    return [...types];
+  };
+
+  const metadata = {
+    ogType: getMeta('og:type'),
+    siteName: getMeta('og:site_name'),
+    keywords: getMeta('keywords').split(',').map(keyword => keyword.trim()).filter(Boolean),
+    jsonLdTypes: getJsonLdTypes(),
+    generator: getMeta('generator')
+  };
+
+  chrome.runtime.sendMessage({ type: 'pageMetadata', metadata }).catch(() => {
+    // The service worker may be restarting; the next page load sends again
+  });
+})();
@@ -0,0 +1,140 @@
+/**
+ * Public suffix list generator
+ * Reads the ICANN and private sections of public_suffix_list.dat and writes
+ * shared/constants/PublicSuffixList.js. Internationalized rules are stored in
+ * punycode, the form hostnames take in tab URLs
+ *
+ * Run from the repository root:
+ *   node --experimental-default-type=module scripts/update-public-suffix-list.js   (Node 20)
+ *   node scripts/update-public-suffix-list.js                                      (Node 22.7+)
+ * Optional argument: path or URL of the list (defaults to the publicsuffix.org copy)
+ */
+
+/* eslint-env node */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { domainToASCII } from 'node:url';
+
+const SOURCE = process.argv[2] || 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT = new URL('../shared/constants/PublicSuffixList.js', import.meta.url);
+const SECTIONS = ['ICANN', 'PRIVATE'];
+const LINE_WIDTH = 100;
+
+/**
+ * Load the list from a URL or a local file
+ */
+async function loadList(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to download ${source}: ${response.status}`);
+    }
+    return response.text();
+  }
+  return readFile(source, 'utf8');
+}
+
+/**
+ * Split the list into its sections and sort each rule into plain, wildcard ("*.") and exception ("!") rules
+ */
+function parseList(text) {
+  const header = {};
+  const sections = Object.fromEntries(SECTIONS.map(name => [name, { suffixes: [], wildcards: [], exceptions: [] }]));
+  let current = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+
+    const marker = line.match(/^\/\/ ===(BEGIN|END) (ICANN|PRIVATE) DOMAINS===$/);
+    if (marker) {
+      current = marker[1] === 'BEGIN' ? marker[2] : null;
+      return;
+    }
+
+    const note = line.match(/^\/\/ (VERSION|COMMIT): (.+)$/);
+    if (note) {
+      header[note[1].toLowerCase()] = note[2];
+      return;
+    }
+
+    if (!current || !line || line.startsWith('//')) return;
+
+    // Only the text up to the first whitespace is the rule
+    const rule = line.split(/\s/)[0];
+    const section = sections[current];
+
+    if (rule.startsWith('!')) {
+      section.exceptions.push(toAscii(rule.slice(1)));
+    } else if (rule.startsWith('*.')) {
+      section.wildcards.push(toAscii(rule.slice(2)));
+    } else if (!rule.includes('*')) {
+      section.suffixes.push(toAscii(rule));
+    } else {
+      console.warn(`Skipping unsupported rule: ${rule}`);
+    }
+  });
+
+  SECTIONS.forEach(name => {
+    if (sections[name].suffixes.length === 0) {
+      throw new Error(`The list has no ${name} section`);
+    }
+  });
+
+  return { header, sections };
+}
+
+function toAscii(domain) {
+  const ascii = domainToASCII(domain);
+  if (!ascii) {
+    throw new Error(`Invalid rule: ${domain}`);
+  }
+  return ascii;
+}
+
+/**
+ * Format rules as quoted, comma-separated entries wrapped at LINE_WIDTH
+ */
+function formatEntries(rules) {
+  const lines = [];
+  let line = '';
+
+  rules.forEach(rule => {
+    const entry = `'${rule}',`;
+    if (line && line.length + entry.length + 1 > LINE_WIDTH - 2) {
+      lines.push(line);
+      line = '';
+    }
+    line = line ? `${line} ${entry}` : entry;
+  });
+  if (line) lines.push(line);
+
+  return lines.map(entry => `  ${entry}`).join('\n').replace(/,$/, '');
+}
+
+function formatSet(name, description, sections, key) {
+  const parts = SECTIONS
+    .filter(section => sections[section][key].length > 0)
+    .map(section => `  // ${section === 'ICANN' ? 'ICANN' : 'Private'} section\n${formatEntries(sections[section][key])}`);
+
+  return `// ${description}\nexport const ${name} = new Set([\n${parts.join(',\n\n')}\n]);\n`;
+}
+
+const { header, sections } = parseList(await loadList(SOURCE));
+const version = [header.version, header.commit && `commit ${header.commit}`].filter(Boolean).join(', ') || 'unknown';
+
+const output = `/**
+ * Public suffix list
+ * ICANN and private sections of https://publicsuffix.org/list/ — generated by
+ * scripts/update-public-suffix-list.js; do not edit by hand
+ * List version: ${version}
+ */
+
+${formatSet('PUBLIC_SUFFIXES', 'Plain rules: the name itself is a public suffix', sections, 'suffixes')}
+${formatSet('PUBLIC_SUFFIX_WILDCARDS', 'Wildcard rules ("*.name"): every label directly under the name is a public suffix', sections, 'wildcards')}
+${formatSet('PUBLIC_SUFFIX_EXCEPTIONS', 'Exception rules ("!name"): the name is registrable despite a wildcard rule', sections, 'exceptions')}`;
+
+await writeFile(OUTPUT, output);
+
+const count = SECTIONS.reduce((total, name) =>
+  total + Object.values(sections[name]).reduce((sum, rules) => sum + rules.length, 0), 0);
+console.log(`Wrote ${count} rules (${version}) to ${OUTPUT.pathname}`);
@@ -27,6 +27,17 @@ export const CATEGORY_ICONS = {
   [CATEGORIES.OTHER]: '📁'
 };
 
+export const CATEGORY_COLORS = {
+  [CATEGORIES.DEVELOPMENT]: '#dbeafe',
+  [CATEGORIES.SOCIAL]: '#fce7f3',
+  [CATEGORIES.PRODUCTIVITY]: '#dcfce7',
+  [CATEGORIES.ENTERTAINMENT]: '#fed7d7',
+  [CATEGORIES.SHOPPING]: '#fef3c7',
+  [CATEGORIES.NEWS]: '#e0e7ff',
+  [CATEGORIES.REFERENCE]: '#f3e8ff',
+  [CATEGORIES.OTHER]: '#f8fafc'
+};
+
 export const CATEGORY_ORDER = [
   CATEGORIES.DEVELOPMENT,
   CATEGORIES.SOCIAL,
@@ -38,6 +49,74 @@ export const CATEGORY_ORDER = [
   CATEGORIES.OTHER
 ];
 
+// Seed for the user-editable category registry
+export const DEFAULT_CATEGORY_REGISTRY = CATEGORY_ORDER.map(id => ({
+  id,
+  name: id.charAt(0).toUpperCase() + id.slice(1),
+  icon: CATEGORY_ICONS[id],
+  color: CATEGORY_COLORS[id],
+  parentId: null,
+  builtIn: true
+}));
+
+export const DEFAULT_CATEGORY_ICON = '🏷️';
+export const DEFAULT_CATEGORY_COLOR = '#e2e8f0';
+
+export const RULE_TYPES = {
+  DOMAIN: 'domain',
+  KEYWORD: 'keyword',
+  PATTERN: 'pattern',
+  EXPRESSION: 'expression'
+};
+
+// Property that holds each rule type inside a category's rule set
+export const RULE_TYPE_KEYS = {
+  [RULE_TYPES.DOMAIN]: 'domains',
+  [RULE_TYPES.KEYWORD]: 'keywords',
+  [RULE_TYPES.PATTERN]: 'patterns',
+  [RULE_TYPES.EXPRESSION]: 'expressions'
+};
+
+// Tab properties a rule expression can test, with the type of value each compares against
+export const RULE_EXPRESSION_FIELDS = {
+  host: 'string',
+  path: 'string',
+  query: 'string',
+  title: 'string',
+  pinned: 'boolean',
+  audible: 'boolean',
+  windowId: 'number'
+};
+
+export const RULE_EXPRESSION_OPERATORS = {
+  string: ['is', 'contains', 'startsWith', 'endsWith'],
+  boolean: ['is'],
+  number: ['is']
+};
+
+export const DOMAIN_MATCH_MODES = {
+  EXACT: 'exact',         // Host equals the rule (www. ignored)
+  SUBDOMAIN: 'subdomain', // Host equals the rule or is one of its subdomains
+  SUFFIX: 'suffix'        // Host shares the rule's registrable domain
+};
+
+export const DEFAULT_DOMAIN_MATCH_MODE = DOMAIN_MATCH_MODES.SUBDOMAIN;
+
+// Where a tab's category came from; locked tabs keep it through re-categorization
+export const CATEGORY_SOURCES = {
+  RULE: 'rule',           // Highest rule score (or "Other" when nothing matched)
+  LEARNED: 'learned',     // Learned corrections changed the rule outcome
+  MANUAL: 'manual',       // Moved by the user
+  INHERITED: 'inherited', // Taken over from another tab
+  UNFILED: 'unfiled'      // Waiting for the user (manual mode or hybrid review)
+};
+
+export const CATEGORIZATION_MODES = {
+  AUTO: 'auto',     // Rules file every tab
+  MANUAL: 'manual', // New tabs stay unfiled until the user moves them
+  HYBRID: 'hybrid'  // Rules file confident matches, the rest waits for review
+};
+
 export const CATEGORY_RULES = {
   [CATEGORIES.DEVELOPMENT]: {
     domains: [
@@ -58,6 +137,10 @@ export const CATEGORY_RULES = {
       'tutorial',
       'debug'
     ],
+    metadata: {
+      types: ['softwaresourcecode', 'softwareapplication', 'techarticle', 'apireference'],
+      generators: ['docusaurus', 'sphinx', 'mkdocs', 'gitbook', 'vitepress', 'gitea']
+    },
     weight: 1.0
   },
   [CATEGORIES.SOCIAL]: {
@@ -71,11 +154,14 @@ export const CATEGORY_RULES = {
       'tiktok.com'
     ],
     keywords: ['social', 'post', 'feed', 'follow', 'chat', 'messenger'],
+    metadata: {
+      types: ['profile', 'profilepage', 'socialmediaposting', 'discussionforumposting'],
+      generators: ['discourse', 'mastodon', 'phpbb', 'lemmy']
+    },
     weight: 0.9
   },
   [CATEGORIES.PRODUCTIVITY]: {
     domains: [
-      'google.com/drive',
       'docs.google.com',
       'notion.so',
       'trello.com',
@@ -85,6 +171,11 @@ export const CATEGORY_RULES = {
       'monday.com'
     ],
     keywords: ['task', 'project', 'document', 'meeting', 'calendar', 'email'],
+    patterns: ['google.com/drive'],
+    metadata: {
+      types: [],
+      generators: ['confluence', 'jira', 'nextcloud', 'outline']
+    },
     weight: 0.8
   },
   [CATEGORIES.ENTERTAINMENT]: {
@@ -97,6 +188,10 @@ export const CATEGORY_RULES = {
       'disneyplus.com'
     ],
     keywords: ['video', 'music', 'stream', 'movie', 'series', 'podcast'],
+    metadata: {
+      types: ['video', 'music', 'videoobject', 'movie', 'tvseries', 'musicrecording', 'podcastepisode', 'videogame'],
+      generators: ['peertube', 'jellyfin']
+    },
     weight: 0.7
   },
   [CATEGORIES.SHOPPING]: {
@@ -109,6 +204,10 @@ export const CATEGORY_RULES = {
       'aliexpress.com'
     ],
     keywords: ['shop', 'store', 'cart', 'checkout', 'buy', 'order'],
+    metadata: {
+      types: ['product', 'offer', 'store'],
+      generators: ['shopify', 'woocommerce', 'magento', 'prestashop', 'bigcommerce']
+    },
     weight: 0.6
   },
   [CATEGORIES.NEWS]: {
@@ -121,6 +220,10 @@ export const CATEGORY_RULES = {
       'news.google.com'
     ],
     keywords: ['news', 'breaking', 'latest', 'article', 'report'],
+    metadata: {
+      types: ['newsarticle', 'reportagenewsarticle', 'liveblogposting'],
+      generators: []
+    },
     weight: 0.6
   },
   [CATEGORIES.REFERENCE]: {
@@ -134,6 +237,10 @@ export const CATEGORY_RULES = {
       'research',
       'study'
     ],
+    metadata: {
+      types: ['book', 'course', 'howto', 'faqpage', 'scholarlyarticle', 'dataset'],
+      generators: ['mediawiki', 'dokuwiki', 'bookstack', 'wiki.js', 'tiddlywiki']
+    },
     weight: 0.6
   },
   [CATEGORIES.OTHER]: {
@@ -152,6 +259,15 @@ export const MESSAGE_TYPES = {
   CLOSE_TAB: 'closeTab',
   MOVE_TABS: 'moveTabs',
   REORDER_TABS: 'reorderTabs',
+  EXPLAIN_CATEGORY: 'explainCategory',
+  SET_CATEGORY_LOCK: 'setCategoryLock',
+  UPDATE_TAB_TAGS: 'updateTabTags',
+  GET_RULE_SUGGESTIONS: 'getRuleSuggestions',
+  ACCEPT_RULE_SUGGESTION: 'acceptRuleSuggestion',
+  DISMISS_RULE_SUGGESTION: 'dismissRuleSuggestion',
+
+  // Content script to background
+  PAGE_METADATA: 'pageMetadata',
   
   // Events
   BACKGROUND_EVENT: 'backgroundEvent',
@@ -159,21 +275,87 @@ export const MESSAGE_TYPES = {
   TAB_UPDATED: 'tabUpdated',
   TAB_REMOVED: 'tabRemoved',
   TABS_MOVED: 'tabsMoved',
-  TABS_REORDERED: 'tabsReordered'
+  TABS_REORDERED: 'tabsReordered',
+  TABS_RECATEGORIZED: 'tabsRecategorized'
 };
 
 export const STORAGE_KEYS = {
   TABS: 'tabs',
   SETTINGS: 'settings',
   CATEGORY_RULES: 'categoryRules',
+  CATEGORY_REGISTRY: 'categoryRegistry',
+  RULE_PROFILES: 'ruleProfiles',
+  CATEGORY_SCORING: 'categoryScoring',
+  LEARNING_MODEL: 'learningModel',
+  MOVE_HISTORY: 'moveHistory',
+  METADATA_HOSTS: 'metadataHosts',
+  RULE_STATS: 'ruleStats',
   LAST_UPDATED: 'lastUpdated'
 };
 
+// Keys that belong to a rule profile; they always hold the active profile's data
+export const RULE_PROFILE_KEYS = [
+  STORAGE_KEYS.CATEGORY_RULES,
+  STORAGE_KEYS.CATEGORY_REGISTRY,
+  STORAGE_KEYS.CATEGORY_SCORING
+];
+
+// Stored values a CategorizationEngine needs to categorize like the background does
+export const CATEGORIZATION_STORAGE_KEYS = [
+  ...RULE_PROFILE_KEYS,
+  STORAGE_KEYS.SETTINGS,
+  STORAGE_KEYS.LEARNING_MODEL
+];
+
+// Content script that reads page metadata on hosts the user opted in
+export const PAGE_METADATA_SCRIPT = {
+  ID: 'page-metadata',
+  FILE: 'content/pageMetadata.js'
+};
+
+export const DEFAULT_RULE_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  icon: '📁'
+};
+
 export const DEFAULT_SETTINGS = {
   autoOrganize: true,
   showNotifications: true,
   theme: 'light',
-  categorization: 'auto'
+  categorization: 'auto',
+  reviewThreshold: 0.5,
+  learningEnabled: true,
+  learningWeight: 1.5,
+  learningOverrideLimit: 0.5
+};
+
+export const LEARNING = {
+  MODEL_VERSION: 1,              // Stored models of another version are discarded
+  MIN_EXAMPLES: 3,               // Corrections needed before predictions are used
+  MIN_CONFIDENCE: 0.6,           // Posterior probability needed to add points
+  MAX_TOKENS_PER_CATEGORY: 2000, // Least frequent tokens are pruned beyond this
+  MAX_TITLE_TOKENS: 12,
+  MAX_PATH_TOKENS: 6,
+  MAX_WEIGHT: 3,
+  MAX_OVERRIDE_LIMIT: 2
+};
+
+export const RULE_SUGGESTIONS = {
+  MIN_MOVES: 3,       // Moves of one host into one category before a rule is offered
+  MAX_HISTORY: 200,   // Oldest moves are dropped beyond this
+  MAX_DISMISSED: 100
+};
+
+export const RULE_STATS = {
+  STALE_DAYS: 30,          // A custom rule that has not matched for this long is flagged as unused
+  MIN_BEATEN_MATCHES: 5,   // Matches, all lost to other categories, before a rule is flagged as shadowed
+  SAVE_BATCH_SIZE: 20,     // Page loads counted before the statistics are saved...
+  SAVE_INTERVAL_MS: 60000  // ...or the time since the last save, whichever comes first
+};
+
+export const ALARM_NAMES = {
+  RULE_SCHEDULE: 'ruleSchedule' // Fires at the next start or end of a scheduled rule
 };
 
 export const DEBOUNCE_DELAYS = {
@@ -184,11 +366,47 @@ export const DEBOUNCE_DELAYS = {
 
 export const LIMITS = {
   MAX_TABS_PER_CATEGORY: 100,
-  MAX_CUSTOM_RULES: 50,
+  MAX_CUSTOM_RULES: 5000, // Domain and keyword rules are indexed, see RuleIndex
+  MAX_ASSIGNMENT_CACHE_SIZE: 2000, // Cached tab categorizations, least recently used dropped first
+  MAX_CATEGORIES: 40,
+  MAX_CATEGORY_DEPTH: 3,
+  MAX_CATEGORY_NAME_LENGTH: 30,
+  MAX_TAG_LENGTH: 30,
+  MAX_TAGS_PER_TAB: 10,
+  MAX_PROFILES: 10,
+  MAX_RULE_LENGTH: 100,
+  MAX_EXPRESSION_LENGTH: 300,
+  MAX_EXPRESSION_DEPTH: 8,
+  MAX_METADATA_HOSTS: 100,
+  MAX_METADATA_KEYWORDS: 20,
+  MAX_METADATA_TYPES: 10,
+  MAX_METADATA_VALUE_LENGTH: 100,
+  MIN_RULE_WEIGHT: -5,
+  MAX_RULE_WEIGHT: -0.1,
   KEYWORD_THRESHOLD: 2,
   MIN_SCORE_THRESHOLD: 0.5
 };
 
+// Scoring values a category uses unless overridden in the settings panel;
+// its weight comes from CATEGORY_RULES (DEFAULT_CATEGORY_WEIGHT for user categories)
+export const DEFAULT_CATEGORY_WEIGHT = 0.6;
+
+export const SCORING_DEFAULTS = {
+  keywordThreshold: LIMITS.KEYWORD_THRESHOLD, // Matched keywords that earn the full weight
+  minScore: LIMITS.MIN_SCORE_THRESHOLD,       // Score the category must exceed to win
+  accessBoost: 0.2,                           // Added for tabs opened more than 3 times, if a rule matched
+  recencyBoost: 0.1                           // Added for tabs used in the last hour, if a rule matched
+};
+
+// Allowed [min, max] for each per-category scoring value
+export const SCORING_RANGES = {
+  weight: [0, 3],
+  keywordThreshold: [1, 10],
+  minScore: [0, 5],
+  accessBoost: [0, 2],
+  recencyBoost: [0, 2]
+};
+
 export const ANIMATION_DURATIONS = {
   SHORT: 150,
   MEDIUM: 300,
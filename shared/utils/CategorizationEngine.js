@@ -0,0 +1,894 @@
+/**
+ * Categorization engine
+ * Scores tabs against a category registry, its rules and scoring settings.
+ * The service worker (through CategoryManager) and the popup's offline fallback
+ * both categorize with this class, so a tab gets the same category on every path
+ */
+
+import {
+  CATEGORIES,
+  CATEGORIZATION_MODES,
+  CATEGORY_RULES,
+  CATEGORY_SOURCES,
+  DEFAULT_CATEGORY_REGISTRY,
+  DEFAULT_CATEGORY_WEIGHT,
+  DEFAULT_DOMAIN_MATCH_MODE,
+  DEFAULT_SETTINGS,
+  LEARNING,
+  LIMITS,
+  RULE_TYPES,
+  RULE_TYPE_KEYS,
+  SCORING_DEFAULTS,
+  STORAGE_KEYS
+} from '../constants/AppConstants.js';
+import debugUtils from './DebugUtils.js';
+import DomainUtils from './DomainUtils.js';
+import LearningModelUtils from './LearningModelUtils.js';
+import RuleIndex from './RuleIndex.js';
+import ScheduleUtils from './ScheduleUtils.js';
+import UrlPatternUtils from './UrlPatternUtils.js';
+import ValidationUtils from './ValidationUtils.js';
+
+class CategorizationEngine {
+  constructor() {
+    this.categories = DEFAULT_CATEGORY_REGISTRY.map(category => ({ ...category }));
+    this.customRules = {};
+    this.mergedRules = {};
+    this.scoring = {};
+    this.ruleIndexes = new WeakMap(); // Merged rule set -> its RuleIndex
+    this.mode = DEFAULT_SETTINGS.categorization;
+    this.reviewThreshold = DEFAULT_SETTINGS.reviewThreshold;
+    this.learning = {
+      enabled: DEFAULT_SETTINGS.learningEnabled,
+      weight: DEFAULT_SETTINGS.learningWeight,
+      overrideLimit: DEFAULT_SETTINGS.learningOverrideLimit
+    };
+    this.learnedModel = null; // Stored learning model and its vocabulary, when configured from storage
+    this.learnedVocabulary = new Set();
+  }
+
+  /**
+   * Replace the registry, custom rules, scoring overrides or categorization settings and merge the rules again
+   * Parts that are not given keep their current value
+   */
+  configure({ categories, customRules, scoring, mode, reviewThreshold, learning, learnedModel } = {}) {
+    if (categories) this.categories = categories.map(category => ({ ...category }));
+    if (customRules) this.customRules = customRules;
+    if (scoring) this.scoring = scoring;
+    if (mode) this.mode = mode;
+    if (reviewThreshold !== undefined) this.reviewThreshold = reviewThreshold;
+    if (learning) this.learning = { ...this.learning, ...learning };
+    if (learnedModel !== undefined) {
+      this.learnedModel = LearningModelUtils.isCurrentModel(learnedModel) ? learnedModel : null;
+      this.learnedVocabulary = LearningModelUtils.getVocabulary(this.learnedModel);
+    }
+
+    this.mergeRules();
+    return this;
+  }
+
+  /**
+   * Configure from the raw values StorageManager keeps in chrome.storage.local
+   * (see CATEGORIZATION_STORAGE_KEYS), for callers that cannot reach CategoryManager
+   */
+  configureFromStorage(stored = {}) {
+    const registry = stored[STORAGE_KEYS.CATEGORY_REGISTRY];
+    const settings = { ...DEFAULT_SETTINGS, ...stored[STORAGE_KEYS.SETTINGS] };
+
+    return this.configure({
+      categories: Array.isArray(registry) && registry.length > 0 ? registry : DEFAULT_CATEGORY_REGISTRY,
+      customRules: stored[STORAGE_KEYS.CATEGORY_RULES] || {},
+      scoring: stored[STORAGE_KEYS.CATEGORY_SCORING] || {},
+      mode: settings.categorization,
+      reviewThreshold: settings.reviewThreshold,
+      learning: {
+        enabled: settings.learningEnabled,
+        weight: settings.learningWeight,
+        overrideLimit: settings.learningOverrideLimit
+      },
+      learnedModel: stored[STORAGE_KEYS.LEARNING_MODEL] || null
+    });
+  }
+
+  /**
+   * Merge default and custom rules and build their index
+   */
+  mergeRules() {
+    this.mergedRules = this.buildMergedRules(this.customRules);
+    this.getRuleIndex(this.mergedRules);
+  }
+
+  /**
+   * Predict a category from learned corrections, or null without a model
+   * CategoryManager plugs in the background's live model; elsewhere the stored model is used
+   */
+  predictCategory(tab, categoryIds) {
+    return this.learnedModel
+      ? LearningModelUtils.predict(this.learnedModel, this.learnedVocabulary, tab, categoryIds)
+      : null;
+  }
+
+  /**
+   * Decide a tab's category and where it came from, honoring the categorization mode
+   * A locked tab keeps its stored category; every other tab is scored again
+   */
+  assignTab(tab) {
+    const createAssignment = (category, source, extra = {}) => ({
+      category,
+      source,
+      locked: false,
+      needsReview: false,
+      suggestedCategory: null,
+      confidence: null,
+      runnerUpCategory: null,
+      ruleTags: [],
+      ...extra
+    });
+
+    try {
+      // Rule tags apply even when the category itself is kept
+      if (tab.categoryLocked && this.hasCategory(tab.category)) {
+        return createAssignment(tab.category, tab.categorySource || CATEGORY_SOURCES.MANUAL, {
+          locked: true,
+          ruleTags: this.getRuleTags(tab)
+        });
+      }
+
+      // Manual mode files nothing; tabs that were already filed stay where they are
+      if (this.mode === CATEGORIZATION_MODES.MANUAL) {
+        const ruleTags = this.getRuleTags(tab);
+        return this.hasCategory(tab.category) && tab.categorySource && tab.categorySource !== CATEGORY_SOURCES.UNFILED
+          ? createAssignment(tab.category, tab.categorySource, { ruleTags })
+          : createAssignment(CATEGORIES.OTHER, CATEGORY_SOURCES.UNFILED, { ruleTags });
+      }
+
+      // A tab opened from another one takes the opener's category until its own rules win
+      const inheritedCategory = this.getInheritedCategory(tab);
+
+      // Skip categorization for invalid tabs
+      if (!tab.url || !tab.title) {
+        return inheritedCategory
+          ? createAssignment(inheritedCategory, CATEGORY_SOURCES.INHERITED)
+          : createAssignment(CATEGORIES.OTHER, CATEGORY_SOURCES.RULE);
+      }
+
+      const assignment = this.getAssignment(tab);
+
+      if (inheritedCategory && assignment.category === CATEGORIES.OTHER) {
+        debugUtils.debug(`Tab inherited category: ${tab.title} -> ${inheritedCategory}`, 'CategorizationEngine');
+        return createAssignment(inheritedCategory, CATEGORY_SOURCES.INHERITED, {
+          confidence: assignment.confidence,
+          runnerUpCategory: assignment.runnerUpCategory,
+          ruleTags: assignment.ruleTags
+        });
+      }
+
+      // Hybrid mode only files confident matches; the rest waits for review
+      if (this.mode === CATEGORIZATION_MODES.HYBRID && assignment.confidence < this.reviewThreshold) {
+        debugUtils.debug(`Tab needs review: ${tab.title} (${assignment.confidence.toFixed(2)})`, 'CategorizationEngine');
+        return createAssignment(CATEGORIES.OTHER, CATEGORY_SOURCES.UNFILED, {
+          needsReview: true,
+          suggestedCategory: assignment.category === CATEGORIES.OTHER ? null : assignment.category,
+          confidence: assignment.confidence,
+          runnerUpCategory: assignment.runnerUpCategory,
+          ruleTags: assignment.ruleTags
+        });
+      }
+
+      debugUtils.debug(`Categorized tab: ${tab.title} -> ${assignment.category} (${assignment.source})`, 'CategorizationEngine');
+      return createAssignment(assignment.category, assignment.source, {
+        confidence: assignment.confidence,
+        runnerUpCategory: assignment.runnerUpCategory,
+        ruleTags: assignment.ruleTags
+      });
+    } catch (error) {
+      debugUtils.error('Failed to categorize tab', 'CategorizationEngine', error);
+      return createAssignment(CATEGORIES.OTHER, CATEGORY_SOURCES.RULE);
+    }
+  }
+
+  /**
+   * Assign a live tab the way TabManager would, given the record stored for it (if any):
+   * the stored category, source and lock carry over, and page metadata for the same URL
+   */
+  assignStoredTab(tab, stored = null) {
+    return this.assignTab({
+      ...tab,
+      previousUrl: stored?.url,
+      category: stored?.category,
+      categorySource: stored?.categorySource,
+      categoryLocked: Boolean(stored?.categoryLocked),
+      metadata: stored?.url === tab.url ? stored.metadata || null : null
+    });
+  }
+
+  /**
+   * Combine a tab's rule tags (minus those the user removed) with the user's own tags,
+   * as kept in the stored tab data
+   */
+  resolveTabTags(ruleTags, stored = null) {
+    const removedTags = stored?.removedTags || [];
+    return ValidationUtils.sanitizeTags([
+      ...ruleTags.filter(tag => !removedTags.includes(tag)),
+      ...(stored?.userTags || [])
+    ]);
+  }
+
+  /**
+   * Get the category a tab falls back to when no category scores above its threshold:
+   * its opener's (openerCategory, set on new tabs) or the one it already inherited,
+   * unless the tab has since navigated to another site (previousUrl is the URL it had)
+   */
+  getInheritedCategory(tab) {
+    const keepsInherited = tab.categorySource === CATEGORY_SOURCES.INHERITED &&
+      !this.hasChangedSite(tab.previousUrl, tab.url);
+    const category = tab.openerCategory || (keepsInherited ? tab.category : null);
+
+    return category && category !== CATEGORIES.OTHER && this.hasCategory(category) ? category : null;
+  }
+
+  /**
+   * Check whether a navigation left the site a tab was on
+   * Pages without a site (new tab page, about:blank) neither start nor end a visit to one
+   */
+  hasChangedSite(previousUrl, url) {
+    const previousSite = DomainUtils.getSite(previousUrl);
+    const site = DomainUtils.getSite(url);
+    return Boolean(previousSite && site && previousSite !== site);
+  }
+
+  /**
+   * Score a tab under the active rules; CategoryManager answers from its assignment cache
+   */
+  getAssignment(tab) {
+    return this.calculateAssignment(tab);
+  }
+
+  /**
+   * Build merged rules for a custom rule set without touching the active rules
+   * Scoring overrides replace the category weight and fill in rules.scoring
+   */
+  buildMergedRules(customRules, scoring = this.scoring) {
+    const mergedRules = {};
+
+    // Only categories present in the registry take part in scoring
+    this.categories.forEach(({ id }) => {
+      const defaults = CATEGORY_RULES[id] || { 
+        domains: [], 
+        keywords: [], 
+        weight: DEFAULT_CATEGORY_WEIGHT 
+      };
+      const { weight = defaults.weight, ...scoringOverrides } = scoring[id] || {};
+      const custom = customRules[id] || {};
+
+      mergedRules[id] = {
+        ...defaults,
+        domains: [
+          ...(defaults.domains || []),
+          ...(custom.domains || [])
+        ],
+        keywords: [
+          ...(defaults.keywords || []),
+          ...(custom.keywords || [])
+        ],
+        patterns: [
+          ...(defaults.patterns || []),
+          ...(custom.patterns || [])
+        ],
+        expressions: [
+          ...(defaults.expressions || []),
+          ...(custom.expressions || [])
+        ],
+        options: {
+          ...(defaults.options || {}),
+          ...(custom.options || {})
+        },
+        weight,
+        scoring: { ...SCORING_DEFAULTS, ...scoringOverrides },
+        // Kept so scoring can tell explicit user rules from built-in defaults
+        custom
+      };
+    });
+
+    return mergedRules;
+  }
+
+  /**
+   * Get the precompiled index of a merged rule set, building it on first use
+   */
+  getRuleIndex(mergedRules = this.mergedRules) {
+    let index = this.ruleIndexes.get(mergedRules);
+    if (!index) {
+      const startTime = debugUtils.startTimer('Build Rule Index');
+      index = new RuleIndex(mergedRules, (rules, domain) => this.getDomainMode(rules, domain));
+      this.ruleIndexes.set(mergedRules, index);
+      debugUtils.endTimer('Build Rule Index', startTime);
+      debugUtils.debug('Built rule index', 'CategorizationEngine', index.getStats());
+    }
+    return index;
+  }
+
+  /**
+   * Calculate category based on URL and title analysis
+   */
+  calculateCategory(tab, mergedRules = this.mergedRules) {
+    return this.calculateAssignment(tab, mergedRules).category;
+  }
+
+  /**
+   * Calculate category, confidence and runner-up, and whether the rules or the learned model decided it
+   */
+  calculateAssignment(tab, mergedRules = this.mergedRules) {
+    const scores = this.scoreCategories(tab, mergedRules);
+    return {
+      ...this.resolveAssignment(scores),
+      ruleTags: this.collectRuleTags(scores, mergedRules),
+      matchedRules: this.collectMatchedRules(scores)
+    };
+  }
+
+  /**
+   * List the custom rules that matched, with their category; exclusion rules are marked
+   */
+  collectMatchedRules(scores) {
+    return scores.flatMap(entry => [
+      ...[RULE_TYPES.DOMAIN, RULE_TYPES.PATTERN, RULE_TYPES.EXPRESSION, RULE_TYPES.KEYWORD]
+        .flatMap(type => entry[RULE_TYPE_KEYS[type]].matched.map(match => ({ ...match, type }))),
+      ...entry.exclusions.matched.map(match => ({ ...match, exclusion: true }))
+    ]
+      .filter(match => match.userRule)
+      .map(({ type, value, exclusion }) => ({ category: entry.category, type, value, exclusion: Boolean(exclusion) })));
+  }
+
+  /**
+   * Get the tags the matching rules add to a tab
+   */
+  getRuleTags(tab, mergedRules = this.mergedRules) {
+    if (!tab?.url) return [];
+    if (mergedRules === this.mergedRules) {
+      return this.getAssignment(tab).ruleTags;
+    }
+    return this.collectRuleTags(this.scoreCategories(tab, mergedRules), mergedRules);
+  }
+
+  /**
+   * Collect the tags of every matched rule, whichever category wins
+   */
+  collectRuleTags(scores, mergedRules = this.mergedRules) {
+    const tags = scores.flatMap(entry => [
+      ...entry.domains.matched.map(match => [RULE_TYPES.DOMAIN, match.value]),
+      ...entry.patterns.matched.map(match => [RULE_TYPES.PATTERN, match.value]),
+      ...entry.expressions.matched.map(match => [RULE_TYPES.EXPRESSION, match.value]),
+      ...entry.keywords.matched.map(match => [RULE_TYPES.KEYWORD, match.value])
+    ].flatMap(([type, value]) => this.getRuleOptions(mergedRules[entry.category], type, value).tags || []));
+
+    return ValidationUtils.sanitizeTags(tags);
+  }
+
+  /**
+   * Pick the winning category from sorted scores
+   */
+  resolveAssignment(scores) {
+    // The highest-scoring category that exceeds its own minimum score wins
+    const best = scores.find(entry => entry.score > this.getScoreThreshold(entry));
+    const category = best ? best.category : CATEGORIES.OTHER;
+
+    // What the rules alone would have picked, without learned points
+    const ruleBest = scores.reduce((top, entry) => {
+      const ruleScore = entry.score - (entry.learned?.points || 0);
+      return ruleScore > this.getScoreThreshold(entry) && ruleScore > top.score
+        ? { category: entry.category, score: ruleScore }
+        : top;
+    }, { category: CATEGORIES.OTHER, score: 0 });
+
+    // Ancestors only echo points the winner inherited, so they are not rivals
+    const ancestors = this.getAncestorIds(category);
+    const rivals = scores.filter(entry => entry !== best && !ancestors.includes(entry.category));
+    const runnerUp = rivals.find(entry => entry.category !== category && entry.score > 0);
+
+    return {
+      category,
+      source: category === ruleBest.category ? CATEGORY_SOURCES.RULE : CATEGORY_SOURCES.LEARNED,
+      confidence: this.calculateConfidence(best, rivals[0]),
+      runnerUpCategory: runnerUp?.category || null
+    };
+  }
+
+  /**
+   * Confidence in the winner, rounded to two decimals: 1 when nothing else scored, 0 for a tie or no match
+   */
+  calculateConfidence(best, runnerUp) {
+    if (!best || best.score <= this.getScoreThreshold(best)) {
+      return 0;
+    }
+
+    // A rival can outscore the winner when it missed its own (higher) minimum score
+    return Math.max(0, Math.round((1 - (runnerUp?.score || 0) / best.score) * 100) / 100);
+  }
+
+  /**
+   * Minimum score a scored category must exceed to win
+   */
+  getScoreThreshold(entry) {
+    return entry.threshold ?? LIMITS.MIN_SCORE_THRESHOLD;
+  }
+
+  /**
+   * Score every category for a tab, highest first (ties keep registry order)
+   */
+  scoreCategories(tab, mergedRules = this.mergedRules) {
+    const url = tab.url.toLowerCase();
+    const title = (tab.title || '').toLowerCase();
+
+    let hostname;
+    try {
+      hostname = new URL(tab.url).hostname.toLowerCase();
+    } catch {
+      return [];
+    }
+
+    const now = new Date();
+    const overrides = this.getScheduleOverrides(mergedRules, now);
+    const candidates = this.getRuleIndex(mergedRules).match(hostname, url, title, this.getMetadataText(tab.metadata));
+    const noCandidates = { domains: new Set(), keywords: new Map() };
+    const scores = Object.entries(mergedRules)
+      .map(([category, rules]) => ({
+        category,
+        ...this.scoreCategory(hostname, url, title, rules, tab,
+          (type, value) => this.isRuleInEffect(category, rules, type, value, overrides, now),
+          candidates.get(category) || noCandidates)
+      }));
+
+    this.applyInheritedScores(scores);
+    this.applyLearnedScores(scores, tab);
+
+    return scores.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Sub-categories whose own rules matched also collect their ancestors' rule points,
+   * so a docs page scores higher in Development › Docs than in Development
+   */
+  applyInheritedScores(scores) {
+    const rulePoints = new Map(scores.map(entry => [entry.category, this.getRulePoints(entry)]));
+
+    scores.forEach(entry => {
+      entry.inherited = { from: [], points: 0 };
+      if (rulePoints.get(entry.category) <= 0) return;
+
+      this.getAncestorIds(entry.category).forEach(ancestorId => {
+        const points = rulePoints.get(ancestorId) || 0;
+        if (points > 0) {
+          entry.inherited.from.push(ancestorId);
+          entry.inherited.points += points;
+        }
+      });
+      entry.score += entry.inherited.points;
+    });
+  }
+
+  /**
+   * Points a category earned from its own domain, pattern, expression and keyword rules and page metadata,
+   * less any negative weights (an excluded category earns none)
+   */
+  getRulePoints(entry) {
+    if (entry.excluded) return 0;
+    return entry.domains.points + entry.patterns.points + entry.expressions.points + entry.keywords.points +
+      entry.metadata.points + entry.exclusions.points;
+  }
+
+  /**
+   * Add the learned model's points, capped where explicit user rules matched
+   */
+  applyLearnedScores(scores, tab) {
+    const prediction = this.learning.enabled
+      ? this.predictCategory(tab, scores.map(entry => entry.category))
+      : null;
+
+    // The strongest category backed by a user rule bounds what learning may add elsewhere
+    const userRuleScore = Math.max(0, ...scores
+      .filter(entry => entry.userRuleMatched)
+      .map(entry => entry.score));
+
+    scores.forEach(entry => {
+      const probability = prediction?.probabilities[entry.category] || 0;
+      let points = !entry.excluded && probability >= LEARNING.MIN_CONFIDENCE ? probability * this.learning.weight : 0;
+      let capped = false;
+
+      if (points > 0 && userRuleScore > 0 && !entry.userRuleMatched) {
+        const cap = userRuleScore * this.learning.overrideLimit;
+        if (points > cap) {
+          points = cap;
+          capped = true;
+        }
+      }
+
+      entry.learned = { probability, points, capped };
+      entry.score += points;
+    });
+  }
+
+  /**
+   * Calculate score for a specific category
+   */
+  calculateCategoryScore(hostname, url, title, rules, tab) {
+    return this.scoreCategory(hostname, url, title, rules, tab).score;
+  }
+
+  /**
+   * Score a category and record which rules and boosts contributed
+   * isRuleInEffect leaves out rules whose schedule is inactive or that another category claims;
+   * exclusion rules never add points, they rule the category out or lower its score.
+   * candidates holds the category's matching domain and keyword rules from the rule index
+   */
+  scoreCategory(hostname, url, title, rules, tab,
+    isRuleInEffect = (type, value) => this.isRuleInEffect(null, rules, type, value, new Map()),
+    candidates = this.findRuleCandidates(hostname, url, title, rules, this.getMetadataText(tab.metadata))) {
+    const scoring = rules.scoring || SCORING_DEFAULTS;
+    const breakdown = {
+      score: 0,
+      weight: rules.weight,
+      threshold: scoring.minScore,
+      domains: { matched: [], points: 0 },
+      patterns: { matched: [], points: 0 },
+      expressions: { matched: [], points: 0 },
+      keywords: { matched: [], points: 0 },
+      metadata: { matched: [], points: 0 },
+      exclusions: { matched: [], points: 0 },
+      boosts: { accessCount: 0, recency: 0 },
+      userRuleMatched: false,
+      excluded: false
+    };
+    const isUserRule = (key, value) => Boolean(rules.custom?.[key]?.includes(value));
+    const isScheduled = (type, value) => Boolean(this.getRuleOptions(rules, type, value).schedule);
+    const isExclusion = (type, value) => this.isExclusionRule(this.getRuleOptions(rules, type, value));
+    const isScoringRule = (type, value) => !isExclusion(type, value) && isRuleInEffect(type, value);
+    const expressionContext = rules.expressions?.length > 0
+      ? this.getExpressionContext(tab, hostname, title)
+      : null;
+
+    // Domains and keywords come from the rule index; patterns and expressions are tested one by one
+    const matchedByType = {
+      [RULE_TYPES.DOMAIN]: [...candidates.domains],
+      [RULE_TYPES.PATTERN]: (rules.patterns || []).filter(pattern => UrlPatternUtils.matches(pattern, tab.url)),
+      [RULE_TYPES.EXPRESSION]: expressionContext
+        ? rules.expressions.filter(expression => this.matchesExpression(expression, expressionContext))
+        : [],
+      [RULE_TYPES.KEYWORD]: [...candidates.keywords.keys()]
+    };
+
+    // Domain matching (strong indicator)
+    breakdown.domains.matched = matchedByType[RULE_TYPES.DOMAIN]
+      .filter(domain => isScoringRule(RULE_TYPES.DOMAIN, domain))
+      .map(domain => ({
+        value: domain,
+        mode: this.getDomainMode(rules, domain),
+        userRule: isUserRule('domains', domain),
+        scheduled: isScheduled(RULE_TYPES.DOMAIN, domain)
+      }));
+    if (breakdown.domains.matched.length > 0) {
+      breakdown.domains.points = rules.weight * 2;
+    }
+
+    // URL pattern matching (more specific than a bare domain, so it wins ties)
+    breakdown.patterns.matched = matchedByType[RULE_TYPES.PATTERN]
+      .filter(pattern => isScoringRule(RULE_TYPES.PATTERN, pattern))
+      .map(pattern => ({
+        value: pattern,
+        userRule: isUserRule('patterns', pattern),
+        scheduled: isScheduled(RULE_TYPES.PATTERN, pattern)
+      }));
+    if (breakdown.patterns.matched.length > 0) {
+      breakdown.patterns.points = rules.weight * 2.5;
+    }
+
+    // Rule expressions combine several conditions, so they are the most specific rules
+    breakdown.expressions.matched = matchedByType[RULE_TYPES.EXPRESSION]
+      .filter(expression => isScoringRule(RULE_TYPES.EXPRESSION, expression))
+      .map(expression => ({
+        value: expression,
+        userRule: isUserRule('expressions', expression),
+        scheduled: isScheduled(RULE_TYPES.EXPRESSION, expression)
+      }));
+    if (breakdown.expressions.matched.length > 0) {
+      breakdown.expressions.points = rules.weight * 3;
+    }
+
+    // Keyword matching in URL, title and page metadata
+    breakdown.keywords.matched = matchedByType[RULE_TYPES.KEYWORD]
+      .filter(keyword => isScoringRule(RULE_TYPES.KEYWORD, keyword))
+      .map(keyword => ({
+        value: keyword,
+        ...candidates.keywords.get(keyword),
+        userRule: isUserRule('keywords', keyword),
+        scheduled: isScheduled(RULE_TYPES.KEYWORD, keyword)
+      }));
+
+    if (breakdown.keywords.matched.length > 0) {
+      breakdown.keywords.points = (breakdown.keywords.matched.length / scoring.keywordThreshold) * rules.weight;
+    }
+
+    // Page metadata from the content script (og:type, JSON-LD @type, generator) that hints at the category
+    breakdown.metadata.matched = this.matchMetadataSignals(rules.metadata, tab.metadata);
+    if (breakdown.metadata.matched.length > 0) {
+      breakdown.metadata.points = rules.weight * 1.5;
+    }
+
+    // Exclusion rules of any type: "exclude" rules the category out, a negative weight lowers its score
+    breakdown.exclusions.matched = Object.entries(matchedByType)
+      .flatMap(([type, values]) => values.map(value => ({ type, value })))
+      .filter(({ type, value }) => isExclusion(type, value) && isRuleInEffect(type, value))
+      .map(({ type, value }) => {
+        const { exclude, weight } = this.getRuleOptions(rules, type, value);
+        return {
+          type,
+          value,
+          exclude: Boolean(exclude),
+          weight: exclude ? 0 : weight,
+          userRule: isUserRule(RULE_TYPE_KEYS[type], value),
+          scheduled: isScheduled(type, value)
+        };
+      });
+    breakdown.excluded = breakdown.exclusions.matched.some(match => match.exclude);
+    breakdown.exclusions.points = breakdown.exclusions.matched.reduce((sum, match) => sum + match.weight, 0);
+
+    const ruleScore = breakdown.domains.points +
+      breakdown.patterns.points +
+      breakdown.expressions.points +
+      breakdown.keywords.points +
+      breakdown.metadata.points +
+      breakdown.exclusions.points;
+
+    // Boosts only strengthen a category the rules already point to; added to every
+    // category, a boost of at least minScore would let any category win
+    if (ruleScore > 0) {
+      // Boost for frequently accessed tabs
+      if (this.isFrequentlyAccessed(tab)) {
+        breakdown.boosts.accessCount = scoring.accessBoost;
+      }
+
+      // Boost for recently accessed tabs
+      if (this.isRecentlyAccessed(tab)) {
+        breakdown.boosts.recency = scoring.recencyBoost;
+      }
+    }
+
+    breakdown.userRuleMatched = [breakdown.domains, breakdown.patterns, breakdown.expressions, breakdown.keywords]
+      .some(group => group.matched.some(match => match.userRule));
+
+    const score = ruleScore + breakdown.boosts.accessCount + breakdown.boosts.recency;
+    breakdown.score = breakdown.excluded ? 0 : Math.max(0, score);
+
+    return breakdown;
+  }
+
+  /**
+   * Collect the tab properties rule expressions can test
+   */
+  getExpressionContext(tab, hostname, title) {
+    let path = '';
+    let query = '';
+    try {
+      const urlObj = new URL(tab.url);
+      path = urlObj.pathname.toLowerCase();
+      query = urlObj.search.slice(1).toLowerCase();
+    } catch {
+      // Scoring already rejected URLs that do not parse
+    }
+
+    return {
+      host: DomainUtils.normalizeHost(hostname),
+      path,
+      query,
+      title,
+      pinned: Boolean(tab.pinned),
+      audible: Boolean(tab.audible),
+      windowId: tab.windowId
+    };
+  }
+
+  /**
+   * Check whether a tab was opened often enough for the access boost
+   */
+  isFrequentlyAccessed(tab) {
+    return Boolean(tab.accessCount && tab.accessCount > 3);
+  }
+
+  /**
+   * Check whether a tab was used within the last hour, for the recency boost
+   */
+  isRecentlyAccessed(tab) {
+    return Boolean(tab.lastAccessed && Date.now() - tab.lastAccessed < 3600000);
+  }
+
+  /**
+   * Lowercase text of the page keywords and site name, which keyword rules are also matched against
+   */
+  getMetadataText(metadata) {
+    return metadata ? [metadata.siteName, ...metadata.keywords].filter(Boolean).join(' | ') : '';
+  }
+
+  /**
+   * Find the page metadata values that match a category's built-in metadata signals
+   * A type signal also matches its subtypes (video matches og:type video.movie)
+   */
+  matchMetadataSignals(signals, metadata) {
+    if (!signals || !metadata) return [];
+
+    const matchesType = (value) => signals.types.some(type => value === type || value.startsWith(`${type}.`));
+    return [
+      ...(metadata.ogType && matchesType(metadata.ogType) ? [{ field: 'ogType', value: metadata.ogType }] : []),
+      ...metadata.jsonLdTypes.filter(matchesType).map(value => ({ field: 'jsonLdType', value })),
+      ...(metadata.generator && signals.generators.some(generator => metadata.generator.includes(generator))
+        ? [{ field: 'generator', value: metadata.generator }]
+        : [])
+    ];
+  }
+
+  /**
+   * Find a category's matching domain and keyword rules by scanning them, in the rule index's result shape
+   * Used when a rule set is scored on its own rather than through scoreCategories
+   */
+  findRuleCandidates(hostname, url, title, rules, metadataText = '') {
+    const candidates = { domains: new Set(), keywords: new Map() };
+
+    (rules.domains || [])
+      .filter(domain => DomainUtils.matchesDomain(hostname, domain, this.getDomainMode(rules, domain)))
+      .forEach(domain => candidates.domains.add(domain));
+
+    (rules.keywords || []).forEach(keyword => {
+      const lowerKeyword = keyword.toLowerCase();
+      const inUrl = url.includes(lowerKeyword);
+      const inTitle = title.includes(lowerKeyword);
+      const inMetadata = metadataText.includes(lowerKeyword);
+      if (inUrl || inTitle || inMetadata) {
+        candidates.keywords.set(keyword, { inUrl, inTitle, inMetadata });
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Test a rule expression against a tab's expression context
+   */
+  matchesExpression(expression, context) {
+    try {
+      return this.evaluateExpression(ValidationUtils.parseRuleExpression(expression), context);
+    } catch (error) {
+      debugUtils.debug(`Expression did not match: ${expression}`, 'CategorizationEngine', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Evaluate a parsed rule expression node
+   */
+  evaluateExpression(node, context) {
+    switch (node.op) {
+      case 'and':
+        return node.args.every(arg => this.evaluateExpression(arg, context));
+      case 'or':
+        return node.args.some(arg => this.evaluateExpression(arg, context));
+      case 'not':
+        return !this.evaluateExpression(node.arg, context);
+    }
+
+    const actual = context[node.field];
+    if (typeof node.value !== 'string') {
+      return actual === node.value;
+    }
+
+    const text = typeof actual === 'string' ? actual : '';
+    switch (node.operator) {
+      case 'contains':
+        return text.includes(node.value);
+      case 'startsWith':
+        return text.startsWith(node.value);
+      case 'endsWith':
+        return text.endsWith(node.value);
+      case 'is':
+      default:
+        return text === node.value;
+    }
+  }
+
+  /**
+   * Key for a rule's entry in a rule set's options map
+   */
+  getRuleOptionKey(type, value) {
+    return `${type}:${value}`;
+  }
+
+  /**
+   * Get the options stored for a single rule
+   */
+  getRuleOptions(rules, type, value) {
+    return rules?.options?.[this.getRuleOptionKey(type, value)] || {};
+  }
+
+  /**
+   * Map the rule keys of scheduled rules that are active right now to their category
+   * While active, such a rule takes the same domain, pattern or keyword away from other categories
+   */
+  getScheduleOverrides(mergedRules, date = new Date()) {
+    const overrides = new Map();
+
+    Object.entries(mergedRules).forEach(([category, rules]) => {
+      Object.entries(rules.options || {}).forEach(([key, options]) => {
+        if (options.schedule && !this.isExclusionRule(options) && ScheduleUtils.isActive(options.schedule, date)) {
+          overrides.set(key, category);
+        }
+      });
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Check whether a rule's options make it an exclusion (exclude flag or negative weight)
+   */
+  isExclusionRule(options = {}) {
+    return Boolean(options.exclude) || options.weight < 0;
+  }
+
+  /**
+   * Check whether a rule counts for a category right now: its schedule (if any) is active
+   * and no active scheduled rule of another category claims the same value
+   */
+  isRuleInEffect(category, rules, type, value, overrides, date = new Date()) {
+    const owner = overrides.get(this.getRuleOptionKey(type, value));
+    if (owner && owner !== category) {
+      return false;
+    }
+
+    const { schedule } = this.getRuleOptions(rules, type, value);
+    return !schedule || ScheduleUtils.isActive(schedule, date);
+  }
+
+  /**
+   * Get the time of the next start or end of any scheduled rule, or null when no rule has a schedule
+   */
+  getNextScheduleBoundary(date = new Date()) {
+    const boundaries = Object.values(this.mergedRules)
+      .flatMap(rules => Object.values(rules.options || {}))
+      .filter(options => options.schedule)
+      .map(options => ScheduleUtils.getNextBoundary(options.schedule, date))
+      .filter(Boolean)
+      .map(boundary => boundary.getTime());
+
+    return boundaries.length > 0 ? Math.min(...boundaries) : null;
+  }
+
+  /**
+   * Get the match mode of a domain rule
+   */
+  getDomainMode(rules, domain) {
+    return this.getRuleOptions(rules, RULE_TYPES.DOMAIN, domain).mode || DEFAULT_DOMAIN_MATCH_MODE;
+  }
+
+  /**
+   * Check whether a category exists in the registry
+   */
+  hasCategory(categoryId) {
+    return this.categories.some(category => category.id === categoryId);
+  }
+
+  /**
+   * Get a category's ancestors, nearest first
+   */
+  getAncestorIds(categoryId) {
+    const ancestors = [];
+    let parentId = this.categories.find(category => category.id === categoryId)?.parentId;
+
+    // The length guard stops on a corrupted (circular) registry
+    while (parentId && !ancestors.includes(parentId) && ancestors.length < this.categories.length) {
+      ancestors.push(parentId);
+      parentId = this.categories.find(category => category.id === parentId)?.parentId;
+    }
+
+    return ancestors;
+  }
+}
+
+export default CategorizationEngine;
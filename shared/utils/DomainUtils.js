@@ -0,0 +1,130 @@
+/**
+ * Domain matching utilities
+ * Exact, subdomain and registrable-domain (public suffix aware) host matching
+ */
+
+import { DOMAIN_MATCH_MODES } from '../constants/AppConstants.js';
+import { PUBLIC_SUFFIXES, PUBLIC_SUFFIX_EXCEPTIONS, PUBLIC_SUFFIX_WILDCARDS } from '../constants/PublicSuffixList.js';
+
+class DomainUtils {
+  /**
+   * Normalize a host or domain rule for comparison
+   */
+  normalizeHost(host) {
+    if (!host || typeof host !== 'string') return '';
+
+    return host
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .split(/[/?#:]/)[0]
+      .replace(/\.$/, '')
+      .replace(/^www\./, '');
+  }
+
+  /**
+   * Check whether a domain is itself a public suffix
+   */
+  isPublicSuffix(domain) {
+    const host = this.normalizeHost(domain);
+    return this.getPublicSuffix(host) === host;
+  }
+
+  /**
+   * Get the public suffix of a host (longest matching rule, else the TLD)
+   * Names are checked longest first, so the first rule that matches is the longest;
+   * an exception rule ("!name") makes the name's parent the suffix
+   */
+  getPublicSuffix(host) {
+    const labels = this.normalizeHost(host).split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+      const candidate = labels.slice(i).join('.');
+      if (PUBLIC_SUFFIX_EXCEPTIONS.has(candidate)) {
+        return labels.slice(i + 1).join('.');
+      }
+      if (PUBLIC_SUFFIXES.has(candidate) || PUBLIC_SUFFIX_WILDCARDS.has(labels.slice(i + 1).join('.'))) {
+        return candidate;
+      }
+    }
+
+    return labels[labels.length - 1];
+  }
+
+  /**
+   * Get the registrable domain (public suffix plus one label)
+   * Returns null when the host is a public suffix or an IP address
+   */
+  getRegistrableDomain(host) {
+    const normalized = this.normalizeHost(host);
+    if (!normalized || this.isIpAddress(normalized)) {
+      return null;
+    }
+
+    const suffix = this.getPublicSuffix(normalized);
+    if (normalized === suffix) {
+      return null;
+    }
+
+    const labels = normalized.slice(0, -(suffix.length + 1)).split('.');
+    return `${labels[labels.length - 1]}.${suffix}`;
+  }
+
+  /**
+   * Get the site of a web page URL: its registrable domain, or its host when it has none
+   * Returns null for URLs that are not http(s) pages (new tab page, about:blank)
+   */
+  getSite(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (!/^https?:$/.test(urlObj.protocol)) {
+      return null;
+    }
+
+    const host = this.normalizeHost(urlObj.hostname);
+    return this.getRegistrableDomain(host) || host;
+  }
+
+  /**
+   * Check whether a host looks like an IPv4 or IPv6 address
+   */
+  isIpAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':') || host.startsWith('[');
+  }
+
+  /**
+   * Match a hostname against a domain rule in the given mode
+   */
+  matchesDomain(hostname, domain, mode = DOMAIN_MATCH_MODES.SUBDOMAIN) {
+    const host = this.normalizeHost(hostname);
+    const rule = this.normalizeHost(domain);
+
+    if (!host || !rule) return false;
+
+    switch (mode) {
+      case DOMAIN_MATCH_MODES.EXACT:
+        return host === rule;
+
+      case DOMAIN_MATCH_MODES.SUFFIX: {
+        // A rule on a public suffix (e.g. github.io) can only mean "anything under it"
+        const ruleDomain = this.getRegistrableDomain(rule);
+        if (!ruleDomain) {
+          return host === rule || host.endsWith(`.${rule}`);
+        }
+        return this.getRegistrableDomain(host) === ruleDomain;
+      }
+
+      case DOMAIN_MATCH_MODES.SUBDOMAIN:
+      default:
+        return host === rule || host.endsWith(`.${rule}`);
+    }
+  }
+}
+
+// Create singleton instance
+export default new DomainUtils();
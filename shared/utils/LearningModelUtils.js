@@ -0,0 +1,128 @@
+/**
+ * Learning model utilities
+ * Feature extraction and naive Bayes prediction over a stored learning model, shared by
+ * LearningManager and every CategorizationEngine that categorizes from stored data
+ */
+
+import { LEARNING } from '../constants/AppConstants.js';
+import DomainUtils from './DomainUtils.js';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'your', 'you', 'are',
+  'was', 'how', 'what', 'why', 'www', 'com', 'html', 'htm', 'php', 'index',
+  'http', 'https', 'new', 'home', 'page'
+]);
+
+class LearningModelUtils {
+  /**
+   * Check that a stored model has the current format
+   */
+  isCurrentModel(model) {
+    return model?.version === LEARNING.MODEL_VERSION && Boolean(model.categories);
+  }
+
+  /**
+   * Collect every token the model has seen
+   */
+  getVocabulary(model) {
+    const vocabulary = new Set();
+    Object.values(model?.categories || {}).forEach(stats => {
+      Object.keys(stats.tokens).forEach(token => vocabulary.add(token));
+    });
+    return vocabulary;
+  }
+
+  /**
+   * Extract (domain, path tokens, title tokens) features from a tab
+   */
+  extractFeatures(tab) {
+    const features = [];
+
+    let urlObj;
+    try {
+      urlObj = new URL(tab.url);
+    } catch {
+      return features;
+    }
+
+    if (!/^https?:$/.test(urlObj.protocol)) {
+      return features;
+    }
+
+    const hostname = DomainUtils.normalizeHost(urlObj.hostname);
+    const domain = DomainUtils.getRegistrableDomain(hostname) || hostname;
+    features.push(`domain:${domain}`);
+    if (hostname !== domain) {
+      features.push(`host:${hostname}`);
+    }
+
+    this.tokenize(urlObj.pathname)
+      .slice(0, LEARNING.MAX_PATH_TOKENS)
+      .forEach(token => features.push(`path:${token}`));
+
+    this.tokenize(tab.title || '')
+      .slice(0, LEARNING.MAX_TITLE_TOKENS)
+      .forEach(token => features.push(`title:${token}`));
+
+    return [...new Set(features)];
+  }
+
+  /**
+   * Split text into lowercase word tokens, dropping noise
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length >= 3 && !/^\d+$/.test(token) && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Predict a category for a tab among the candidate categories
+   * Untrained candidates compete with a uniform likelihood, so a model that
+   * has only seen one category cannot claim every tab for it
+   */
+  predict(model, vocabulary, tab, candidateCategories = Object.keys(model?.categories || {})) {
+    if (!model || model.totalExamples < LEARNING.MIN_EXAMPLES) {
+      return null;
+    }
+
+    const features = this.extractFeatures(tab).filter(token => vocabulary.has(token));
+    if (features.length === 0 || candidateCategories.length === 0) {
+      return null;
+    }
+
+    const vocabularySize = vocabulary.size;
+    const totalExamples = model.totalExamples;
+    const categoryCount = candidateCategories.length;
+
+    const logScores = candidateCategories.map(category => {
+      const stats = model.categories[category] || { examples: 0, tokenTotal: 0, tokens: {} };
+      let logScore = Math.log((stats.examples + 1) / (totalExamples + categoryCount));
+
+      features.forEach(token => {
+        logScore += Math.log(((stats.tokens[token] || 0) + 1) / (stats.tokenTotal + vocabularySize));
+      });
+
+      return logScore;
+    });
+
+    // Normalize in log space to avoid underflow
+    const maxLog = Math.max(...logScores);
+    const exps = logScores.map(score => Math.exp(score - maxLog));
+    const total = exps.reduce((sum, value) => sum + value, 0);
+
+    const probabilities = {};
+    candidateCategories.forEach((category, index) => {
+      probabilities[category] = exps[index] / total;
+    });
+
+    const [category, probability] = Object.entries(probabilities)
+      .sort(([, a], [, b]) => b - a)[0];
+
+    return { category, probability, probabilities, features };
+  }
+}
+
+// Create singleton instance
+export default new LearningModelUtils();
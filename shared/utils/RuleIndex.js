@@ -0,0 +1,266 @@
+/**
+ * Precompiled rule index
+ * Finds the domain and keyword rules that match a tab without scanning every rule:
+ * domain rules sit in a trie of reversed host labels (plus a map of registrable
+ * domains for "same site" rules) and keywords in an Aho-Corasick automaton, so a
+ * lookup costs about the length of the host, URL and title, not the rule count
+ */
+
+import { DOMAIN_MATCH_MODES } from '../constants/AppConstants.js';
+import DomainUtils from './DomainUtils.js';
+
+/**
+ * Trie of reversed host labels (com → github → gist)
+ */
+class HostTrie {
+  constructor() {
+    this.root = this.createNode();
+    this.size = 0;
+  }
+
+  createNode() {
+    return { children: new Map(), entries: [] };
+  }
+
+  /**
+   * Add a rule entry under a normalized host
+   */
+  insert(host, entry) {
+    let node = this.root;
+    host.split('.').reverse().forEach(label => {
+      if (!node.children.has(label)) {
+        node.children.set(label, this.createNode());
+      }
+      node = node.children.get(label);
+    });
+
+    node.entries.push(entry);
+    this.size++;
+  }
+
+  /**
+   * Collect the entries of a host and of every parent domain
+   * Exact-host entries only match the host itself
+   */
+  lookup(host) {
+    const labels = host.split('.').reverse();
+    const matches = [];
+    let node = this.root;
+
+    for (let i = 0; i < labels.length; i++) {
+      node = node.children.get(labels[i]);
+      if (!node) break;
+
+      const isHost = i === labels.length - 1;
+      node.entries.forEach(entry => {
+        if (isHost || entry.mode !== DOMAIN_MATCH_MODES.EXACT) {
+          matches.push(entry);
+        }
+      });
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * Aho-Corasick automaton that finds every keyword occurring in a text in one pass
+ */
+class KeywordAutomaton {
+  constructor() {
+    // Node 0 is the root; output is the keyword ending here, dictionary the next node that has one
+    this.nodes = [this.createNode()];
+    this.size = 0;
+  }
+
+  createNode() {
+    return { next: new Map(), fail: 0, output: null, dictionary: 0 };
+  }
+
+  /**
+   * Add a lowercase keyword; build() must run before searching
+   */
+  add(keyword) {
+    let index = 0;
+    for (const char of keyword) {
+      let next = this.nodes[index].next.get(char);
+      if (next === undefined) {
+        next = this.nodes.length;
+        this.nodes.push(this.createNode());
+        this.nodes[index].next.set(char, next);
+      }
+      index = next;
+    }
+
+    if (this.nodes[index].output === null) {
+      this.nodes[index].output = keyword;
+      this.size++;
+    }
+  }
+
+  /**
+   * Compute failure and dictionary links breadth-first
+   */
+  build() {
+    const queue = [...this.nodes[0].next.values()];
+
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      const node = this.nodes[index];
+
+      node.next.forEach((child, char) => {
+        let fail = node.fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(char)) {
+          fail = this.nodes[fail].fail;
+        }
+
+        const candidate = this.nodes[fail].next.get(char);
+        const childNode = this.nodes[child];
+        childNode.fail = candidate !== undefined && candidate !== child ? candidate : 0;
+        childNode.dictionary = this.nodes[childNode.fail].output !== null
+          ? childNode.fail
+          : this.nodes[childNode.fail].dictionary;
+
+        queue.push(child);
+      });
+    }
+  }
+
+  /**
+   * Get the set of keywords that occur in a lowercase text
+   */
+  search(text) {
+    const found = new Set();
+    if (this.size === 0 || !text) return found;
+
+    let index = 0;
+    for (const char of text) {
+      while (index !== 0 && !this.nodes[index].next.has(char)) {
+        index = this.nodes[index].fail;
+      }
+      index = this.nodes[index].next.get(char) ?? 0;
+
+      for (let match = index; match !== 0; match = this.nodes[match].dictionary) {
+        if (this.nodes[match].output !== null) {
+          found.add(this.nodes[match].output);
+        }
+      }
+    }
+
+    return found;
+  }
+}
+
+class RuleIndex {
+  /**
+   * Index the domain and keyword rules of a merged rule set
+   * getDomainMode(rules, domain) resolves each domain rule's match mode
+   */
+  constructor(mergedRules, getDomainMode) {
+    this.hosts = new HostTrie();
+    this.sites = new Map();
+    this.keywords = new KeywordAutomaton();
+    this.keywordEntries = new Map();
+
+    Object.entries(mergedRules).forEach(([category, rules]) => {
+      new Set(rules.domains || []).forEach(domain => {
+        this.addDomain(category, domain, getDomainMode(rules, domain));
+      });
+
+      new Set(rules.keywords || []).forEach(keyword => {
+        this.addKeyword(category, keyword);
+      });
+    });
+
+    this.keywords.build();
+  }
+
+  /**
+   * Add a domain rule; "same site" rules are keyed by their registrable domain
+   */
+  addDomain(category, value, mode) {
+    const host = DomainUtils.normalizeHost(value);
+    if (!host) return;
+
+    const entry = { category, value, mode };
+
+    // A "same site" rule on a public suffix (e.g. github.io) matches like a subdomain rule
+    const site = mode === DOMAIN_MATCH_MODES.SUFFIX ? DomainUtils.getRegistrableDomain(host) : null;
+    if (site) {
+      if (!this.sites.has(site)) {
+        this.sites.set(site, []);
+      }
+      this.sites.get(site).push(entry);
+    } else {
+      this.hosts.insert(host, entry);
+    }
+  }
+
+  /**
+   * Add a keyword rule
+   */
+  addKeyword(category, value) {
+    const keyword = value.toLowerCase();
+    if (!keyword) return;
+
+    if (!this.keywordEntries.has(keyword)) {
+      this.keywordEntries.set(keyword, []);
+      this.keywords.add(keyword);
+    }
+    this.keywordEntries.get(keyword).push({ category, value });
+  }
+
+  /**
+   * Find the matching domain and keyword rules, grouped by category
+   * url, title and metadataText (page keywords and site name) must already be lowercase. Returns a Map of
+   * category to { domains: Set of rule values, keywords: Map of rule value to { inUrl, inTitle, inMetadata } }
+   */
+  match(hostname, url, title, metadataText = '') {
+    const matches = new Map();
+    const getCategoryMatches = (category) => {
+      if (!matches.has(category)) {
+        matches.set(category, { domains: new Set(), keywords: new Map() });
+      }
+      return matches.get(category);
+    };
+
+    const host = DomainUtils.normalizeHost(hostname);
+    if (host) {
+      const siteEntries = this.sites.size > 0
+        ? this.sites.get(DomainUtils.getRegistrableDomain(host)) || []
+        : [];
+
+      [...this.hosts.lookup(host), ...siteEntries].forEach(({ category, value }) => {
+        getCategoryMatches(category).domains.add(value);
+      });
+    }
+
+    const inUrl = this.keywords.search(url);
+    const inTitle = this.keywords.search(title);
+    const inMetadata = this.keywords.search(metadataText);
+    new Set([...inUrl, ...inTitle, ...inMetadata]).forEach(keyword => {
+      this.keywordEntries.get(keyword).forEach(({ category, value }) => {
+        getCategoryMatches(category).keywords.set(value, {
+          inUrl: inUrl.has(keyword),
+          inTitle: inTitle.has(keyword),
+          inMetadata: inMetadata.has(keyword)
+        });
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Get index size statistics
+   */
+  getStats() {
+    return {
+      domainRules: this.hosts.size + [...this.sites.values()].reduce((total, entries) => total + entries.length, 0),
+      keywords: this.keywords.size,
+      automatonNodes: this.keywords.nodes.length
+    };
+  }
+}
+
+export default RuleIndex;
@@ -0,0 +1,85 @@
+/**
+ * Weekly schedule utilities
+ * Evaluates rule schedules against the local time and finds the next boundary
+ *
+ * Schedule format:
+ *   { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }
+ *   days use Date#getDay numbering (0 = Sunday); a window whose end is before
+ *   its start runs past midnight and belongs to the day it starts on
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+class ScheduleUtils {
+  /**
+   * Convert an HH:MM string to minutes after midnight (NaN when malformed)
+   */
+  parseTime(time) {
+    const match = typeof time === 'string' ? /^(\d{1,2}):(\d{2})$/.exec(time.trim()) : null;
+    if (!match) return NaN;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : NaN;
+  }
+
+  /**
+   * Format minutes after midnight as HH:MM
+   */
+  formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check whether a schedule is active at the given time
+   */
+  isActive(schedule, date = new Date()) {
+    const start = this.parseTime(schedule.start);
+    const end = this.parseTime(schedule.end);
+    const day = date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    if (start < end) {
+      return schedule.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight window: the evening of a listed day or the morning after it
+    const previousDay = (day + 6) % 7;
+    return (schedule.days.includes(day) && minutes >= start) ||
+      (schedule.days.includes(previousDay) && minutes < end);
+  }
+
+  /**
+   * Get the next time after the given date at which the schedule starts or ends
+   * Returns null when the schedule lists no days
+   */
+  getNextBoundary(schedule, date = new Date()) {
+    if (!schedule.days?.length) return null;
+
+    const start = this.parseTime(schedule.start);
+    const end = this.parseTime(schedule.end);
+    const endOffset = end > start ? end : end + MINUTES_PER_DAY;
+    const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+    // An overnight window that began yesterday may still end today
+    for (let dayOffset = -1; dayOffset <= 7; dayOffset++) {
+      const dayStart = new Date(midnight);
+      dayStart.setDate(midnight.getDate() + dayOffset);
+      if (!schedule.days.includes(dayStart.getDay())) continue;
+
+      const boundaries = [start, endOffset]
+        .map(offset => new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate(), 0, offset))
+        .filter(boundary => boundary > date);
+
+      if (boundaries.length > 0) {
+        return boundaries[0];
+      }
+    }
+
+    return null;
+  }
+}
+
+// Create singleton instance
+export default new ScheduleUtils();
@@ -0,0 +1,271 @@
+/**
+ * URL pattern utilities
+ * Parses and matches URL pattern rules with host wildcards, path prefixes,
+ * query-parameter conditions and regular expressions
+ *
+ * Pattern syntax:
+ *   google.com/search          host (or any subdomain) + path prefix
+ *   *.atlassian.net            atlassian.net and any subdomain
+ *   jira-*.example.com         * inside the host matches one label fragment
+ *   youtube.com/watch?list     query parameter must be present
+ *   google.com/search?tbm=isch query parameter must equal a value (* allowed)
+ *   /^https:\/\/[^/]+\/wiki\//  regular expression tested against the full URL
+ */
+
+import { LIMITS } from '../constants/AppConstants.js';
+import debugUtils from './DebugUtils.js';
+
+class UrlPatternUtils {
+  constructor() {
+    this.cache = new Map();
+    this.maxCacheSize = LIMITS.MAX_CUSTOM_RULES + 500; // Room for every pattern rule plus built-ins
+    this.hostRegex = /^(\*|(\*\.)?[a-z0-9*-]+(\.[a-z0-9*-]+)*)(:\d+)?$/;
+  }
+
+  /**
+   * Check whether a rule value should be treated as a URL pattern
+   */
+  looksLikePattern(value) {
+    if (!value || typeof value !== 'string') return false;
+
+    const trimmed = value.trim();
+    return this.isRegexPattern(trimmed) || /[/?*]/.test(trimmed);
+  }
+
+  /**
+   * Check whether a pattern uses the /regex/flags form
+   */
+  isRegexPattern(pattern) {
+    return /^\/.+\/[a-z]*$/.test(pattern);
+  }
+
+  /**
+   * Parse a pattern string into a matcher description
+   */
+  parse(pattern) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('Pattern must be a non-empty string');
+    }
+
+    const trimmed = pattern.trim();
+    if (this.cache.has(trimmed)) {
+      return this.cache.get(trimmed);
+    }
+
+    const parsed = this.isRegexPattern(trimmed)
+      ? this.parseRegex(trimmed)
+      : this.parseUrlPattern(trimmed);
+
+    if (this.cache.size >= this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(trimmed, parsed);
+
+    return parsed;
+  }
+
+  /**
+   * Parse the /regex/flags form
+   */
+  parseRegex(pattern) {
+    const lastSlash = pattern.lastIndexOf('/');
+    const source = pattern.slice(1, lastSlash);
+    const flags = pattern.slice(lastSlash + 1);
+
+    if (/[^gimsuy]/.test(flags)) {
+      throw new Error(`Invalid regular expression flags: ${flags}`);
+    }
+
+    try {
+      // Stateful flags would make test() depend on the previous call
+      return {
+        type: 'regex',
+        regex: new RegExp(source, flags.replace(/[gy]/g, '') || 'i')
+      };
+    } catch (error) {
+      // SyntaxError messages already read "Invalid regular expression: ..."
+      throw new Error(error.message);
+    }
+  }
+
+  /**
+   * Parse the host[/path][?query] form
+   */
+  parseUrlPattern(pattern) {
+    const withoutScheme = pattern.toLowerCase().replace(/^[a-z]+:\/\//, '');
+    const queryIndex = withoutScheme.indexOf('?');
+    const hostAndPath = queryIndex === -1 ? withoutScheme : withoutScheme.slice(0, queryIndex);
+    const queryString = queryIndex === -1 ? '' : withoutScheme.slice(queryIndex + 1);
+
+    const slashIndex = hostAndPath.indexOf('/');
+    const host = slashIndex === -1 ? hostAndPath : hostAndPath.slice(0, slashIndex);
+    const path = slashIndex === -1 ? '' : hostAndPath.slice(slashIndex);
+
+    if (!host || !this.hostRegex.test(host)) {
+      throw new Error(`Invalid host in pattern: ${host || '(empty)'}`);
+    }
+
+    return {
+      type: 'url',
+      host,
+      hostRegex: this.compileHost(host),
+      path,
+      pathRegex: path && path !== '/' ? this.compilePath(path) : null,
+      query: this.parseQueryConditions(queryString)
+    };
+  }
+
+  /**
+   * Compile a host glob; a plain host also matches its subdomains
+   */
+  compileHost(host) {
+    if (host === '*') {
+      return /^.*$/;
+    }
+
+    const [hostname, port] = host.split(':');
+    const portSource = port ? `:${port}` : '(:\\d+)?';
+    const source = this.globToSource(hostname.replace(/^\*\./, ''), '[a-z0-9-]*');
+
+    return new RegExp(`^([a-z0-9-]+\\.)*${source}${portSource}$`);
+  }
+
+  /**
+   * Compile a path prefix; /drive matches /drive and /drive/... but not /drivers
+   */
+  compilePath(path) {
+    const source = this.globToSource(path, '.*');
+    const boundary = /[/*]$/.test(path) ? '' : '(/|$)';
+    return new RegExp(`^${source}${boundary}`);
+  }
+
+  /**
+   * Compile a glob into an anchored regex
+   */
+  compileGlob(glob) {
+    return new RegExp(`^${this.globToSource(glob, '.*')}$`);
+  }
+
+  /**
+   * Convert a glob to regex source with the given wildcard expansion
+   */
+  globToSource(glob, wildcard) {
+    return glob
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+      .join(wildcard);
+  }
+
+  /**
+   * Parse k=v&k2 query conditions
+   */
+  parseQueryConditions(queryString) {
+    if (!queryString) return [];
+
+    return queryString
+      .split('&')
+      .filter(Boolean)
+      .map(condition => {
+        const separator = condition.indexOf('=');
+        const key = decodeURIComponent(separator === -1 ? condition : condition.slice(0, separator));
+        const value = separator === -1 ? null : decodeURIComponent(condition.slice(separator + 1));
+
+        if (!key) {
+          throw new Error(`Invalid query condition: ${condition}`);
+        }
+
+        return {
+          key,
+          valueRegex: value === null || value === '*' ? null : this.compileGlob(value)
+        };
+      });
+  }
+
+  /**
+   * Test a URL against a pattern
+   */
+  matches(pattern, url) {
+    if (!url || typeof url !== 'string') return false;
+
+    try {
+      const parsed = this.parse(pattern);
+
+      if (parsed.type === 'regex') {
+        return parsed.regex.test(url);
+      }
+
+      const urlObj = new URL(url);
+      return this.matchesParsed(parsed, urlObj);
+    } catch (error) {
+      debugUtils.debug(`Pattern did not match: ${pattern}`, 'UrlPatternUtils', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Test a parsed URL against a parsed host/path/query pattern
+   */
+  matchesParsed(parsed, urlObj) {
+    if (!parsed.hostRegex.test(urlObj.host.toLowerCase())) {
+      return false;
+    }
+
+    if (parsed.pathRegex && !parsed.pathRegex.test(urlObj.pathname.toLowerCase())) {
+      return false;
+    }
+
+    return parsed.query.every(({ key, valueRegex }) => {
+      const values = urlObj.searchParams.getAll(key);
+      if (values.length === 0) return false;
+      return !valueRegex || values.some(value => valueRegex.test(value.toLowerCase()));
+    });
+  }
+
+  /**
+   * Check whether two patterns can match the same URLs
+   * Host and path globs are compared through sample values with each * filled in, so the
+   * answer is a good guess rather than a proof; regular expressions only overlap when identical
+   */
+  overlaps(patternA, patternB) {
+    try {
+      const a = this.parse(patternA);
+      const b = this.parse(patternB);
+
+      if (a.type === 'regex' || b.type === 'regex') {
+        return patternA.trim() === patternB.trim();
+      }
+
+      const sample = (glob) => glob.replace(/^\*\./, '').replace(/\*/g, 'x');
+      const hostsOverlap = a.host === '*' || b.host === '*' ||
+        a.hostRegex.test(sample(b.host)) || b.hostRegex.test(sample(a.host));
+      const pathsOverlap = !a.pathRegex || !b.pathRegex ||
+        a.pathRegex.test(sample(b.path)) || b.pathRegex.test(sample(a.path));
+
+      return hostsOverlap && pathsOverlap;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Validate a pattern without throwing
+   */
+  validate(pattern) {
+    try {
+      this.parse(pattern);
+      return { valid: true, errors: [] };
+    } catch (error) {
+      return { valid: false, errors: [error.message] };
+    }
+  }
+
+  /**
+   * Clear compiled pattern cache
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Create singleton instance
+export default new UrlPatternUtils();
@@ -3,14 +3,27 @@
  * Provides comprehensive validation functions for user inputs and data integrity
  */
 
-import { CATEGORIES, LIMITS } from '../constants/AppConstants.js';
+import {
+  CATEGORIES,
+  CATEGORIZATION_MODES,
+  LEARNING,
+  LIMITS,
+  RULE_EXPRESSION_FIELDS,
+  RULE_EXPRESSION_OPERATORS,
+  RULE_TYPES,
+  SCORING_RANGES
+} from '../constants/AppConstants.js';
 import debugUtils from './DebugUtils.js';
+import ScheduleUtils from './ScheduleUtils.js';
+import UrlPatternUtils from './UrlPatternUtils.js';
 
 class ValidationUtils {
   constructor() {
     this.emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     this.urlRegex = /^https?:\/\/.+/i;
     this.domainRegex = /^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/i;
+    this.expressionCache = new Map();
+    this.maxExpressionCacheSize = LIMITS.MAX_CUSTOM_RULES;
   }
 
   /**
@@ -49,6 +62,10 @@ class ValidationUtils {
       errors.push(`Invalid category: ${tab.category}`);
     }
 
+    if (tab.tags !== undefined && (!Array.isArray(tab.tags) || tab.tags.some(tag => typeof tag !== 'string'))) {
+      errors.push('Tab tags must be an array of strings');
+    }
+
     if (tab.windowId && (typeof tab.windowId !== 'number' || tab.windowId <= 0)) {
       errors.push('Window ID must be a positive number');
     }
@@ -140,14 +157,14 @@ class ValidationUtils {
   /**
    * Validate category name
    */
-  validateCategory(category) {
+  validateCategory(category, allowedCategories = Object.values(CATEGORIES)) {
     const errors = [];
 
     if (!category || typeof category !== 'string') {
       return { valid: false, errors: ['Category must be a non-empty string'] };
     }
 
-    if (!Object.values(CATEGORIES).includes(category)) {
+    if (!allowedCategories.includes(category)) {
       errors.push(`Invalid category: ${category}`);
     }
 
@@ -157,14 +174,340 @@ class ValidationUtils {
     };
   }
 
+  /**
+   * Validate a category registry entry (name, icon, color)
+   */
+  validateCategoryDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return { valid: false, errors: ['Category definition must be an object'] };
+    }
+
+    const name = typeof definition.name === 'string' ? definition.name.trim() : definition.name;
+    const nameValidation = this.validateStringLength(name, 1, LIMITS.MAX_CATEGORY_NAME_LENGTH, 'Category name');
+    if (!nameValidation.valid) {
+      errors.push(...nameValidation.errors);
+    } else if (/[<>'"&]/.test(name)) {
+      errors.push('Category name contains invalid characters');
+    }
+
+    if (definition.icon !== undefined) {
+      const iconValidation = this.validateStringLength(definition.icon, 1, 8, 'Category icon');
+      if (!iconValidation.valid) {
+        errors.push(...iconValidation.errors);
+      }
+    }
+
+    if (definition.color !== undefined) {
+      const colorValidation = this.validateHexColor(definition.color);
+      if (!colorValidation.valid) {
+        errors.push(...colorValidation.errors);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      sanitized: {
+        name: this.sanitizeString(name || ''),
+        ...(definition.icon !== undefined && { icon: definition.icon.trim() }),
+        ...(definition.color !== undefined && { color: String(definition.color).toLowerCase() })
+      }
+    };
+  }
+
+  /**
+   * Validate a rule profile's name and icon
+   */
+  validateProfileDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return { valid: false, errors: ['Profile definition must be an object'] };
+    }
+
+    // Profiles follow the same naming rules as categories
+    const validation = this.validateCategoryDefinition({ name: definition.name, icon: definition.icon });
+    return {
+      ...validation,
+      errors: validation.errors.map(error => error.replace(/^Category/, 'Profile'))
+    };
+  }
+
+  /**
+   * Infer the rule type of a value when none was given
+   */
+  detectRuleType(value) {
+    if (UrlPatternUtils.looksLikePattern(value)) {
+      return RULE_TYPES.PATTERN;
+    }
+
+    return value.includes('.') ? RULE_TYPES.DOMAIN : RULE_TYPES.KEYWORD;
+  }
+
+  /**
+   * Validate a weekly rule schedule ({ days, start, end })
+   */
+  validateSchedule(schedule) {
+    const errors = [];
+
+    if (!schedule || typeof schedule !== 'object') {
+      return { valid: false, errors: ['Schedule must be an object'] };
+    }
+
+    const days = Array.isArray(schedule.days) ? schedule.days : [];
+    if (days.length === 0) {
+      errors.push('Schedule must list at least one day');
+    } else if (!days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      errors.push('Schedule days must be numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    const start = ScheduleUtils.parseTime(schedule.start);
+    const end = ScheduleUtils.parseTime(schedule.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      errors.push('Schedule start and end must be times like 09:00');
+    } else if (start === end) {
+      errors.push('Schedule start and end must differ');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      sanitized: errors.length === 0
+        ? {
+          days: [...new Set(days)].sort((a, b) => a - b),
+          start: ScheduleUtils.formatTime(start),
+          end: ScheduleUtils.formatTime(end)
+        }
+        : null
+    };
+  }
+
+  /**
+   * Parse a rule expression into a syntax tree (no code is evaluated)
+   *
+   *   title contains "PR" AND host is github.com AND NOT path startsWith /marketplace
+   *
+   * Conditions are `field operator value`; boolean fields may stand alone (`pinned`).
+   * NOT binds tightest, then AND, then OR; parentheses group. Keywords, fields and
+   * operators are case-insensitive and string values compare case-insensitively.
+   * Nodes are { op: 'and' | 'or', args }, { op: 'not', arg } and { field, operator, value }.
+   */
+  parseRuleExpression(text) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      throw new Error('Expression must be a non-empty string');
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length > LIMITS.MAX_EXPRESSION_LENGTH) {
+      throw new Error(`Expression is too long (max ${LIMITS.MAX_EXPRESSION_LENGTH} characters)`);
+    }
+
+    if (this.expressionCache.has(trimmed)) {
+      return this.expressionCache.get(trimmed);
+    }
+
+    const tokens = this.tokenizeRuleExpression(trimmed);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isWord = (token, word) => token?.type === 'word' && token.text.toLowerCase() === word;
+    const describe = (token) => token ? `"${token.text}" at position ${token.position + 1}` : 'end of expression';
+
+    const parseBinary = (keyword, parseOperand, depth) => {
+      const args = [parseOperand(depth)];
+      while (isWord(peek(), keyword)) {
+        index++;
+        args.push(parseOperand(depth));
+      }
+      return args.length === 1 ? args[0] : { op: keyword, args };
+    };
+
+    const parseOr = (depth) => parseBinary('or', parseAnd, depth);
+    const parseAnd = (depth) => parseBinary('and', parseUnary, depth);
+
+    const parseUnary = (depth) => {
+      if (depth > LIMITS.MAX_EXPRESSION_DEPTH) {
+        throw new Error(`Expression is nested too deeply (max ${LIMITS.MAX_EXPRESSION_DEPTH} levels)`);
+      }
+
+      const token = peek();
+      if (isWord(token, 'not')) {
+        index++;
+        return { op: 'not', arg: parseUnary(depth + 1) };
+      }
+
+      if (token?.type === '(') {
+        index++;
+        const node = parseOr(depth + 1);
+        if (peek()?.type !== ')') {
+          throw new Error(`Expected ")" but found ${describe(peek())}`);
+        }
+        index++;
+        return node;
+      }
+
+      return parseCondition();
+    };
+
+    const parseCondition = () => {
+      const fieldToken = peek();
+      const field = fieldToken?.type === 'word'
+        ? Object.keys(RULE_EXPRESSION_FIELDS).find(name => name.toLowerCase() === fieldToken.text.toLowerCase())
+        : null;
+      if (!field) {
+        throw new Error(`Expected a field (${Object.keys(RULE_EXPRESSION_FIELDS).join(', ')}) but found ${describe(fieldToken)}`);
+      }
+      index++;
+
+      const valueType = RULE_EXPRESSION_FIELDS[field];
+      const operators = RULE_EXPRESSION_OPERATORS[valueType];
+      const operatorToken = peek();
+      const operator = operatorToken?.type === 'word'
+        ? operators.find(name => name.toLowerCase() === operatorToken.text.toLowerCase())
+        : null;
+
+      if (!operator) {
+        // A boolean field on its own tests for true
+        if (valueType === 'boolean') {
+          return { field, operator: 'is', value: true };
+        }
+        throw new Error(`Expected ${operators.join(', ')} after ${field} but found ${describe(operatorToken)}`);
+      }
+      index++;
+
+      const valueToken = peek();
+      if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+        throw new Error(`Expected a value after ${field} ${operator} but found ${describe(valueToken)}`);
+      }
+      index++;
+
+      return { field, operator, value: this.parseExpressionValue(field, valueType, valueToken) };
+    };
+
+    const ast = parseOr(0);
+    if (index < tokens.length) {
+      throw new Error(`Unexpected ${describe(peek())}`);
+    }
+
+    if (this.expressionCache.size >= this.maxExpressionCacheSize) {
+      this.expressionCache.delete(this.expressionCache.keys().next().value);
+    }
+    this.expressionCache.set(trimmed, ast);
+
+    return ast;
+  }
+
+  /**
+   * Split a rule expression into parentheses, quoted strings and bare words
+   */
+  tokenizeRuleExpression(text) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < text.length) {
+      const char = text[position];
+
+      if (/\s/.test(char)) {
+        position++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, text: char, position });
+        position++;
+      } else if (char === '"' || char === "'") {
+        let value = '';
+        let end = position + 1;
+        while (end < text.length && text[end] !== char) {
+          // A backslash escapes the quote character or another backslash
+          if (text[end] === '\\' && end + 1 < text.length) {
+            end++;
+          }
+          value += text[end];
+          end++;
+        }
+        if (end >= text.length) {
+          throw new Error(`Unterminated string starting at position ${position + 1}`);
+        }
+        tokens.push({ type: 'string', text: value, position });
+        position = end + 1;
+      } else {
+        const match = /^[^\s()"']+/.exec(text.slice(position));
+        tokens.push({ type: 'word', text: match[0], position });
+        position += match[0].length;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Convert a condition's value token to the field's value type
+   */
+  parseExpressionValue(field, valueType, token) {
+    const { text } = token;
+    if (!text.trim()) {
+      throw new Error(`Expected a value after ${field} but found an empty string`);
+    }
+
+    if (valueType === 'boolean') {
+      if (!/^(true|false)$/i.test(text)) {
+        throw new Error(`${field} must be compared with true or false`);
+      }
+      return text.toLowerCase() === 'true';
+    }
+
+    if (valueType === 'number') {
+      if (!/^\d+$/.test(text)) {
+        throw new Error(`${field} must be compared with a whole number`);
+      }
+      return Number(text);
+    }
+
+    const value = text.toLowerCase();
+    return field === 'host' ? value.replace(/^www\./, '') : value;
+  }
+
+  /**
+   * Format a parsed rule expression as canonical text
+   */
+  formatRuleExpression(node, parentOp = null) {
+    if (node.op === 'not') {
+      return `NOT ${this.formatRuleExpression(node.arg, 'not')}`;
+    }
+
+    if (node.op) {
+      const text = node.args.map(arg => this.formatRuleExpression(arg, node.op)).join(` ${node.op.toUpperCase()} `);
+      // AND binds tighter than OR, and NOT tighter than both
+      return parentOp && parentOp !== 'or' ? `(${text})` : text;
+    }
+
+    if (typeof node.value === 'boolean') {
+      return node.value ? node.field : `${node.field} is false`;
+    }
+
+    const value = String(node.value);
+    const bare = /^[^\s()"'\\]+$/.test(value) && !/^(and|or|not)$/i.test(value);
+    return `${node.field} ${node.operator} ${bare ? value : `"${value.replace(/["\\]/g, '\\$&')}"`}`;
+  }
+
+  /**
+   * Validate a rule expression and return its canonical text
+   */
+  validateRuleExpression(text) {
+    try {
+      const ast = this.parseRuleExpression(text);
+      return { valid: true, errors: [], sanitized: this.formatRuleExpression(ast), ast };
+    } catch (error) {
+      return { valid: false, errors: [error.message], sanitized: null, ast: null };
+    }
+  }
+
   /**
    * Validate custom rule input
    */
-  validateCustomRule(category, value, type = 'auto') {
+  validateCustomRule(category, value, type = 'auto', allowedCategories = Object.values(CATEGORIES)) {
     const errors = [];
 
     // Validate category
-    const categoryValidation = this.validateCategory(category);
+    const categoryValidation = this.validateCategory(category, allowedCategories);
     if (!categoryValidation.valid) {
       errors.push(...categoryValidation.errors);
     }
@@ -174,41 +517,127 @@ class ValidationUtils {
       errors.push('Rule value must be a non-empty string');
     } else {
       const trimmedValue = value.trim();
-      
-      if (trimmedValue.length === 0) {
-        errors.push('Rule value cannot be empty');
-      } else if (trimmedValue.length > 100) {
-        errors.push('Rule value is too long (max 100 characters)');
-      }
 
       // Determine type if auto
       const actualType = type === 'auto' 
-        ? (trimmedValue.includes('.') ? 'domain' : 'keyword')
+        ? this.detectRuleType(trimmedValue)
         : type;
+      const maxLength = actualType === RULE_TYPES.EXPRESSION
+        ? LIMITS.MAX_EXPRESSION_LENGTH
+        : LIMITS.MAX_RULE_LENGTH;
+      
+      if (trimmedValue.length === 0) {
+        errors.push('Rule value cannot be empty');
+      } else if (trimmedValue.length > maxLength) {
+        errors.push(`Rule value is too long (max ${maxLength} characters)`);
+      }
 
       // Validate based on type
-      if (actualType === 'domain') {
+      if (actualType === RULE_TYPES.DOMAIN) {
         if (!this.isValidDomain(trimmedValue)) {
           errors.push('Invalid domain format');
         }
-      } else if (actualType === 'keyword') {
+      } else if (actualType === RULE_TYPES.KEYWORD) {
         // Keywords should not contain certain characters
         if (/[<>'"&]/.test(trimmedValue)) {
           errors.push('Keyword contains invalid characters');
         }
+      } else if (actualType === RULE_TYPES.PATTERN) {
+        const patternValidation = UrlPatternUtils.validate(trimmedValue);
+        if (!patternValidation.valid) {
+          errors.push(...patternValidation.errors);
+        }
+      } else if (actualType === RULE_TYPES.EXPRESSION) {
+        const expressionValidation = this.validateRuleExpression(trimmedValue);
+        if (!expressionValidation.valid) {
+          errors.push(...expressionValidation.errors);
+        }
       } else {
-        errors.push('Rule type must be either "domain" or "keyword"');
+        errors.push(`Rule type must be one of: ${Object.values(RULE_TYPES).join(', ')}`);
       }
     }
 
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    const resolvedType = type === 'auto' && trimmed 
+      ? this.detectRuleType(trimmed)
+      : type;
+
+    let sanitized = this.sanitizeString(trimmed);
+    if (resolvedType === RULE_TYPES.PATTERN) {
+      // Patterns keep & and quotes, which are part of their syntax
+      sanitized = trimmed;
+    } else if (resolvedType === RULE_TYPES.EXPRESSION) {
+      sanitized = this.validateRuleExpression(trimmed).sanitized || trimmed;
+    }
+
     return {
       valid: errors.length === 0,
       errors,
-      sanitized: value ? this.sanitizeString(value.trim()) : '',
-      type: type === 'auto' 
-        ? (value && value.includes('.') ? 'domain' : 'keyword')
-        : type
+      sanitized,
+      type: resolvedType
+    };
+  }
+
+  /**
+   * Validate per-category scoring overrides; null clears a value back to its default
+   */
+  validateScoringSettings(values) {
+    if (!values || typeof values !== 'object') {
+      return { valid: false, errors: ['Scoring settings must be an object'], sanitized: null };
+    }
+
+    const errors = [];
+    const sanitized = {};
+
+    Object.entries(values).forEach(([field, value]) => {
+      const range = SCORING_RANGES[field];
+      if (!range) {
+        errors.push(`Unknown scoring setting: ${field}`);
+        return;
+      }
+      if (value === null) {
+        sanitized[field] = null;
+        return;
+      }
+
+      const validation = this.validateNumberRange(value, range[0], range[1], field);
+      if (validation.valid) {
+        sanitized[field] = Math.round(value * 100) / 100;
+      } else {
+        errors.push(...validation.errors);
+      }
+    });
+
+    return { valid: errors.length === 0, errors, sanitized: errors.length === 0 ? sanitized : null };
+  }
+
+  /**
+   * Validate page metadata sent by the content script
+   * Pages are untrusted, so values are cut to size rather than rejected; empty metadata is null
+   */
+  validatePageMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return { valid: false, errors: ['Page metadata must be an object'], sanitized: null };
+    }
+
+    const clean = (value) => typeof value === 'string'
+      ? value.replace(/\s+/g, ' ').trim().toLowerCase().slice(0, LIMITS.MAX_METADATA_VALUE_LENGTH)
+      : '';
+    const cleanList = (values, limit) => Array.isArray(values)
+      ? [...new Set(values.map(clean).filter(Boolean))].slice(0, limit)
+      : [];
+
+    const sanitized = {
+      ogType: clean(metadata.ogType),
+      siteName: clean(metadata.siteName),
+      keywords: cleanList(metadata.keywords, LIMITS.MAX_METADATA_KEYWORDS),
+      jsonLdTypes: cleanList(metadata.jsonLdTypes, LIMITS.MAX_METADATA_TYPES),
+      generator: clean(metadata.generator)
     };
+    const empty = !sanitized.ogType && !sanitized.siteName && !sanitized.generator &&
+      sanitized.keywords.length === 0 && sanitized.jsonLdTypes.length === 0;
+
+    return { valid: true, errors: [], sanitized: empty ? null : sanitized };
   }
 
   /**
@@ -241,12 +670,32 @@ class ValidationUtils {
 
     // Validate categorization
     if ('categorization' in settings) {
-      const validModes = ['auto', 'manual', 'hybrid'];
+      const validModes = Object.values(CATEGORIZATION_MODES);
       if (!validModes.includes(settings.categorization)) {
         errors.push(`Invalid categorization mode: ${settings.categorization}`);
       }
     }
 
+    if ('reviewThreshold' in settings) {
+      const thresholdValidation = this.validateNumberRange(settings.reviewThreshold, 0, 1, 'reviewThreshold');
+      errors.push(...thresholdValidation.errors);
+    }
+
+    // Validate learning options
+    if ('learningEnabled' in settings && typeof settings.learningEnabled !== 'boolean') {
+      errors.push('learningEnabled must be a boolean');
+    }
+
+    if ('learningWeight' in settings) {
+      const weightValidation = this.validateNumberRange(settings.learningWeight, 0, LEARNING.MAX_WEIGHT, 'learningWeight');
+      errors.push(...weightValidation.errors);
+    }
+
+    if ('learningOverrideLimit' in settings) {
+      const limitValidation = this.validateNumberRange(settings.learningOverrideLimit, 0, LEARNING.MAX_OVERRIDE_LIMIT, 'learningOverrideLimit');
+      errors.push(...limitValidation.errors);
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -305,6 +754,25 @@ class ValidationUtils {
       .substring(0, 1000); // Limit length
   }
 
+  /**
+   * Normalize tags (lowercase, no leading #, words joined by dashes), dropping invalid and duplicate ones
+   */
+  sanitizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+
+    const sanitized = tags
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag
+        .trim()
+        .toLowerCase()
+        .replace(/^#+/, '')
+        .replace(/[^\p{L}\p{N}_-]+/gu, '-')
+        .replace(/^-+|-+$/g, ''))
+      .filter(tag => tag.length > 0 && tag.length <= LIMITS.MAX_TAG_LENGTH);
+
+    return [...new Set(sanitized)].slice(0, LIMITS.MAX_TAGS_PER_TAB);
+  }
+
   /**
    * Sanitize HTML content
    */
@@ -338,11 +806,27 @@ class ValidationUtils {
     }
     
     if (typeof settings.categorization === 'string') {
-      const validModes = ['auto', 'manual', 'hybrid'];
+      const validModes = Object.values(CATEGORIZATION_MODES);
       if (validModes.includes(settings.categorization)) {
         sanitized.categorization = settings.categorization;
       }
     }
+
+    if (this.validateNumberRange(settings.reviewThreshold, 0, 1).valid) {
+      sanitized.reviewThreshold = settings.reviewThreshold;
+    }
+
+    if (typeof settings.learningEnabled === 'boolean') {
+      sanitized.learningEnabled = settings.learningEnabled;
+    }
+
+    if (this.validateNumberRange(settings.learningWeight, 0, LEARNING.MAX_WEIGHT).valid) {
+      sanitized.learningWeight = settings.learningWeight;
+    }
+
+    if (this.validateNumberRange(settings.learningOverrideLimit, 0, LEARNING.MAX_OVERRIDE_LIMIT).valid) {
+      sanitized.learningOverrideLimit = settings.learningOverrideLimit;
+    }
     
     return sanitized;
   }
@@ -720,7 +1204,15 @@ class ValidationUtils {
         'validateTabData',
         'validateSearchQuery',
         'validateCategory',
+        'validateCategoryDefinition',
+        'validateProfileDefinition',
+        'sanitizeTags',
+        'detectRuleType',
         'validateCustomRule',
+        'validateSchedule',
+        'validateScoringSettings',
+        'parseRuleExpression',
+        'validateRuleExpression',
         'validateSettings',
         'validateTabIds',
         'validateMessage',
@@ -742,7 +1234,7 @@ class ValidationUtils {
    * Reset validation state (if needed for testing)
    */
   reset() {
-    // Clear any cached validation results if implemented in the future
+    this.expressionCache.clear();
     debugUtils.debug('ValidationUtils reset completed', 'ValidationUtils');
   }
 }
@@ -0,0 +1,86 @@
+/**
+ * Fallback tab list tests
+ * Before TabManager is ready, tab lists are built from storage; filtering and
+ * searching by tag must give the same results on either path
+ *
+ * Run from the repository root:
+ *   node --experimental-default-type=module --test tests/   (Node 20)
+ *   node --test tests/                                      (Node 22.7+)
+ */
+
+/* eslint-env node */
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+
+const store = {
+  categoryRules: {
+    development: { domains: ['github.com'], keywords: [], options: { 'domain:github.com': { tags: ['code', 'review'] } } }
+  }
+};
+const events = () => ({ addListener() {}, removeListener() {} });
+const liveTabs = [
+  { id: 1, url: 'https://github.com/example/repo/pull/7', title: 'Fix parser by example', windowId: 1, status: 'complete' },
+  { id: 2, url: 'https://news.example.org/today', title: 'Today', windowId: 1, status: 'complete' }
+];
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        if (!keys) return structuredClone(store);
+        return Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, structuredClone(store[key])]));
+      },
+      async set(items) { Object.assign(store, structuredClone(items)); },
+      async remove(keys) { [].concat(keys).forEach(key => delete store[key]); },
+      async getBytesInUse() { return JSON.stringify(store).length; }
+    },
+    onChanged: events()
+  },
+  tabs: {
+    async query() { return liveTabs; },
+    async get(id) { return liveTabs.find(tab => tab.id === id); }
+  },
+  runtime: { id: 'test', getManifest: () => ({ version: '0.0.0', name: 'test' }), onMessage: events(), async sendMessage() {} },
+  alarms: { async create() {}, async clear() {} }
+};
+
+const { default: CategoryManager } = await import('../background/managers/CategoryManager.js');
+const { default: TabManager } = await import('../background/managers/TabManager.js');
+const { default: MessageService } = await import('../background/services/MessageService.js');
+
+/**
+ * Build the fallback list the way it is built while the background is still starting
+ */
+async function getFallbackTabs() {
+  CategoryManager.initialized = false;
+  try {
+    const response = await MessageService.getFallbackTabs();
+    return response.data.tabs;
+  } finally {
+    CategoryManager.initialized = true;
+  }
+}
+
+before(async () => {
+  await CategoryManager.init();
+  await TabManager.init();
+  await TabManager.updateTabTags(1, { add: ['urgent'], remove: ['review'] });
+  await TabManager.saveTabData(true);
+});
+
+test('fallback tabs carry the same tags as TabManager tabs', async () => {
+  const managed = TabManager.getTabById(1);
+  const fallback = (await getFallbackTabs()).find(tab => tab.id === 1);
+
+  assert.deepEqual(managed.tags, ['code', 'urgent']);
+  assert.deepEqual(fallback.tags, managed.tags);
+  assert.equal(fallback.category, managed.category);
+});
+
+test('untagged tabs have no tags on either path', async () => {
+  const fallback = (await getFallbackTabs()).find(tab => tab.id === 2);
+
+  assert.deepEqual(TabManager.getTabById(2).tags, []);
+  assert.deepEqual(fallback.tags, []);
+});
@@ -0,0 +1,83 @@
+/**
+ * Opener category inheritance tests
+ * A tab opened from another one keeps the opener's category while it stays on
+ * the site it was opened on; navigating to another site ends the inheritance
+ *
+ * Run from the repository root:
+ *   node --experimental-default-type=module --test tests/   (Node 20)
+ *   node --test tests/                                      (Node 22.7+)
+ */
+
+/* eslint-env node */
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+
+const store = {};
+const events = () => ({ addListener() {}, removeListener() {} });
+const liveTabs = [
+  { id: 1, url: 'https://github.com/example/repo', title: 'example/repo', windowId: 1, status: 'complete' }
+];
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        if (!keys) return structuredClone(store);
+        return Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, structuredClone(store[key])]));
+      },
+      async set(items) { Object.assign(store, structuredClone(items)); },
+      async remove(keys) { [].concat(keys).forEach(key => delete store[key]); },
+      async getBytesInUse() { return JSON.stringify(store).length; }
+    },
+    onChanged: events()
+  },
+  tabs: {
+    async query() { return liveTabs; },
+    async get(id) { return liveTabs.find(tab => tab.id === id); }
+  },
+  runtime: { id: 'test', getManifest: () => ({ version: '0.0.0', name: 'test' }), async sendMessage() {} },
+  alarms: { async create() {}, async clear() {} }
+};
+
+const { CATEGORY_SOURCES } = await import('../shared/constants/AppConstants.js');
+const { default: CategoryManager } = await import('../background/managers/CategoryManager.js');
+const { default: TabManager } = await import('../background/managers/TabManager.js');
+
+const openedTab = { id: 2, openerTabId: 1, windowId: 1, status: 'complete' };
+
+before(async () => {
+  await CategoryManager.init();
+  await TabManager.init();
+
+  // Opened from the repository tab: a page no rule knows about
+  await TabManager.handleTabCreated({ ...openedTab, url: '', title: '' });
+  await TabManager.handleTabUpdated(2, { ...openedTab, url: 'https://blog.unlisted.example/notes', title: 'Notes' });
+});
+
+test('a tab opened from another one takes its category', () => {
+  const tab = TabManager.getTabById(2);
+
+  assert.equal(tab.category, TabManager.getTabById(1).category);
+  assert.equal(tab.categorySource, CATEGORY_SOURCES.INHERITED);
+});
+
+test('navigating within the same site keeps the inherited category', async () => {
+  await TabManager.handleTabUpdated(2, { ...openedTab, url: 'https://docs.unlisted.example/start', title: 'Start' });
+
+  const tab = TabManager.getTabById(2);
+  assert.equal(tab.category, TabManager.getTabById(1).category);
+  assert.equal(tab.categorySource, CATEGORY_SOURCES.INHERITED);
+});
+
+test('navigating to another site ends the inheritance', async () => {
+  await TabManager.handleTabUpdated(2, { ...openedTab, url: 'https://elsewhere.example/page', title: 'Page' });
+
+  const tab = TabManager.getTabById(2);
+  assert.equal(tab.category, 'other');
+  assert.notEqual(tab.categorySource, CATEGORY_SOURCES.INHERITED);
+
+  // The fallback path, working from the stored record, agrees
+  const stored = { ...tab, url: 'https://docs.unlisted.example/start', category: 'development', categorySource: CATEGORY_SOURCES.INHERITED };
+  assert.equal(CategoryManager.assignStoredTab({ ...openedTab, url: tab.url, title: 'Page' }, stored).category, 'other');
+});
@@ -0,0 +1,97 @@
+/**
+ * Page metadata ordering tests
+ * The content script runs at document_idle, which usually comes before the tab
+ * reports status 'complete'; metadata sent in between must not be lost
+ *
+ * Run from the repository root:
+ *   node --experimental-default-type=module --test tests/   (Node 20)
+ *   node --test tests/                                      (Node 22.7+)
+ */
+
+/* eslint-env node */
+
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+
+const store = {};
+const granted = new Set();
+const events = () => ({ addListener() {}, removeListener() {} });
+const liveTabs = [
+  { id: 1, url: 'https://wiki.corp.example/page/Start', title: 'Start', windowId: 1, status: 'complete' }
+];
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      async get(keys) {
+        if (!keys) return structuredClone(store);
+        return Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, structuredClone(store[key])]));
+      },
+      async set(items) { Object.assign(store, structuredClone(items)); },
+      async remove(keys) { [].concat(keys).forEach(key => delete store[key]); },
+      async getBytesInUse() { return JSON.stringify(store).length; }
+    },
+    onChanged: events()
+  },
+  tabs: {
+    async query() { return liveTabs; },
+    async get(id) { return liveTabs.find(tab => tab.id === id); }
+  },
+  runtime: { id: 'test', getManifest: () => ({ version: '0.0.0', name: 'test' }), async sendMessage() {} },
+  alarms: { async create() {}, async clear() {} },
+  permissions: { async contains({ origins }) { return origins.every(origin => granted.has(origin)); } },
+  scripting: {
+    async getRegisteredContentScripts() { return []; },
+    async registerContentScripts() {},
+    async unregisterContentScripts() {},
+    async executeScript() {}
+  }
+};
+
+const { default: TabManager } = await import('../background/managers/TabManager.js');
+const { default: PageMetadataManager } = await import('../background/managers/PageMetadataManager.js');
+
+const WIKI_METADATA = { generator: 'mediawiki 1.39', ogType: 'article', keywords: [], jsonLdTypes: [], siteName: '' };
+
+before(async () => {
+  await TabManager.init();
+  await PageMetadataManager.init();
+
+  granted.add('*://wiki.corp.example/*');
+  granted.add('*://www.wiki.corp.example/*');
+  await PageMetadataManager.enableHost('wiki.corp.example');
+});
+
+test('metadata sent before the navigation completes is kept', async () => {
+  const navigated = { ...liveTabs[0], url: 'https://wiki.corp.example/page/Next', title: 'Next', status: 'loading' };
+
+  await PageMetadataManager.handlePageMetadata({ tab: navigated, frameId: 0, url: navigated.url }, WIKI_METADATA);
+
+  const early = TabManager.getTabById(1);
+  assert.equal(early.url, navigated.url);
+  assert.equal(early.metadata?.generator, WIKI_METADATA.generator);
+
+  await TabManager.handleTabUpdated(1, { ...navigated, status: 'complete' });
+
+  const complete = TabManager.getTabById(1);
+  assert.equal(complete.metadata?.generator, WIKI_METADATA.generator);
+  assert.equal(complete.category, early.category);
+});
+
+test('metadata from a page the tab has left is ignored', async () => {
+  const tab = { ...liveTabs[0], url: 'https://wiki.corp.example/page/Later', title: 'Later' };
+
+  const change = await PageMetadataManager.handlePageMetadata(
+    { tab, frameId: 0, url: 'https://wiki.corp.example/page/Earlier' },
+    WIKI_METADATA
+  );
+
+  assert.equal(change, null);
+  assert.notEqual(TabManager.getTabById(1).url, tab.url);
+});
+
+test('a later navigation drops the metadata', async () => {
+  await TabManager.handleTabUpdated(1, { ...liveTabs[0], url: 'https://wiki.corp.example/page/Other', status: 'complete' });
+
+  assert.equal(TabManager.getTabById(1).metadata, null);
+});
@@ -3,46 +3,59 @@
  * Full implementation with all fixes applied
  */
 
-// Constants (inline since we can't import from shared in popup context)
-const MESSAGE_TYPES = {
-  PING: 'ping',
-  GET_ALL_TABS: 'getAllTabs',
-  REFRESH_TABS: 'refreshTabs',
-  FOCUS_TAB: 'focusTab',
-  CLOSE_TAB: 'closeTab',
-  MOVE_TABS: 'moveTabs'
+import {
+  CATEGORIES,
+  CATEGORY_ICONS,
+  CATEGORIZATION_STORAGE_KEYS,
+  DEFAULT_CATEGORY_REGISTRY,
+  DEFAULT_SETTINGS,
+  DOMAIN_MATCH_MODES,
+  LIMITS,
+  MESSAGE_TYPES,
+  RULE_TYPE_KEYS,
+  SCORING_RANGES
+} from '../../shared/constants/AppConstants.js';
+import CategorizationEngine from '../../shared/utils/CategorizationEngine.js';
+
+// Popup-only constants
+const CATEGORY_PATH_SEPARATOR = ' › ';
+
+// How a rule affects its category: add points, rule the category out or lower its score
+const RULE_EFFECTS = {
+  match: 'Adds to category',
+  exclude: 'Excludes category',
+  penalize: 'Negative weight'
 };
 
-const CATEGORIES = {
-  DEVELOPMENT: 'development',
-  SOCIAL: 'social',
-  PRODUCTIVITY: 'productivity',
-  ENTERTAINMENT: 'entertainment',
-  SHOPPING: 'shopping',
-  NEWS: 'news',
-  REFERENCE: 'reference',
-  OTHER: 'other'
+// Per-category scoring values editable in settings; allowed ranges come from SCORING_RANGES
+const SCORING_FIELDS = {
+  weight: { label: 'Weight', step: 0.1 },
+  keywordThreshold: { label: 'Keywords for full weight', step: 1 },
+  minScore: { label: 'Minimum score to win', step: 0.1 },
+  accessBoost: { label: 'Frequent-use boost', step: 0.05 },
+  recencyBoost: { label: 'Recent-use boost', step: 0.05 }
 };
 
-const CATEGORY_ICONS = {
-  development: '💻',
-  social: '🌐',
-  productivity: '📋',
-  entertainment: '🎥',
-  shopping: '🛒',
-  news: '📰',
-  reference: '📚',
-  other: '📁'
+const DEFAULT_NEGATIVE_WEIGHT = -1;
+
+const DOMAIN_MATCH_MODE_LABELS = {
+  [DOMAIN_MATCH_MODES.EXACT]: 'Exact host',
+  [DOMAIN_MATCH_MODES.SUBDOMAIN]: 'Host + subdomains',
+  [DOMAIN_MATCH_MODES.SUFFIX]: 'Same site'
 };
 
-const DEFAULT_SETTINGS = {
-  autoOrganize: true,
-  showNotifications: true,
-  theme: 'light',
-  categorization: 'auto'
+// Date#getDay order, as used by rule schedules
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CATEGORY_SOURCE_LABELS = {
+  rule: 'Assigned by your rules',
+  learned: 'Assigned by learned corrections',
+  manual: 'Moved here by you',
+  inherited: 'Inherited from the tab that opened it',
+  unfiled: 'Not filed yet'
 };
 
-// Notification Manager Class with deduplication
+// NotificationManager Class with deduplication
 class NotificationManager {
   constructor() {
     this.container = null;
@@ -301,9 +314,18 @@ class SettingsManager {
   constructor() {
     this.settings = { ...DEFAULT_SETTINGS };
     this.customRules = {};
+    this.categories = DEFAULT_CATEGORY_REGISTRY.map(category => ({ ...category }));
+    this.profiles = [];
+    this.scoring = null;
+    this.metadataHosts = [];
+    this.ruleStats = null; // Hit counts of custom rules from the background
+    this.ruleConflicts = []; // Custom rules competing with other rules, from the background
+    this.currentHost = ''; // Site of the active tab, offered for page metadata
     this.elements = {};
     this.initialized = false;
     this.notificationManager = null;
+    this.onCategoriesChanged = null; // Set by PopupController to re-render tabs
+    this.pendingRulePreview = null; // Resolves the open rule preview with the user's choice
     this.eventListenersSetup = false; // Prevent duplicate listeners
     this.operationInProgress = new Set(); // Track ongoing operations
   }
@@ -322,10 +344,20 @@ class SettingsManager {
       }
       
       await this.loadSettings();
+      await this.loadProfiles();
+      await this.loadCategories();
       await this.loadCustomRules();
+      await this.loadLearningStats();
+      await this.loadScoringSettings();
+      await this.loadMetadataHosts();
       
       this.populateSettingsUI();
+      this.populateCategorySelect();
+      this.renderProfileList();
+      this.renderCategoryList();
       this.renderCustomRules();
+      this.renderScoringSettings();
+      this.renderMetadataHosts();
       
       this.initialized = true;
       console.log('SettingsManager initialized successfully');
@@ -342,10 +374,41 @@ class SettingsManager {
       showNotifications: document.querySelector('#showNotifications'),
       themeSelect: document.querySelector('#themeSelect'),
       categorizationMode: document.querySelector('#categorizationMode'),
+      reviewThreshold: document.querySelector('#reviewThreshold'),
+      learningEnabled: document.querySelector('#learningEnabled'),
+      learningWeight: document.querySelector('#learningWeight'),
+      learningOverrideLimit: document.querySelector('#learningOverrideLimit'),
+      learningStats: document.querySelector('#learningStats'),
+      resetLearningBtn: document.querySelector('#resetLearningBtn'),
+      metadataHostInput: document.querySelector('#metadataHostInput'),
+      useCurrentSiteBtn: document.querySelector('#useCurrentSiteBtn'),
+      addMetadataHostBtn: document.querySelector('#addMetadataHostBtn'),
+      metadataHostList: document.querySelector('#metadataHostList'),
+      profileList: document.querySelector('#profileList'),
+      newProfileIcon: document.querySelector('#newProfileIcon'),
+      newProfileName: document.querySelector('#newProfileName'),
+      newProfileSource: document.querySelector('#newProfileSource'),
+      addProfileBtn: document.querySelector('#addProfileBtn'),
+      scoringCategorySelect: document.querySelector('#scoringCategorySelect'),
+      scoringFields: document.querySelector('#scoringFields'),
+      resetScoringBtn: document.querySelector('#resetScoringBtn'),
+      categoryList: document.querySelector('#categoryList'),
+      newCategoryIcon: document.querySelector('#newCategoryIcon'),
+      newCategoryName: document.querySelector('#newCategoryName'),
+      newCategoryColor: document.querySelector('#newCategoryColor'),
+      newCategoryParent: document.querySelector('#newCategoryParent'),
+      addCategoryBtn: document.querySelector('#addCategoryBtn'),
       ruleCategorySelect: document.querySelector('#ruleCategorySelect'),
+      ruleTypeSelect: document.querySelector('#ruleTypeSelect'),
+      ruleModeSelect: document.querySelector('#ruleModeSelect'),
+      ruleTagsInput: document.querySelector('#ruleTagsInput'),
+      ruleEffectSelect: document.querySelector('#ruleEffectSelect'),
+      ruleWeightInput: document.querySelector('#ruleWeightInput'),
       ruleValueInput: document.querySelector('#ruleValueInput'),
       addRuleBtn: document.querySelector('#addRuleBtn'),
       customRulesList: document.querySelector('#customRulesList'),
+      rulePreview: document.querySelector('#rulePreview'),
+      ruleConflictsList: document.querySelector('#ruleConflictsList'),
       ruleCount: document.querySelector('#ruleCount'),
       exportDataBtn: document.querySelector('#exportDataBtn'),
       importDataBtn: document.querySelector('#importDataBtn'),
@@ -383,6 +446,93 @@ class SettingsManager {
       });
     }
 
+    // Learning
+    if (this.elements.learningEnabled) {
+      this.elements.learningEnabled.addEventListener('change', (e) => {
+        this.updateSetting('learningEnabled', e.target.checked);
+      });
+    }
+
+    ['reviewThreshold', 'learningWeight', 'learningOverrideLimit'].forEach(key => {
+      if (this.elements[key]) {
+        this.elements[key].addEventListener('change', (e) => {
+          this.handleNumberSetting(key, e.target);
+        });
+      }
+    });
+
+    if (this.elements.resetLearningBtn) {
+      this.elements.resetLearningBtn.addEventListener('click', () => {
+        this.handleResetLearning();
+      });
+    }
+
+    // Page metadata
+    if (this.elements.useCurrentSiteBtn) {
+      this.elements.useCurrentSiteBtn.addEventListener('click', () => {
+        if (this.elements.metadataHostInput && this.currentHost) {
+          this.elements.metadataHostInput.value = this.currentHost;
+        }
+      });
+    }
+
+    if (this.elements.addMetadataHostBtn) {
+      this.elements.addMetadataHostBtn.addEventListener('click', () => {
+        this.handleEnableMetadataHost();
+      });
+    }
+
+    if (this.elements.metadataHostInput) {
+      this.elements.metadataHostInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.handleEnableMetadataHost();
+        }
+      });
+    }
+
+    // Scoring
+    if (this.elements.scoringCategorySelect) {
+      this.elements.scoringCategorySelect.addEventListener('change', () => {
+        this.renderScoringSettings();
+      });
+    }
+
+    if (this.elements.resetScoringBtn) {
+      this.elements.resetScoringBtn.addEventListener('click', () => {
+        this.handleResetScoring();
+      });
+    }
+
+    // Rule Profiles
+    if (this.elements.addProfileBtn) {
+      this.elements.addProfileBtn.addEventListener('click', () => {
+        this.handleCreateProfile();
+      });
+    }
+
+    if (this.elements.newProfileName) {
+      this.elements.newProfileName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.handleCreateProfile();
+        }
+      });
+    }
+
+    // Categories
+    if (this.elements.addCategoryBtn) {
+      this.elements.addCategoryBtn.addEventListener('click', () => {
+        this.handleCreateCategory();
+      });
+    }
+
+    if (this.elements.newCategoryName) {
+      this.elements.newCategoryName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.handleCreateCategory();
+        }
+      });
+    }
+
     // Custom Rules
     if (this.elements.addRuleBtn) {
       this.elements.addRuleBtn.addEventListener('click', () => {
@@ -390,7 +540,23 @@ class SettingsManager {
       });
     }
 
+    if (this.elements.ruleTypeSelect) {
+      this.elements.ruleTypeSelect.addEventListener('change', () => {
+        this.updateRuleModeVisibility();
+      });
+    }
+
+    if (this.elements.ruleEffectSelect) {
+      this.elements.ruleEffectSelect.addEventListener('change', () => {
+        this.updateRuleWeightVisibility();
+      });
+    }
+
     if (this.elements.ruleValueInput) {
+      this.elements.ruleValueInput.addEventListener('input', () => {
+        this.updateRuleModeVisibility();
+      });
+
       this.elements.ruleValueInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
           this.handleAddRule();
@@ -405,144 +571,1469 @@ class SettingsManager {
       });
     }
 
-    if (this.elements.importDataBtn) {
-      this.elements.importDataBtn.addEventListener('click', () => {
-        if (this.elements.importFileInput) {
-          this.elements.importFileInput.click();
-        }
-      });
+    if (this.elements.importDataBtn) {
+      this.elements.importDataBtn.addEventListener('click', () => {
+        if (this.elements.importFileInput) {
+          this.elements.importFileInput.click();
+        }
+      });
+    }
+
+    if (this.elements.importFileInput) {
+      this.elements.importFileInput.addEventListener('change', (e) => {
+        this.handleImportData(e);
+      });
+    }
+
+    if (this.elements.clearDataBtn) {
+      this.elements.clearDataBtn.addEventListener('click', () => {
+        this.handleClearData();
+      });
+    }
+
+    // About
+    if (this.elements.feedbackBtn) {
+      this.elements.feedbackBtn.addEventListener('click', () => {
+        this.handleFeedback();
+      });
+    }
+
+    if (this.elements.helpBtn) {
+      this.elements.helpBtn.addEventListener('click', () => {
+        this.handleHelp();
+      });
+    }
+  }
+
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      if (result.settings) {
+        this.settings = { ...DEFAULT_SETTINGS, ...result.settings };
+      }
+    } catch (error) {
+      console.warn('Failed to load settings:', error);
+      this.settings = { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  async loadCategories() {
+    try {
+      const categories = await this.sendMessage({ type: 'GET_CATEGORIES' });
+      if (Array.isArray(categories) && categories.length > 0) {
+        this.categories = categories;
+        return;
+      }
+    } catch (error) {
+      console.warn('Failed to load categories from background:', error);
+    }
+
+    try {
+      const result = await chrome.storage.local.get(['categoryRegistry']);
+      if (Array.isArray(result.categoryRegistry) && result.categoryRegistry.length > 0) {
+        this.categories = result.categoryRegistry;
+      }
+    } catch (error) {
+      console.warn('Failed to load categories:', error);
+    }
+  }
+
+  async sendMessage(message, timeout = 3000) {
+    const response = await Promise.race([
+      chrome.runtime.sendMessage(message).catch(error => {
+        // No receiving end: the background is not running, as opposed to rejecting the request
+        error.backgroundUnavailable = true;
+        throw error;
+      }),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Request timeout')), timeout)
+      )
+    ]);
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Invalid response from background');
+    }
+
+    return response.data;
+  }
+
+  async loadProfiles() {
+    try {
+      this.profiles = await this.sendMessage({ type: 'GET_PROFILES' });
+      return;
+    } catch (error) {
+      console.warn('Failed to load rule profiles from background:', error);
+    }
+
+    try {
+      const result = await chrome.storage.local.get(['ruleProfiles']);
+      const stored = result.ruleProfiles;
+      this.profiles = (stored?.profiles || []).map(({ id, name, icon }) => ({
+        id,
+        name,
+        icon,
+        active: id === stored.activeProfileId
+      }));
+    } catch (error) {
+      console.warn('Failed to load rule profiles:', error);
+      this.profiles = [];
+    }
+  }
+
+  getActiveProfile() {
+    return this.profiles.find(profile => profile.active) || null;
+  }
+
+  async loadCustomRules() {
+    try {
+      const result = await chrome.storage.local.get(['categoryRules']);
+      // A freshly switched profile may not have any rules stored yet
+      this.customRules = result.categoryRules || {};
+    } catch (error) {
+      console.warn('Failed to load custom rules:', error);
+      this.customRules = {};
+    }
+
+    try {
+      this.ruleStats = await this.sendMessage({ type: 'GET_RULE_STATS' });
+    } catch (error) {
+      console.warn('Failed to load rule statistics:', error);
+      this.ruleStats = null;
+    }
+
+    await this.loadRuleConflicts();
+  }
+
+  async loadRuleConflicts() {
+    try {
+      this.ruleConflicts = await this.sendMessage({ type: 'GET_RULE_CONFLICTS' });
+    } catch (error) {
+      console.warn('Failed to load rule conflicts:', error);
+      this.ruleConflicts = [];
+    }
+  }
+
+  async saveSettings(settings) {
+    try {
+      // Route through the background so it validates and applies the change
+      this.settings = { ...DEFAULT_SETTINGS, ...await this.sendMessage({ type: 'SET_SETTINGS', settings }) };
+    } catch (error) {
+      // A rejected value is reported to the caller; storage is only written directly without a background
+      if (!error.backgroundUnavailable) {
+        throw error;
+      }
+      console.warn('Background not running, saving settings locally:', error);
+      await this.saveSettingsLocally(settings);
+    }
+  }
+
+  async saveSettingsLocally(settings) {
+    try {
+      await chrome.storage.local.set({ settings });
+      this.settings = settings;
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      throw error;
+    }
+  }
+
+  async saveCustomRules(rules) {
+    // Only the background validates rules, so nothing is saved when it cannot be reached.
+    // Rule changes re-categorize every tab, which can take longer than the default timeout
+    const result = await this.sendMessage({ type: 'SET_CUSTOM_RULES', rules }, 30000);
+    this.customRules = result.rules;
+    this.ruleConflicts = result.conflicts || [];
+    return result.skipped || [];
+  }
+
+  populateSettingsUI() {
+    if (this.elements.autoOrganize) {
+      this.elements.autoOrganize.checked = this.settings.autoOrganize;
+    }
+
+    if (this.elements.showNotifications) {
+      this.elements.showNotifications.checked = this.settings.showNotifications;
+    }
+
+    if (this.elements.themeSelect) {
+      this.elements.themeSelect.value = this.settings.theme;
+    }
+
+    if (this.elements.categorizationMode) {
+      this.elements.categorizationMode.value = this.settings.categorization;
+    }
+
+    if (this.elements.reviewThreshold) {
+      this.elements.reviewThreshold.value = this.settings.reviewThreshold;
+    }
+
+    if (this.elements.learningEnabled) {
+      this.elements.learningEnabled.checked = this.settings.learningEnabled;
+    }
+
+    if (this.elements.learningWeight) {
+      this.elements.learningWeight.value = this.settings.learningWeight;
+    }
+
+    if (this.elements.learningOverrideLimit) {
+      this.elements.learningOverrideLimit.value = this.settings.learningOverrideLimit;
+    }
+
+    this.applyTheme(this.settings.theme);
+  }
+
+  async updateSetting(key, value) {
+    // Prevent duplicate update operations
+    const operationKey = `update_${key}`;
+    if (this.operationInProgress.has(operationKey)) {
+      return;
+    }
+    
+    this.operationInProgress.add(operationKey);
+    
+    try {
+      await this.saveSettings({ ...this.settings, [key]: value });
+      
+      // Only show notification for user-initiated changes
+      if (this.notificationManager && this.initialized) {
+        this.notificationManager.success('Setting updated');
+      }
+    } catch (error) {
+      console.error(`Failed to update setting ${key}:`, error);
+      // Put the controls back to the saved values
+      this.populateSettingsUI();
+      
+      if (this.notificationManager) {
+        this.notificationManager.error(`Failed to save setting: ${error.message}`);
+      }
+    } finally {
+      this.operationInProgress.delete(operationKey);
+    }
+  }
+
+  handleNumberSetting(key, input) {
+    const value = parseFloat(input.value);
+    const min = parseFloat(input.min);
+    const max = parseFloat(input.max);
+
+    if (!Number.isFinite(value) || value < min || value > max) {
+      input.value = this.settings[key];
+      if (this.notificationManager) {
+        this.notificationManager.error(`Value must be between ${min} and ${max}`);
+      }
+      return;
+    }
+
+    this.updateSetting(key, value);
+  }
+
+  async loadScoringSettings() {
+    try {
+      this.scoring = await this.sendMessage({ type: 'GET_SCORING_SETTINGS' });
+    } catch (error) {
+      console.warn('Failed to load scoring settings:', error);
+      this.scoring = null;
+    }
+  }
+
+  renderScoringSettings() {
+    const select = this.elements.scoringCategorySelect;
+    const container = this.elements.scoringFields;
+    if (!select || !container) return;
+
+    const previous = select.value;
+    select.innerHTML = '';
+    this.categories.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = this.getCategoryLabel(category.id);
+      select.appendChild(option);
+    });
+    if (this.categories.some(category => category.id === previous)) {
+      select.value = previous;
+    }
+
+    container.innerHTML = '';
+
+    const categoryScoring = this.scoring?.categories[select.value];
+    if (!categoryScoring) {
+      container.textContent = 'Scoring settings unavailable';
+      return;
+    }
+
+    Object.entries(SCORING_FIELDS).forEach(([field, { label, step }]) => {
+      const [min, max] = SCORING_RANGES[field];
+      const defaultValue = field === 'weight' ? categoryScoring.defaultWeight : this.scoring.defaults[field];
+      const overridden = categoryScoring.overrides[field] !== undefined;
+
+      const row = document.createElement('label');
+      row.className = 'scoring-field';
+      row.classList.toggle('scoring-overridden', overridden);
+
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = label;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = min;
+      input.max = max;
+      input.step = step;
+      input.placeholder = String(defaultValue);
+      input.value = overridden ? String(categoryScoring.overrides[field]) : '';
+      input.title = `Default ${defaultValue} (${min}–${max})`;
+      input.addEventListener('change', () => this.handleScoringChange(select.value, field, input.value));
+
+      row.appendChild(labelSpan);
+      row.appendChild(input);
+      container.appendChild(row);
+    });
+  }
+
+  async handleScoringChange(categoryId, field, rawValue) {
+    const operationKey = `scoring_${categoryId}_${field}`;
+    if (this.operationInProgress.has(operationKey)) {
+      return;
+    }
+
+    this.operationInProgress.add(operationKey);
+
+    try {
+      // An empty field resets the value to its default
+      const value = rawValue.trim() === '' ? null : Number(rawValue);
+      const { label } = SCORING_FIELDS[field];
+      const [min, max] = SCORING_RANGES[field];
+      if (value !== null && (!Number.isFinite(value) || value < min || value > max)) {
+        throw new Error(`${label} must be between ${min} and ${max}`);
+      }
+
+      await this.updateScoring(categoryId, { [field]: value });
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`${label} of ${this.getCategory(categoryId).name} ${value === null ? 'reset' : `set to ${value}`}`);
+      }
+    } catch (error) {
+      console.error('Failed to update scoring:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to update scoring: ' + error.message);
+      }
+      this.renderScoringSettings();
+    } finally {
+      this.operationInProgress.delete(operationKey);
+    }
+  }
+
+  async handleResetScoring() {
+    const categoryId = this.elements.scoringCategorySelect?.value;
+    if (!categoryId) return;
+
+    try {
+      const values = Object.fromEntries(Object.keys(SCORING_FIELDS).map(field => [field, null]));
+      await this.updateScoring(categoryId, values);
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Scoring of ${this.getCategory(categoryId).name} reset to defaults`);
+      }
+    } catch (error) {
+      console.error('Failed to reset scoring:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to reset scoring: ' + error.message);
+      }
+    }
+  }
+
+  async updateScoring(categoryId, values) {
+    // The background validates the values and re-scores open tabs right away
+    const { scoring } = await this.sendMessage({ type: 'UPDATE_CATEGORY_SCORING', category: categoryId, values });
+    if (this.scoring) {
+      this.scoring.categories[categoryId] = scoring;
+    }
+    this.renderScoringSettings();
+  }
+
+  async loadLearningStats() {
+    try {
+      this.renderLearningStats(await this.sendMessage({ type: 'GET_LEARNING_STATS' }));
+    } catch (error) {
+      console.warn('Failed to load learning stats:', error);
+      this.renderLearningStats(null);
+    }
+  }
+
+  renderLearningStats(stats) {
+    if (!this.elements.learningStats) return;
+
+    if (!stats) {
+      this.elements.learningStats.textContent = 'Learning statistics unavailable';
+      return;
+    }
+
+    if (stats.totalExamples === 0) {
+      this.elements.learningStats.textContent = 'No corrections learned yet. Move a tab to another category to teach the model.';
+      return;
+    }
+
+    const categoryCount = Object.keys(stats.categories).length;
+    const status = stats.active ? 'active' : 'needs a few more corrections before it is used';
+    this.elements.learningStats.textContent =
+      `Learned from ${stats.totalExamples} ${stats.totalExamples === 1 ? 'correction' : 'corrections'} ` +
+      `across ${categoryCount} ${categoryCount === 1 ? 'category' : 'categories'} (${status})`;
+  }
+
+  async handleResetLearning() {
+    if (this.operationInProgress.has('resetLearning')) {
+      return;
+    }
+
+    const confirmed = confirm('Forget everything learned from your manual corrections?');
+    if (!confirmed) return;
+
+    this.operationInProgress.add('resetLearning');
+
+    try {
+      this.renderLearningStats(await this.sendMessage({ type: 'RESET_LEARNING' }));
+
+      if (this.notificationManager) {
+        this.notificationManager.success('Learned corrections cleared');
+      }
+    } catch (error) {
+      console.error('Failed to reset learning:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error(`Failed to reset learning: ${error.message}`);
+      }
+    } finally {
+      this.operationInProgress.delete('resetLearning');
+    }
+  }
+
+  async loadMetadataHosts() {
+    try {
+      this.metadataHosts = await this.sendMessage({ type: 'GET_METADATA_HOSTS' });
+    } catch (error) {
+      console.warn('Failed to load page metadata hosts:', error);
+      this.metadataHosts = [];
+    }
+
+    try {
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const url = new URL(activeTab?.url || '');
+      this.currentHost = /^https?:$/.test(url.protocol) ? url.hostname.replace(/^www\./, '') : '';
+    } catch {
+      this.currentHost = '';
+    }
+
+    if (this.elements.useCurrentSiteBtn) {
+      this.elements.useCurrentSiteBtn.disabled = !this.currentHost;
+    }
+  }
+
+  renderMetadataHosts() {
+    if (!this.elements.metadataHostList) return;
+
+    this.elements.metadataHostList.innerHTML = '';
+
+    if (this.metadataHosts.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'setting-description';
+      empty.textContent = 'Page metadata is not read on any site';
+      this.elements.metadataHostList.appendChild(empty);
+      return;
+    }
+
+    this.metadataHosts.forEach(host => {
+      const row = document.createElement('div');
+      row.className = 'custom-rule';
+
+      const infoDiv = document.createElement('div');
+      infoDiv.className = 'rule-info';
+
+      const hostSpan = document.createElement('span');
+      hostSpan.className = 'rule-value';
+      hostSpan.textContent = host;
+      infoDiv.appendChild(hostSpan);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'rule-remove';
+      removeBtn.title = 'Stop reading page metadata on this site';
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', () => this.handleDisableMetadataHost(host));
+
+      row.appendChild(infoDiv);
+      row.appendChild(removeBtn);
+      this.elements.metadataHostList.appendChild(row);
+    });
+  }
+
+  async handleEnableMetadataHost() {
+    if (this.operationInProgress.has('enableMetadataHost')) {
+      return;
+    }
+
+    const host = (this.elements.metadataHostInput?.value || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .split(/[/?#:]/)[0]
+      .replace(/^www\./, '');
+
+    if (!host) {
+      if (this.notificationManager) {
+        this.notificationManager.warning('Please enter a site');
+      }
+      return;
+    }
+
+    this.operationInProgress.add('enableMetadataHost');
+
+    try {
+      // Host permissions can only be requested from the click itself, so this comes before any other await
+      const granted = await chrome.permissions.request({ origins: [`*://${host}/*`, `*://www.${host}/*`] });
+      if (!granted) {
+        if (this.notificationManager) {
+          this.notificationManager.warning(`Permission to read pages on ${host} was not granted`);
+        }
+        return;
+      }
+
+      this.metadataHosts = await this.sendMessage({ type: 'ENABLE_PAGE_METADATA', host });
+      this.renderMetadataHosts();
+
+      if (this.elements.metadataHostInput) {
+        this.elements.metadataHostInput.value = '';
+      }
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Reading page metadata on ${host}`);
+      }
+    } catch (error) {
+      console.error('Failed to enable page metadata:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error(`Failed to enable page metadata: ${error.message}`);
+      }
+    } finally {
+      this.operationInProgress.delete('enableMetadataHost');
+    }
+  }
+
+  async handleDisableMetadataHost(host) {
+    try {
+      this.metadataHosts = await this.sendMessage({ type: 'DISABLE_PAGE_METADATA', host });
+      this.renderMetadataHosts();
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Stopped reading page metadata on ${host}`);
+      }
+    } catch (error) {
+      console.error('Failed to disable page metadata:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error(`Failed to disable page metadata: ${error.message}`);
+      }
+    }
+  }
+
+  applyTheme(theme) {
+    const root = document.documentElement;
+    
+    if (theme === 'dark') {
+      root.setAttribute('data-theme', 'dark');
+    } else if (theme === 'light') {
+      root.removeAttribute('data-theme');
+    } else if (theme === 'auto') {
+      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+      if (prefersDark) {
+        root.setAttribute('data-theme', 'dark');
+      } else {
+        root.removeAttribute('data-theme');
+      }
+    }
+  }
+
+  updateRuleModeVisibility() {
+    if (!this.elements.ruleModeSelect) return;
+
+    const selectedType = this.elements.ruleTypeSelect?.value || 'auto';
+    const value = this.elements.ruleValueInput?.value?.trim() || '';
+    const type = selectedType === 'auto' && value ? this.detectRuleType(value) : selectedType;
+
+    this.elements.ruleModeSelect.hidden = type !== 'domain' && type !== 'auto';
+  }
+
+  updateRuleWeightVisibility() {
+    if (!this.elements.ruleWeightInput) return;
+
+    this.elements.ruleWeightInput.hidden = this.elements.ruleEffectSelect?.value !== 'penalize';
+  }
+
+  getRuleEffect(options = {}) {
+    if (options.exclude) return 'exclude';
+    return options.weight < 0 ? 'penalize' : 'match';
+  }
+
+  parseRuleWeight(value) {
+    // Either sign is accepted; a rule weight always lowers the score
+    const weight = -Math.abs(Number(value));
+    if (!Number.isFinite(weight) || weight < LIMITS.MIN_RULE_WEIGHT || weight > LIMITS.MAX_RULE_WEIGHT) {
+      throw new Error(`Negative weight must be between ${LIMITS.MIN_RULE_WEIGHT} and ${LIMITS.MAX_RULE_WEIGHT}`);
+    }
+    return Math.round(weight * 100) / 100;
+  }
+
+  createRuleEffectSelect(rule) {
+    const select = document.createElement('select');
+    select.className = 'rule-mode-select';
+    select.title = 'What a match does to this category';
+
+    const options = this.getLocalRuleOptions(rule.category, rule.type, rule.value);
+    Object.entries(RULE_EFFECTS).forEach(([effect, label]) => {
+      const option = document.createElement('option');
+      option.value = effect;
+      option.textContent = effect === 'penalize' && options.weight < 0 ? `${label} (${options.weight})` : label;
+      select.appendChild(option);
+    });
+
+    select.value = this.getRuleEffect(options);
+    select.addEventListener('change', (e) => {
+      this.updateRuleEffect(rule, e.target.value);
+    });
+
+    return select;
+  }
+
+  async updateRuleEffect(rule, effect) {
+    const operationKey = `ruleEffect_${rule.category}_${rule.value}`;
+    if (this.operationInProgress.has(operationKey)) {
+      return;
+    }
+
+    this.operationInProgress.add(operationKey);
+
+    try {
+      // The background merges options, so the flags that no longer apply are cleared with null
+      let effectOptions = { exclude: null, weight: null };
+      if (effect === 'exclude') {
+        effectOptions = { exclude: true, weight: null };
+      } else if (effect === 'penalize') {
+        const current = this.getLocalRuleOptions(rule.category, rule.type, rule.value).weight ?? DEFAULT_NEGATIVE_WEIGHT;
+        const input = prompt(
+          `Lower the ${this.getCategory(rule.category).name} score by how much when ${rule.value} matches? (0.1–5)`,
+          String(Math.abs(current))
+        );
+        if (input === null) {
+          this.renderCustomRules();
+          return;
+        }
+        effectOptions = { exclude: null, weight: this.parseRuleWeight(input) };
+      }
+
+      await this.sendMessage({
+        type: 'UPDATE_RULE_OPTIONS',
+        category: rule.category,
+        value: rule.value,
+        ruleType: rule.type,
+        options: effectOptions
+      });
+
+      const options = { ...this.getLocalRuleOptions(rule.category, rule.type, rule.value), ...effectOptions };
+      Object.keys(effectOptions)
+        .filter(key => options[key] === null)
+        .forEach(key => delete options[key]);
+      this.setLocalRuleOptions(rule.category, rule.type, rule.value, options);
+      this.renderCustomRules();
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`${rule.value} now: ${RULE_EFFECTS[effect]}`);
+      }
+    } catch (error) {
+      console.error('Failed to update rule effect:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to update rule: ' + error.message);
+      }
+      this.renderCustomRules();
+    } finally {
+      this.operationInProgress.delete(operationKey);
+    }
+  }
+
+  createDomainModeSelect(rule) {
+    const select = document.createElement('select');
+    select.className = 'rule-mode-select';
+    select.title = 'Domain match mode';
+
+    Object.entries(DOMAIN_MATCH_MODE_LABELS).forEach(([mode, label]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.value = this.getLocalRuleOptions(rule.category, rule.type, rule.value).mode || 'subdomain';
+    select.addEventListener('change', (e) => {
+      this.updateDomainMode(rule, e.target.value);
+    });
+
+    return select;
+  }
+
+  async updateDomainMode(rule, mode) {
+    const operationKey = `ruleMode_${rule.category}_${rule.value}`;
+    if (this.operationInProgress.has(operationKey)) {
+      return;
+    }
+
+    this.operationInProgress.add(operationKey);
+
+    try {
+      // The background merges options, so the default mode is sent explicitly to clear it
+      await this.sendMessage({
+        type: 'UPDATE_RULE_OPTIONS',
+        category: rule.category,
+        value: rule.value,
+        ruleType: rule.type,
+        options: { mode }
+      });
+      const options = { ...this.getLocalRuleOptions(rule.category, rule.type, rule.value), mode };
+      if (mode === 'subdomain') {
+        delete options.mode;
+      }
+      this.setLocalRuleOptions(rule.category, rule.type, rule.value, options);
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`${rule.value} now matches: ${DOMAIN_MATCH_MODE_LABELS[mode]}`);
+      }
+    } catch (error) {
+      console.error('Failed to update domain mode:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to update rule: ' + error.message);
+      }
+      this.renderCustomRules();
+    } finally {
+      this.operationInProgress.delete(operationKey);
+    }
+  }
+
+  async editRuleSchedule(rule) {
+    const current = this.getLocalRuleOptions(rule.category, rule.type, rule.value).schedule;
+    const input = prompt(
+      `When should ${rule.value} apply? (e.g. "mon-fri 09:00-17:00"; leave empty for always)`,
+      current ? this.formatSchedule(current) : ''
+    );
+    if (input === null) return;
+
+    try {
+      const schedule = input.trim() ? this.parseSchedule(input) : null;
+      await this.sendMessage({
+        type: 'UPDATE_RULE_OPTIONS',
+        category: rule.category,
+        value: rule.value,
+        ruleType: rule.type,
+        options: { schedule }
+      });
+
+      const options = { ...this.getLocalRuleOptions(rule.category, rule.type, rule.value), schedule };
+      if (!schedule) {
+        delete options.schedule;
+      }
+      this.setLocalRuleOptions(rule.category, rule.type, rule.value, options);
+      this.renderCustomRules();
+
+      if (this.notificationManager) {
+        this.notificationManager.success(schedule
+          ? `${rule.value} now applies ${this.formatSchedule(schedule)}`
+          : `${rule.value} now applies at all times`);
+      }
+    } catch (error) {
+      console.error('Failed to update rule schedule:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to update rule: ' + error.message);
+      }
+    }
+  }
+
+  /**
+   * Parse "mon-fri 09:00-17:00" or "sat,sun 10:00-12:00" into { days, start, end }
+   */
+  parseSchedule(text) {
+    const match = /^\s*([a-z,\s-]+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*$/i.exec(text);
+    if (!match) {
+      throw new Error('Use a format like "mon-fri 09:00-17:00"');
+    }
+
+    const dayIndex = (name) => {
+      const index = WEEKDAYS.indexOf(name.trim().slice(0, 3).toLowerCase());
+      if (index === -1) {
+        throw new Error(`Unknown day: ${name.trim()}`);
+      }
+      return index;
+    };
+
+    const days = new Set();
+    match[1].split(',').filter(part => part.trim()).forEach(part => {
+      const [from, to = from] = part.split('-');
+      // Ranges may wrap around the week (e.g. fri-mon)
+      for (let day = dayIndex(from); ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === dayIndex(to)) break;
+      }
+    });
+
+    return { days: [...days].sort((a, b) => a - b), start: match[2], end: match[3] };
+  }
+
+  formatSchedule(schedule) {
+    const days = schedule.days.map(day => WEEKDAYS[day]);
+    const isRun = schedule.days.length > 2 &&
+      schedule.days.every((day, index) => index === 0 || day === schedule.days[index - 1] + 1);
+    const dayText = isRun ? `${days[0]}-${days[days.length - 1]}` : days.join(',');
+    return `${dayText} ${schedule.start}-${schedule.end}`;
+  }
+
+  async editRuleTags(rule) {
+    const current = this.getLocalRuleOptions(rule.category, rule.type, rule.value).tags || [];
+    const input = prompt(`Tags added by ${rule.value} (comma separated)`, current.join(', '));
+    if (input === null) return;
+
+    try {
+      const tags = this.parseTagList(input);
+      await this.sendMessage({
+        type: 'UPDATE_RULE_OPTIONS',
+        category: rule.category,
+        value: rule.value,
+        ruleType: rule.type,
+        options: { tags }
+      });
+
+      const options = { ...this.getLocalRuleOptions(rule.category, rule.type, rule.value), tags };
+      if (tags.length === 0) {
+        delete options.tags;
+      }
+      this.setLocalRuleOptions(rule.category, rule.type, rule.value, options);
+      this.renderCustomRules();
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Updated tags for ${rule.value}`);
+      }
+    } catch (error) {
+      console.error('Failed to update rule tags:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to update rule: ' + error.message);
+      }
+    }
+  }
+
+  parseTagList(value) {
+    return (value || '')
+      .split(',')
+      .map(tag => tag.trim().replace(/^#/, ''))
+      .filter(Boolean);
+  }
+
+  getLocalRuleOptions(category, type, value) {
+    return this.customRules[category]?.options?.[`${type}:${value}`] || {};
+  }
+
+  setLocalRuleOptions(category, type, value, options) {
+    const rules = this.customRules[category];
+    if (!rules) return;
+
+    const key = `${type}:${value}`;
+    if (options && Object.keys(options).length > 0) {
+      rules.options = { ...(rules.options || {}), [key]: options };
+    } else if (rules.options) {
+      delete rules.options[key];
+    }
+  }
+
+  detectRuleType(value) {
+    // Mirrors ValidationUtils.detectRuleType in the background
+    if (/^\/.+\/[a-z]*$/.test(value) || /[/?*]/.test(value)) {
+      return 'pattern';
+    }
+    return value.includes('.') ? 'domain' : 'keyword';
+  }
+
+  normalizeRuleValue(value, type) {
+    // Regular expression patterns keep their case; expressions are normalized by the background
+    if ((type === 'pattern' && /^\/.+\/[a-z]*$/.test(value)) || type === 'expression') {
+      return value;
+    }
+    return value.toLowerCase();
+  }
+
+  getCategory(categoryId) {
+    return this.categories.find(category => category.id === categoryId) || {
+      id: categoryId,
+      name: this.capitalizeFirst(categoryId),
+      icon: CATEGORY_ICONS[categoryId] || CATEGORY_ICONS.other
+    };
+  }
+
+  getCategories() {
+    return this.categories.map(category => ({ ...category }));
+  }
+
+  getChildCategories(parentId) {
+    return this.categories.filter(category => (category.parentId ?? null) === parentId);
+  }
+
+  /**
+   * Categories depth-first (each parent followed by its sub-categories), with their nesting depth
+   */
+  getCategoriesInTreeOrder(parentId = null, depth = 0) {
+    return this.getChildCategories(parentId).flatMap(category => [
+      { ...category, depth },
+      ...this.getCategoriesInTreeOrder(category.id, depth + 1)
+    ]);
+  }
+
+  /**
+   * Get a category's definitions from the top-level ancestor down to the category itself
+   */
+  getCategoryPath(categoryId) {
+    const path = [];
+    let current = this.getCategory(categoryId);
+
+    while (current && !path.includes(current)) {
+      path.unshift(current);
+      current = current.parentId ? this.categories.find(category => category.id === current.parentId) : null;
+    }
+
+    return path;
+  }
+
+  getCategoryLabel(categoryId) {
+    return this.getCategoryPath(categoryId).map(category => category.name).join(CATEGORY_PATH_SEPARATOR);
+  }
+
+  populateCategorySelect() {
+    const select = this.elements.ruleCategorySelect;
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '';
+
+    this.getCategoriesInTreeOrder().forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = `${category.icon} ${this.getCategoryLabel(category.id)}`;
+      select.appendChild(option);
+    });
+
+    if (this.categories.some(category => category.id === selected)) {
+      select.value = selected;
+    }
+
+    this.populateParentSelect();
+  }
+
+  populateParentSelect() {
+    const select = this.elements.newCategoryParent;
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">Top level</option>';
+
+    // "Other" stays flat, and the deepest level cannot take more children
+    this.getCategoriesInTreeOrder()
+      .filter(category => category.id !== CATEGORIES.OTHER && category.depth < LIMITS.MAX_CATEGORY_DEPTH - 1)
+      .forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = `Under ${this.getCategoryLabel(category.id)}`;
+        select.appendChild(option);
+      });
+
+    if (this.categories.some(category => category.id === selected)) {
+      select.value = selected;
+    }
+  }
+
+  renderCategoryList() {
+    if (!this.elements.categoryList) return;
+
+    this.elements.categoryList.innerHTML = '';
+
+    this.getCategoriesInTreeOrder().forEach(category => {
+      const siblings = this.getChildCategories(category.parentId ?? null);
+      const index = siblings.findIndex(sibling => sibling.id === category.id);
+
+      const row = document.createElement('div');
+      row.className = 'custom-rule category-row';
+      row.style.marginLeft = `${category.depth * 16}px`;
+
+      const infoDiv = document.createElement('div');
+      infoDiv.className = 'rule-info';
+
+      const iconBtn = document.createElement('button');
+      iconBtn.className = `category-icon category-${category.id}`;
+      iconBtn.title = 'Change icon';
+      iconBtn.textContent = category.icon;
+      if (category.color) {
+        iconBtn.style.background = category.color;
+      }
+      iconBtn.addEventListener('click', () => this.handleChangeCategoryIcon(category));
+
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'category-name';
+      nameSpan.textContent = category.name;
+
+      infoDiv.appendChild(iconBtn);
+      infoDiv.appendChild(nameSpan);
+
+      if (category.builtIn) {
+        const builtInSpan = document.createElement('span');
+        builtInSpan.className = 'rule-type';
+        builtInSpan.textContent = 'built-in';
+        infoDiv.appendChild(builtInSpan);
+      }
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'category-row-actions';
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.className = 'category-color-input';
+      colorInput.title = 'Change color';
+      colorInput.value = category.color || '#e2e8f0';
+      colorInput.addEventListener('change', (e) => {
+        this.updateCategory(category.id, { color: e.target.value });
+      });
+      actionsDiv.appendChild(colorInput);
+
+      const actions = [
+        { label: '▲', title: 'Move up', disabled: index === 0, handler: () => this.moveCategory(category.id, -1) },
+        { label: '▼', title: 'Move down', disabled: index === siblings.length - 1, handler: () => this.moveCategory(category.id, 1) },
+        { label: '✎', title: 'Rename', handler: () => this.handleRenameCategory(category) }
+      ];
+
+      if (category.id !== CATEGORIES.OTHER) {
+        actions.push({ label: '×', title: 'Delete category', className: 'rule-remove', handler: () => this.handleDeleteCategory(category) });
+      }
+
+      actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = action.className || 'rule-action';
+        button.title = action.title;
+        button.textContent = action.label;
+        button.disabled = !!action.disabled;
+        button.addEventListener('click', action.handler);
+        actionsDiv.appendChild(button);
+      });
+
+      row.appendChild(infoDiv);
+      row.appendChild(actionsDiv);
+      this.elements.categoryList.appendChild(row);
+    });
+  }
+
+  renderProfileList() {
+    if (this.elements.newProfileSource) {
+      const select = this.elements.newProfileSource;
+      select.innerHTML = '<option value="">Built-in categories only</option>';
+      this.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = `Copy of ${profile.icon} ${profile.name}`;
+        select.appendChild(option);
+      });
+    }
+
+    if (!this.elements.profileList) return;
+
+    this.elements.profileList.innerHTML = '';
+
+    this.profiles.forEach(profile => {
+      const row = document.createElement('div');
+      row.className = 'custom-rule category-row';
+
+      const infoDiv = document.createElement('div');
+      infoDiv.className = 'rule-info';
+
+      const iconBtn = document.createElement('button');
+      iconBtn.className = 'category-icon';
+      iconBtn.title = 'Change icon';
+      iconBtn.textContent = profile.icon;
+      iconBtn.addEventListener('click', () => this.handleChangeProfileIcon(profile));
+
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'category-name';
+      nameSpan.textContent = profile.name;
+
+      infoDiv.appendChild(iconBtn);
+      infoDiv.appendChild(nameSpan);
+
+      if (profile.active) {
+        const activeSpan = document.createElement('span');
+        activeSpan.className = 'rule-type';
+        activeSpan.textContent = 'active';
+        infoDiv.appendChild(activeSpan);
+      }
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'category-row-actions';
+
+      const actions = [
+        { label: '✓', title: 'Switch to this profile', disabled: profile.active, handler: () => this.switchProfile(profile.id) },
+        { label: '✎', title: 'Rename', handler: () => this.handleRenameProfile(profile) },
+        { label: '×', title: profile.active ? 'Switch to another profile before deleting this one' : 'Delete profile', className: 'rule-remove', disabled: profile.active, handler: () => this.handleDeleteProfile(profile) }
+      ];
+
+      actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = action.className || 'rule-action';
+        button.title = action.title;
+        button.textContent = action.label;
+        button.disabled = !!action.disabled;
+        button.addEventListener('click', action.handler);
+        actionsDiv.appendChild(button);
+      });
+
+      row.appendChild(infoDiv);
+      row.appendChild(actionsDiv);
+      this.elements.profileList.appendChild(row);
+    });
+  }
+
+  async handleCreateProfile() {
+    if (this.operationInProgress.has('createProfile')) {
+      return;
+    }
+
+    this.operationInProgress.add('createProfile');
+
+    try {
+      const name = this.elements.newProfileName?.value?.trim();
+      const icon = this.elements.newProfileIcon?.value?.trim();
+      const copyFrom = this.elements.newProfileSource?.value || null;
+
+      if (!name) {
+        if (this.notificationManager) {
+          this.notificationManager.warning('Please enter a profile name');
+        }
+        return;
+      }
+
+      const profile = await this.sendMessage({
+        type: 'CREATE_PROFILE',
+        profile: { name, ...(icon && { icon }), copyFrom }
+      });
+
+      if (this.elements.newProfileName) {
+        this.elements.newProfileName.value = '';
+      }
+      if (this.elements.newProfileIcon) {
+        this.elements.newProfileIcon.value = '';
+      }
+
+      await this.handleProfilesChanged();
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Created profile ${profile.name}`);
+      }
+    } catch (error) {
+      console.error('Failed to create profile:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to create profile: ' + error.message);
+      }
+    } finally {
+      this.operationInProgress.delete('createProfile');
+    }
+  }
+
+  handleRenameProfile(profile) {
+    const name = prompt('Rename profile', profile.name);
+    if (name === null || name.trim() === '' || name.trim() === profile.name) {
+      return;
+    }
+
+    this.updateProfile(profile.id, { name: name.trim() });
+  }
+
+  handleChangeProfileIcon(profile) {
+    const icon = prompt(`Icon for ${profile.name}`, profile.icon);
+    if (icon === null || icon.trim() === '' || icon.trim() === profile.icon) {
+      return;
+    }
+
+    this.updateProfile(profile.id, { icon: icon.trim() });
+  }
+
+  async updateProfile(profileId, changes) {
+    const operationKey = `updateProfile_${profileId}`;
+    if (this.operationInProgress.has(operationKey)) {
+      return;
+    }
+
+    this.operationInProgress.add(operationKey);
+
+    try {
+      await this.sendMessage({ type: 'UPDATE_PROFILE', profileId, changes });
+      await this.handleProfilesChanged();
+
+      if (this.notificationManager) {
+        this.notificationManager.success('Profile updated');
+      }
+    } catch (error) {
+      console.error('Failed to update profile:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to update profile: ' + error.message);
+      }
+    } finally {
+      this.operationInProgress.delete(operationKey);
+    }
+  }
+
+  async handleDeleteProfile(profile) {
+    const operationKey = `deleteProfile_${profile.id}`;
+    if (this.operationInProgress.has(operationKey)) {
+      return;
     }
 
-    if (this.elements.importFileInput) {
-      this.elements.importFileInput.addEventListener('change', (e) => {
-        this.handleImportData(e);
-      });
+    const confirmed = confirm(`Delete the "${profile.name}" profile?\n\nIts categories and rules will be removed.`);
+    if (!confirmed) {
+      return;
     }
 
-    if (this.elements.clearDataBtn) {
-      this.elements.clearDataBtn.addEventListener('click', () => {
-        this.handleClearData();
-      });
-    }
+    this.operationInProgress.add(operationKey);
 
-    // About
-    if (this.elements.feedbackBtn) {
-      this.elements.feedbackBtn.addEventListener('click', () => {
-        this.handleFeedback();
-      });
-    }
+    try {
+      await this.sendMessage({ type: 'DELETE_PROFILE', profileId: profile.id });
+      await this.handleProfilesChanged();
 
-    if (this.elements.helpBtn) {
-      this.elements.helpBtn.addEventListener('click', () => {
-        this.handleHelp();
-      });
+      if (this.notificationManager) {
+        this.notificationManager.success(`Deleted profile ${profile.name}`);
+      }
+    } catch (error) {
+      console.error('Failed to delete profile:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to delete profile: ' + error.message);
+      }
+    } finally {
+      this.operationInProgress.delete(operationKey);
     }
   }
 
-  async loadSettings() {
+  async switchProfile(profileId) {
+    if (this.operationInProgress.has('switchProfile')) {
+      return;
+    }
+
+    this.operationInProgress.add('switchProfile');
+
     try {
-      const result = await chrome.storage.local.get(['settings']);
-      if (result.settings) {
-        this.settings = { ...DEFAULT_SETTINGS, ...result.settings };
+      const profile = await this.sendMessage({ type: 'SWITCH_PROFILE', profileId });
+      await this.loadCustomRules();
+      await this.handleProfilesChanged({ reloadTabs: true });
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Switched to ${profile.icon} ${profile.name}`);
       }
     } catch (error) {
-      console.warn('Failed to load settings:', error);
-      this.settings = { ...DEFAULT_SETTINGS };
+      console.error('Failed to switch profile:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to switch profile: ' + error.message);
+      }
+      // Put the header back on the profile that is still active
+      await this.handleProfilesChanged();
+    } finally {
+      this.operationInProgress.delete('switchProfile');
     }
   }
 
-  async loadCustomRules() {
+  async handleProfilesChanged(options = {}) {
+    await this.loadProfiles();
+    this.renderProfileList();
+    await this.handleCategoriesChanged(options);
+  }
+
+  async handleCreateCategory() {
+    if (this.operationInProgress.has('createCategory')) {
+      return;
+    }
+
+    this.operationInProgress.add('createCategory');
+
     try {
-      const result = await chrome.storage.local.get(['categoryRules']);
-      if (result.categoryRules) {
-        this.customRules = result.categoryRules;
+      const name = this.elements.newCategoryName?.value?.trim();
+      const icon = this.elements.newCategoryIcon?.value?.trim();
+      const color = this.elements.newCategoryColor?.value;
+      const parentId = this.elements.newCategoryParent?.value || null;
+
+      if (!name) {
+        if (this.notificationManager) {
+          this.notificationManager.warning('Please enter a category name');
+        }
+        return;
+      }
+
+      const category = await this.sendMessage({
+        type: 'CREATE_CATEGORY',
+        category: { name, ...(icon && { icon }), ...(color && { color }), ...(parentId && { parentId }) }
+      });
+
+      if (this.elements.newCategoryName) {
+        this.elements.newCategoryName.value = '';
+      }
+      if (this.elements.newCategoryIcon) {
+        this.elements.newCategoryIcon.value = '';
+      }
+
+      await this.handleCategoriesChanged();
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Created category ${category.name}`);
       }
     } catch (error) {
-      console.warn('Failed to load custom rules:', error);
-      this.customRules = {};
+      console.error('Failed to create category:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to create category: ' + error.message);
+      }
+    } finally {
+      this.operationInProgress.delete('createCategory');
     }
   }
 
-  async saveSettings() {
-    try {
-      await chrome.storage.local.set({ settings: this.settings });
-    } catch (error) {
-      console.error('Failed to save settings:', error);
-      throw error;
+  handleRenameCategory(category) {
+    const name = prompt('Rename category', category.name);
+    if (name === null || name.trim() === '' || name.trim() === category.name) {
+      return;
     }
+
+    this.updateCategory(category.id, { name: name.trim() });
   }
 
-  async saveCustomRules() {
-    try {
-      await chrome.storage.local.set({ categoryRules: this.customRules });
-    } catch (error) {
-      console.error('Failed to save custom rules:', error);
-      throw error;
+  handleChangeCategoryIcon(category) {
+    const icon = prompt(`Icon for ${category.name}`, category.icon);
+    if (icon === null || icon.trim() === '' || icon.trim() === category.icon) {
+      return;
     }
+
+    this.updateCategory(category.id, { icon: icon.trim() });
   }
 
-  populateSettingsUI() {
-    if (this.elements.autoOrganize) {
-      this.elements.autoOrganize.checked = this.settings.autoOrganize;
+  async updateCategory(categoryId, changes) {
+    const operationKey = `updateCategory_${categoryId}`;
+    if (this.operationInProgress.has(operationKey)) {
+      return;
     }
 
-    if (this.elements.showNotifications) {
-      this.elements.showNotifications.checked = this.settings.showNotifications;
+    this.operationInProgress.add(operationKey);
+
+    try {
+      await this.sendMessage({ type: 'UPDATE_CATEGORY', categoryId, changes });
+      await this.handleCategoriesChanged();
+
+      if (this.notificationManager) {
+        this.notificationManager.success('Category updated');
+      }
+    } catch (error) {
+      console.error('Failed to update category:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to update category: ' + error.message);
+      }
+    } finally {
+      this.operationInProgress.delete(operationKey);
     }
+  }
 
-    if (this.elements.themeSelect) {
-      this.elements.themeSelect.value = this.settings.theme;
+  async moveCategory(categoryId, offset) {
+    if (this.operationInProgress.has('reorderCategories')) {
+      return;
     }
 
-    if (this.elements.categorizationMode) {
-      this.elements.categorizationMode.value = this.settings.categorization;
+    // Categories move among their siblings only
+    const category = this.getCategory(categoryId);
+    const siblingIds = this.getChildCategories(category.parentId ?? null).map(sibling => sibling.id);
+    const siblingIndex = siblingIds.indexOf(categoryId);
+    const targetId = siblingIds[siblingIndex + offset];
+
+    if (siblingIndex === -1 || !targetId) {
+      return;
     }
 
-    this.applyTheme(this.settings.theme);
+    const order = this.categories.map(entry => entry.id);
+    const index = order.indexOf(categoryId);
+    const target = order.indexOf(targetId);
+
+    this.operationInProgress.add('reorderCategories');
+
+    try {
+      [order[index], order[target]] = [order[target], order[index]];
+      await this.sendMessage({ type: 'REORDER_CATEGORIES', categoryIds: order });
+      await this.handleCategoriesChanged();
+    } catch (error) {
+      console.error('Failed to reorder categories:', error);
+
+      if (this.notificationManager) {
+        this.notificationManager.error('Failed to reorder categories');
+      }
+    } finally {
+      this.operationInProgress.delete('reorderCategories');
+    }
   }
 
-  async updateSetting(key, value) {
-    // Prevent duplicate update operations
-    const operationKey = `update_${key}`;
+  async handleDeleteCategory(category) {
+    const operationKey = `deleteCategory_${category.id}`;
     if (this.operationInProgress.has(operationKey)) {
       return;
     }
-    
+
+    const confirmed = confirm(
+      `Delete the "${category.name}" category?\n\n` +
+      'Its custom rules will be removed and its tabs will be re-categorized.' +
+      (this.getChildCategories(category.id).length > 0
+        ? '\nIts sub-categories will move up one level.'
+        : '')
+    );
+
+    if (!confirmed) {
+      return;
+    }
+
     this.operationInProgress.add(operationKey);
-    
+
     try {
-      this.settings[key] = value;
-      await this.saveSettings();
-      
-      // Only show notification for user-initiated changes
-      if (this.notificationManager && this.initialized) {
-        this.notificationManager.success('Setting updated');
+      await this.sendMessage({ type: 'DELETE_CATEGORY', categoryId: category.id });
+      delete this.customRules[category.id];
+      await this.handleCategoriesChanged({ reloadTabs: true });
+
+      if (this.notificationManager) {
+        this.notificationManager.success(`Deleted category ${category.name}`);
       }
     } catch (error) {
-      console.error(`Failed to update setting ${key}:`, error);
-      
+      console.error('Failed to delete category:', error);
+
       if (this.notificationManager) {
-        this.notificationManager.error('Failed to save setting');
+        this.notificationManager.error('Failed to delete category: ' + error.message);
       }
     } finally {
       this.operationInProgress.delete(operationKey);
     }
   }
 
-  applyTheme(theme) {
-    const root = document.documentElement;
-    
-    if (theme === 'dark') {
-      root.setAttribute('data-theme', 'dark');
-    } else if (theme === 'light') {
-      root.removeAttribute('data-theme');
-    } else if (theme === 'auto') {
-      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-      if (prefersDark) {
-        root.setAttribute('data-theme', 'dark');
-      } else {
-        root.removeAttribute('data-theme');
-      }
+  async handleCategoriesChanged(options = {}) {
+    await this.loadCategories();
+    await this.loadScoringSettings();
+    this.populateCategorySelect();
+    this.renderCategoryList();
+    this.renderCustomRules();
+    this.renderScoringSettings();
+
+    if (typeof this.onCategoriesChanged === 'function') {
+      await this.onCategoriesChanged(options);
     }
   }
 
@@ -565,47 +2056,81 @@ class SettingsManager {
         return;
       }
 
-      if (value.length > 100) {
+      const selectedType = this.elements.ruleTypeSelect?.value || 'auto';
+      const type = selectedType === 'auto' ? this.detectRuleType(value) : selectedType;
+      const maxLength = type === 'expression' ? LIMITS.MAX_EXPRESSION_LENGTH : LIMITS.MAX_RULE_LENGTH;
+
+      if (value.length > maxLength) {
         if (this.notificationManager) {
-          this.notificationManager.error('Rule value is too long (max 100 characters)');
+          this.notificationManager.error(`Rule value is too long (max ${maxLength} characters)`);
         }
         return;
       }
 
-      const type = value.includes('.') ? 'domain' : 'keyword';
+      let cleanValue = this.normalizeRuleValue(value, type);
+      if (type === 'expression') {
+        // The background owns the expression parser and returns the canonical text
+        const validation = await this.sendMessage({ type: 'VALIDATE_RULE_EXPRESSION', expression: value });
+        if (!validation.valid) {
+          if (this.notificationManager) {
+            this.notificationManager.error('Invalid expression: ' + validation.errors.join(', '));
+          }
+          return;
+        }
+        cleanValue = validation.expression;
+      }
       
       if (!this.customRules[category]) {
         this.customRules[category] = { domains: [], keywords: [] };
       }
 
-      const ruleArray = type === 'domain' ? 'domains' : 'keywords';
+      const ruleArray = RULE_TYPE_KEYS[type];
       const existing = this.customRules[category][ruleArray] || [];
       
-      if (existing.includes(value.toLowerCase())) {
+      if (existing.includes(cleanValue)) {
         if (this.notificationManager) {
           this.notificationManager.warning('Rule already exists');
         }
         return;
       }
 
-      this.customRules[category][ruleArray].push(value.toLowerCase());
-      await this.saveCustomRules();
+      const mode = this.elements.ruleModeSelect?.value || 'subdomain';
+      const tags = this.parseTagList(this.elements.ruleTagsInput?.value);
+      const effect = this.elements.ruleEffectSelect?.value || 'match';
+      const options = {
+        ...(type === 'domain' && mode !== 'subdomain' ? { mode } : {}),
+        ...(tags.length > 0 ? { tags } : {}),
+        ...(effect === 'exclude' ? { exclude: true } : {}),
+        ...(effect === 'penalize' ? { weight: this.parseRuleWeight(this.elements.ruleWeightInput?.value) } : {})
+      };
+
+      const confirmed = await this.confirmRuleChange({ action: 'add', category, value: cleanValue, ruleType: type, options });
+      if (!confirmed) return;
+
+      // The background validates the rule (pattern syntax included) and applies it immediately
+      await this.sendMessage({ type: 'ADD_CUSTOM_RULE', category, value: cleanValue, ruleType: type, options });
+      this.customRules[category][ruleArray] = [...existing, cleanValue];
+      this.setLocalRuleOptions(category, type, cleanValue, options);
+      await this.loadRuleConflicts();
 
       if (this.elements.ruleValueInput) {
         this.elements.ruleValueInput.value = '';
       }
+      if (this.elements.ruleTagsInput) {
+        this.elements.ruleTagsInput.value = '';
+      }
 
       this.renderCustomRules();
 
       if (this.notificationManager) {
-        this.notificationManager.success(`Added ${type} rule for ${category}`);
+        this.notificationManager.success(`Added ${type} rule for ${this.getCategory(category).name}`);
       }
       
     } catch (error) {
       console.error('Failed to add custom rule:', error);
       
       if (this.notificationManager) {
-        this.notificationManager.error('Failed to add rule');
+        this.notificationManager.error('Failed to add rule: ' + error.message);
       }
     } finally {
       this.operationInProgress.delete('addRule');
@@ -624,20 +2149,26 @@ class SettingsManager {
     try {
       if (!this.customRules[category]) return;
 
-      const ruleArray = type === 'domain' ? 'domains' : 'keywords';
-      const rules = this.customRules[category][ruleArray];
+      const ruleArray = RULE_TYPE_KEYS[type];
+      const rules = this.customRules[category][ruleArray] || [];
       const index = rules.indexOf(value);
 
       if (index > -1) {
+        const confirmed = await this.confirmRuleChange({ action: 'remove', category, value, ruleType: type });
+        if (!confirmed) return;
+
+        await this.sendMessage({ type: 'REMOVE_CUSTOM_RULE', category, value, ruleType: type });
         rules.splice(index, 1);
+        this.setLocalRuleOptions(category, type, value, null);
 
-        if (rules.length === 0 && 
-            this.customRules[category].domains.length === 0 && 
-            this.customRules[category].keywords.length === 0) {
+        const remaining = Object.values(RULE_TYPE_KEYS).reduce((total, key) => 
+          total + (this.customRules[category][key]?.length || 0), 0
+        );
+        if (remaining === 0) {
           delete this.customRules[category];
         }
 
-        await this.saveCustomRules();
+        await this.loadRuleConflicts();
         this.renderCustomRules();
 
         if (this.notificationManager) {
@@ -655,6 +2186,116 @@ class SettingsManager {
     }
   }
 
+  async confirmRuleChange(change) {
+    let preview;
+    try {
+      preview = await this.sendMessage({ type: 'PREVIEW_RULE_CHANGES', change });
+    } catch (error) {
+      // The save itself reports real problems (e.g. an invalid pattern)
+      console.warn('Rule preview unavailable:', error);
+      return true;
+    }
+
+    if (preview.changes.length === 0 && !(preview.conflicts?.length > 0)) {
+      return true;
+    }
+
+    return this.showRulePreview(preview);
+  }
+
+  showRulePreview(preview) {
+    const container = this.elements.rulePreview;
+    if (!container) return Promise.resolve(true);
+
+    // Only one preview can be open; an older one counts as cancelled
+    this.hideRulePreview(false);
+
+    return new Promise(resolve => {
+      this.pendingRulePreview = resolve;
+
+      const summary = document.createElement('div');
+      summary.className = 'rule-preview-summary';
+      summary.textContent = this.formatPreviewSummary(preview.summary);
+
+      const list = document.createElement('ul');
+      list.className = 'rule-preview-list';
+      const maxShown = 5;
+      preview.changes.slice(0, maxShown).forEach(change => {
+        const item = document.createElement('li');
+        item.textContent = `${change.title} (${this.getCategory(change.from).name} → ${this.getCategory(change.to).name})`;
+        item.title = change.url;
+        list.appendChild(item);
+      });
+      if (preview.changes.length > maxShown) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${preview.changes.length - maxShown} more`;
+        list.appendChild(more);
+      }
+      if (preview.changes.length === 0) {
+        summary.textContent = 'No open tabs affected';
+      }
+
+      const conflicts = document.createElement('ul');
+      conflicts.className = 'rule-conflict-list';
+      (preview.conflicts || []).forEach(conflict => {
+        conflicts.appendChild(this.createRuleConflictItem(conflict));
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'rule-preview-actions';
+
+      const confirmBtn = document.createElement('button');
+      confirmBtn.type = 'button';
+      confirmBtn.className = 'btn btn-primary';
+      confirmBtn.textContent = 'Save rule';
+      confirmBtn.addEventListener('click', () => this.hideRulePreview(true));
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'btn btn-secondary';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => this.hideRulePreview(false));
+
+      actions.appendChild(confirmBtn);
+      actions.appendChild(cancelBtn);
+
+      container.innerHTML = '';
+      container.appendChild(summary);
+      container.appendChild(list);
+      if (conflicts.childElementCount > 0) {
+        container.appendChild(conflicts);
+      }
+      container.appendChild(actions);
+      container.style.display = 'block';
+      confirmBtn.focus();
+    });
+  }
+
+  hideRulePreview(confirmed) {
+    if (this.elements.rulePreview) {
+      this.elements.rulePreview.style.display = 'none';
+      this.elements.rulePreview.innerHTML = '';
+    }
+
+    if (this.pendingRulePreview) {
+      const resolve = this.pendingRulePreview;
+      this.pendingRulePreview = null;
+      resolve(confirmed);
+    }
+  }
+
+  formatPreviewSummary(summary) {
+    const parts = summary.flatMap(({ category, added, removed }) => {
+      const name = this.getCategory(category).name;
+      return [
+        added > 0 ? `+${added} to ${name}` : null,
+        removed > 0 ? `−${removed} from ${name}` : null
+      ].filter(Boolean);
+    });
+
+    return `Open tabs affected: ${parts.join(', ')}`;
+  }
+
   renderCustomRules() {
     if (!this.elements.customRulesList) return;
 
@@ -667,11 +2308,18 @@ class SettingsManager {
       (categoryRules.keywords || []).forEach(keyword => {
         rules.push({ category, value: keyword, type: 'keyword' });
       });
+      (categoryRules.patterns || []).forEach(pattern => {
+        rules.push({ category, value: pattern, type: 'pattern' });
+      });
+      (categoryRules.expressions || []).forEach(expression => {
+        rules.push({ category, value: expression, type: 'expression' });
+      });
     });
 
+    const categoryOrder = this.categories.map(category => category.id);
     rules.sort((a, b) => {
       if (a.category !== b.category) {
-        return a.category.localeCompare(b.category);
+        return this.compareCategoryOrder(categoryOrder, a.category, b.category);
       }
       return a.value.localeCompare(b.value);
     });
@@ -694,7 +2342,7 @@ class SettingsManager {
         
         const categorySpan = document.createElement('span');
         categorySpan.className = 'rule-category';
-        categorySpan.textContent = this.capitalizeFirst(rule.category);
+        categorySpan.textContent = this.getCategoryLabel(rule.category);
         
         const typeSpan = document.createElement('span');
         typeSpan.className = 'rule-type';
@@ -707,6 +2355,37 @@ class SettingsManager {
         infoDiv.appendChild(categorySpan);
         infoDiv.appendChild(typeSpan);
         infoDiv.appendChild(valueSpan);
+
+        if (rule.type === 'domain') {
+          infoDiv.appendChild(this.createDomainModeSelect(rule));
+        }
+
+        infoDiv.appendChild(this.createRuleEffectSelect(rule));
+        ruleDiv.classList.toggle(
+          'exclusion-rule',
+          this.getRuleEffect(this.getLocalRuleOptions(rule.category, rule.type, rule.value)) !== 'match'
+        );
+
+        const tags = this.getLocalRuleOptions(rule.category, rule.type, rule.value).tags || [];
+        const tagsBtn = document.createElement('button');
+        tagsBtn.className = 'rule-tags';
+        tagsBtn.title = 'Edit the tags this rule adds';
+        tagsBtn.textContent = tags.length > 0 ? tags.map(tag => `#${tag}`).join(' ') : '+ tags';
+        tagsBtn.addEventListener('click', () => this.editRuleTags(rule));
+        infoDiv.appendChild(tagsBtn);
+
+        const schedule = this.getLocalRuleOptions(rule.category, rule.type, rule.value).schedule;
+        const scheduleBtn = document.createElement('button');
+        scheduleBtn.className = 'rule-tags';
+        scheduleBtn.title = 'Limit this rule to certain days and hours';
+        scheduleBtn.textContent = schedule ? `🕒 ${this.formatSchedule(schedule)}` : '🕒';
+        scheduleBtn.addEventListener('click', () => this.editRuleSchedule(rule));
+        infoDiv.appendChild(scheduleBtn);
+
+        const statsSpan = this.createRuleStatsBadge(rule);
+        if (statsSpan) {
+          infoDiv.appendChild(statsSpan);
+        }
         
         const removeBtn = document.createElement('button');
         removeBtn.className = 'rule-remove';
@@ -728,6 +2407,87 @@ class SettingsManager {
     if (this.elements.ruleCount) {
       this.elements.ruleCount.textContent = rules.length;
     }
+
+    this.renderRuleConflicts();
+  }
+
+  renderRuleConflicts() {
+    const container = this.elements.ruleConflictsList;
+    if (!container) return;
+
+    const conflicts = this.ruleConflicts || [];
+    container.innerHTML = '';
+    container.style.display = conflicts.length > 0 ? 'block' : 'none';
+    if (conflicts.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'rule-conflicts-heading';
+    heading.textContent = `⚠ ${conflicts.length} rule ${conflicts.length === 1 ? 'conflict' : 'conflicts'}`;
+
+    const list = document.createElement('ul');
+    list.className = 'rule-conflict-list';
+    conflicts.forEach(conflict => list.appendChild(this.createRuleConflictItem(conflict)));
+
+    container.appendChild(heading);
+    container.appendChild(list);
+  }
+
+  createRuleConflictItem(conflict) {
+    const describe = (entry) => `${entry.custom ? '' : 'built-in '}${entry.type} "${entry.value}" (${this.getCategory(entry.category).name})`;
+    const kinds = {
+      duplicate: 'is also',
+      overlappingPattern: 'overlaps',
+      keywordInDomain: 'occurs in'
+    };
+
+    const item = document.createElement('li');
+    item.className = 'rule-conflict';
+
+    const description = document.createElement('div');
+    description.textContent = `${describe(conflict.rule)} ${kinds[conflict.kind] || 'conflicts with'} ${describe(conflict.other)}`;
+
+    const suggestion = document.createElement('div');
+    suggestion.className = 'rule-conflict-suggestion';
+    suggestion.textContent = conflict.suggestion;
+
+    item.appendChild(description);
+    item.appendChild(suggestion);
+    return item;
+  }
+
+  createRuleStatsBadge(rule) {
+    const stats = this.ruleStats?.categories?.[rule.category]?.[`${rule.type}:${rule.value}`];
+    if (!stats) return null;
+
+    const span = document.createElement('span');
+    span.className = 'rule-stats';
+
+    const lastMatched = stats.lastMatchedAt
+      ? `last matched ${this.formatTimeAgo(stats.lastMatchedAt)}`
+      : 'never matched';
+    span.textContent = `${stats.decided} ${stats.decided === 1 ? 'tab' : 'tabs'}`;
+    span.title = `Decided the category of ${stats.decided} of ${stats.matches} matching page loads, ` +
+      `lost to another category ${stats.beaten} times; ${lastMatched}`;
+
+    if (stats.shadowed) {
+      span.classList.add('rule-stats-warning');
+      span.textContent += ' · ⚠ always beaten';
+      span.title += '. Another rule always wins where this one matches, so it may be redundant';
+    } else if (stats.unused) {
+      span.classList.add('rule-stats-warning');
+      span.textContent += ` · ⚠ unused ${this.ruleStats.staleDays}d+`;
+      span.title += `. No match in the last ${this.ruleStats.staleDays} days, so it may be safe to remove`;
+    }
+
+    return span;
+  }
+
+  formatTimeAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    return `${Math.floor(minutes / (24 * 60))}d ago`;
   }
 
   async handleExportData() {
@@ -746,6 +2506,9 @@ class SettingsManager {
         exportDate: new Date().toISOString(),
         settings: this.settings,
         customRules: this.customRules,
+        categoryRegistry: data.categoryRegistry,
+        ruleProfiles: data.ruleProfiles,
+        categoryScoring: data.categoryScoring,
         tabs: data.tabs || {},
         metadata: {
           userAgent: navigator.userAgent,
@@ -803,7 +2566,7 @@ class SettingsManager {
 
       // Single confirmation dialog
       const confirmed = confirm(
-        'This will replace your current settings and custom rules. ' +
+        'This will replace your current settings, categories, rule profiles and custom rules. ' +
         'Make sure you have exported your current data first. Continue?'
       );
       
@@ -812,17 +2575,43 @@ class SettingsManager {
       }
 
       if (importData.settings) {
-        this.settings = { ...DEFAULT_SETTINGS, ...importData.settings };
-        await this.saveSettings();
+        await this.saveSettings({ ...DEFAULT_SETTINGS, ...importData.settings });
         this.populateSettingsUI();
       }
 
+      // Categories, profiles and scoring go first, so the imported rules find their categories
+      const hasRuleData = ['categoryRegistry', 'ruleProfiles', 'categoryScoring'].some(key => importData[key] !== undefined);
+      const skipped = [];
+      if (hasRuleData) {
+        const result = await this.sendMessage({
+          type: 'IMPORT_RULE_DATA',
+          registry: importData.categoryRegistry,
+          profiles: importData.ruleProfiles,
+          scoring: importData.categoryScoring
+        });
+        skipped.push(...result.skipped);
+      }
+
       if (importData.customRules) {
-        this.customRules = importData.customRules;
-        await this.saveCustomRules();
+        skipped.push(...await this.saveCustomRules(importData.customRules));
         this.renderCustomRules();
       }
 
+      // Rules of inactive profiles are checked too; their skipped entries carry a profileId
+      if (skipped.length > 0) {
+        console.warn('Skipped invalid custom rules:', skipped);
+        if (this.notificationManager) {
+          const [first] = skipped;
+          this.notificationManager.warning(
+            `${skipped.length} invalid custom rules were skipped, e.g. "${first.value}" in ${first.category}: ${first.error}`
+          );
+        }
+      }
+
+      if (hasRuleData) {
+        await this.handleProfilesChanged({ reloadTabs: true });
+      }
+
       if (importData.tabs) {
         await chrome.storage.local.set({ tabs: importData.tabs });
       }
@@ -866,6 +2655,7 @@ class SettingsManager {
         'This will permanently delete ALL extension data including:\n' +
         '• All settings\n' +
         '• Custom categorization rules\n' +
+        '• Learned corrections\n' +
         '• Tab history and statistics\n\n' +
         'This action cannot be undone. Are you sure?'
       );
@@ -878,6 +2668,13 @@ class SettingsManager {
       
       this.settings = { ...DEFAULT_SETTINGS };
       this.customRules = {};
+
+      // The background keeps the learned model in memory, so reset it there too
+      try {
+        this.renderLearningStats(await this.sendMessage({ type: 'RESET_LEARNING' }));
+      } catch (error) {
+        console.warn('Failed to reset learning model:', error);
+      }
       
       this.populateSettingsUI();
       this.renderCustomRules();
@@ -931,6 +2728,12 @@ class SettingsManager {
     return { ...this.customRules };
   }
 
+  compareCategoryOrder(order, a, b) {
+    const indexA = order.includes(a) ? order.indexOf(a) : order.length;
+    const indexB = order.includes(b) ? order.indexOf(b) : order.length;
+    return indexA - indexB || a.localeCompare(b);
+  }
+
   capitalizeFirst(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
@@ -953,9 +2756,12 @@ class PopupController {
     this.retryCount = 0;
     this.maxRetries = 3;
     this.currentSearchQuery = '';
+    this.tabSortMode = 'default';
+    this.lowConfidenceOnly = false;
     this.eventHandlers = new Map();
     this.operationInProgress = new Set(); // Track ongoing operations
     this.eventListenersSetup = false; // Prevent duplicate event listeners
+    this.backgroundMessageHandler = null;
     
     this.notificationManager = new NotificationManager();
     this.settingsManager = new SettingsManager();
@@ -970,11 +2776,13 @@ class PopupController {
       await this.waitForDOM();
       
       this.notificationManager.init();
+      this.settingsManager.onCategoriesChanged = (options) => this.handleCategoriesChanged(options);
       await this.settingsManager.init(this.notificationManager);
       
       this.setupDOMElements();
       this.showLoadingState();
       this.setupEventListeners();
+      this.renderProfileSelect();
       
       await this.loadInitialData();
       
@@ -1006,8 +2814,12 @@ class PopupController {
       tabCount: document.querySelector('#tabCount'),
       refreshBtn: document.querySelector('#refreshBtn'),
       settingsBtn: document.querySelector('#settingsBtn'),
+      profileSelect: document.querySelector('#profileSelect'),
       searchInput: document.querySelector('#searchInput'),
       searchClear: document.querySelector('#searchClear'),
+      tabSortSelect: document.querySelector('#tabSortSelect'),
+      lowConfidenceFilter: document.querySelector('#lowConfidenceFilter'),
+      lowConfidenceCount: document.querySelector('#lowConfidenceCount'),
       loadingState: document.querySelector('#loadingState'),
       emptyState: document.querySelector('#emptyState'),
       errorState: document.querySelector('#errorState'),
@@ -1015,7 +2827,11 @@ class PopupController {
       newTabBtn: document.querySelector('#newTabBtn'),
       retryBtn: document.querySelector('#retryBtn'),
       settingsPanel: document.querySelector('#settingsPanel'),
-      closeSettingsBtn: document.querySelector('#closeSettingsBtn')
+      closeSettingsBtn: document.querySelector('#closeSettingsBtn'),
+      tabDetailPanel: document.querySelector('#tabDetailPanel'),
+      tabDetailContent: document.querySelector('#tabDetailContent'),
+      closeTabDetailBtn: document.querySelector('#closeTabDetailBtn'),
+      ruleSuggestions: document.querySelector('#ruleSuggestions')
     };
 
     const required = ['container', 'categoriesContainer', 'loadingState'];
@@ -1043,6 +2859,12 @@ class PopupController {
       handlers.set('refreshBtn', { element: this.elements.refreshBtn, event: 'click', handler: refreshHandler });
     }
 
+    if (this.elements.profileSelect) {
+      const profileHandler = (e) => this.settingsManager.switchProfile(e.target.value);
+      this.elements.profileSelect.addEventListener('change', profileHandler);
+      handlers.set('profileSelect', { element: this.elements.profileSelect, event: 'change', handler: profileHandler });
+    }
+
     if (this.elements.settingsBtn) {
       const settingsHandler = () => this.openSettings();
       this.elements.settingsBtn.addEventListener('click', settingsHandler);
@@ -1065,14 +2887,32 @@ class PopupController {
       handlers.set('settingsBackdrop', { element: this.elements.settingsPanel, event: 'click', handler: backdropHandler });
     }
 
+    if (this.elements.closeTabDetailBtn) {
+      const closeTabDetailHandler = () => this.closeTabDetail();
+      this.elements.closeTabDetailBtn.addEventListener('click', closeTabDetailHandler);
+      handlers.set('closeTabDetailBtn', { element: this.elements.closeTabDetailBtn, event: 'click', handler: closeTabDetailHandler });
+    }
+
     const escapeHandler = (e) => {
-      if (e.key === 'Escape' && this.elements.settingsPanel && this.elements.settingsPanel.classList.contains('show')) {
+      if (e.key !== 'Escape') return;
+
+      if (this.elements.tabDetailPanel && this.elements.tabDetailPanel.classList.contains('show')) {
+        this.closeTabDetail();
+      } else if (this.elements.settingsPanel && this.elements.settingsPanel.classList.contains('show')) {
         this.closeSettings();
       }
     };
     document.addEventListener('keydown', escapeHandler);
     handlers.set('escapeKey', { element: document, event: 'keydown', handler: escapeHandler });
 
+    // Background events (e.g. tabs re-categorized after a rule change)
+    this.backgroundMessageHandler = (message) => {
+      if (message?.type === MESSAGE_TYPES.BACKGROUND_EVENT) {
+        this.handleBackgroundEvent(message);
+      }
+    };
+    chrome.runtime.onMessage.addListener(this.backgroundMessageHandler);
+
     if (this.elements.newTabBtn) {
       const newTabHandler = () => this.handleNewTab();
       this.elements.newTabBtn.addEventListener('click', newTabHandler);
@@ -1127,6 +2967,23 @@ class PopupController {
       handlers.set('searchClear', { element: this.elements.searchClear, event: 'click', handler: clearHandler });
     }
 
+    if (this.elements.tabSortSelect) {
+      const sortHandler = (e) => {
+        this.tabSortMode = e.target.value;
+        this.renderTabs();
+      };
+
+      this.elements.tabSortSelect.addEventListener('change', sortHandler);
+      handlers.set('tabSort', { element: this.elements.tabSortSelect, event: 'change', handler: sortHandler });
+    }
+
+    if (this.elements.lowConfidenceFilter) {
+      const lowConfidenceHandler = () => this.toggleLowConfidenceFilter();
+
+      this.elements.lowConfidenceFilter.addEventListener('click', lowConfidenceHandler);
+      handlers.set('lowConfidenceFilter', { element: this.elements.lowConfidenceFilter, event: 'click', handler: lowConfidenceHandler });
+    }
+
     // Global keyboard shortcuts
     const keyboardHandler = (e) => this.handleKeyboardShortcuts(e);
     document.addEventListener('keydown', keyboardHandler);
@@ -1214,21 +3071,123 @@ class PopupController {
     this.filteredTabs = [...this.tabs];
     this.categories = response.data.categories || {};
     this.updateTabCount(response.data.totalCount || 0);
+
+    await this.loadRuleSuggestions();
+  }
+
+  async loadRuleSuggestions() {
+    try {
+      const suggestions = await this.settingsManager.sendMessage({ type: MESSAGE_TYPES.GET_RULE_SUGGESTIONS });
+      this.renderRuleSuggestions(suggestions || []);
+    } catch (error) {
+      console.warn('Failed to load rule suggestions:', error);
+      this.renderRuleSuggestions([]);
+    }
+  }
+
+  renderRuleSuggestions(suggestions) {
+    const container = this.elements.ruleSuggestions;
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.style.display = suggestions.length > 0 ? 'block' : 'none';
+
+    suggestions.forEach(suggestion => {
+      const category = this.settingsManager.getCategory(suggestion.category);
+
+      const card = document.createElement('div');
+      card.className = 'rule-suggestion';
+
+      const text = document.createElement('span');
+      text.className = 'rule-suggestion-text';
+      text.textContent = `You've moved ${suggestion.count} ${suggestion.domain} tabs to ${category.icon} ${category.name}. ` +
+        `Always categorize ${suggestion.domain} as ${category.name}?`;
+
+      const acceptBtn = document.createElement('button');
+      acceptBtn.className = 'btn btn-primary';
+      acceptBtn.textContent = 'Always';
+      acceptBtn.title = `Add a domain rule for ${suggestion.domain}`;
+      acceptBtn.addEventListener('click', () => this.handleAcceptSuggestion(suggestion));
+
+      const dismissBtn = document.createElement('button');
+      dismissBtn.className = 'btn btn-secondary';
+      dismissBtn.textContent = 'Dismiss';
+      dismissBtn.title = "Don't suggest this again";
+      dismissBtn.addEventListener('click', () => this.handleDismissSuggestion(suggestion));
+
+      card.appendChild(text);
+      card.appendChild(acceptBtn);
+      card.appendChild(dismissBtn);
+      container.appendChild(card);
+    });
+  }
+
+  async handleAcceptSuggestion(suggestion) {
+    const operationKey = `suggestion_${suggestion.id}`;
+    if (this.operationInProgress.has(operationKey)) return;
+
+    this.operationInProgress.add(operationKey);
+
+    try {
+      await this.settingsManager.sendMessage({
+        type: MESSAGE_TYPES.ACCEPT_RULE_SUGGESTION,
+        suggestionId: suggestion.id
+      });
+
+      const category = this.settingsManager.getCategory(suggestion.category);
+      this.notificationManager.success(`${suggestion.domain} will always go to ${category.name}`);
+
+      await this.settingsManager.loadCustomRules();
+      this.settingsManager.renderCustomRules();
+      await this.loadRuleSuggestions();
+    } catch (error) {
+      console.error('Failed to accept rule suggestion:', error);
+      this.notificationManager.error(`Failed to add rule: ${error.message}`);
+    } finally {
+      this.operationInProgress.delete(operationKey);
+    }
+  }
+
+  async handleDismissSuggestion(suggestion) {
+    try {
+      await this.settingsManager.sendMessage({
+        type: MESSAGE_TYPES.DISMISS_RULE_SUGGESTION,
+        suggestionId: suggestion.id
+      });
+      await this.loadRuleSuggestions();
+    } catch (error) {
+      console.error('Failed to dismiss rule suggestion:', error);
+      this.notificationManager.error('Failed to dismiss suggestion');
+    }
   }
 
   async loadTabsDirectly() {
     const chromeTabs = await chrome.tabs.query({});
+
+    // Categorize from the stored rules, learned model and tab assignments with the engine the background uses
+    const stored = await chrome.storage.local.get([...CATEGORIZATION_STORAGE_KEYS, 'tabs']);
+    const engine = new CategorizationEngine().configureFromStorage(stored);
+    const storedTabs = stored.tabs || {};
     
-    this.tabs = chromeTabs.map(tab => ({
-      id: tab.id,
-      title: tab.title || 'Loading...',
-      url: tab.url || '',
-      favIconUrl: tab.favIconUrl || '',
-      active: tab.active || false,
-      pinned: tab.pinned || false,
-      windowId: tab.windowId,
-      category: this.categorizeTab(tab)
-    }));
+    this.tabs = chromeTabs.map(tab => {
+      const stored = storedTabs[tab.id];
+      const assignment = engine.assignStoredTab(tab, stored);
+      return {
+        id: tab.id,
+        title: tab.title || 'Loading...',
+        url: tab.url || '',
+        favIconUrl: tab.favIconUrl || '',
+        active: tab.active || false,
+        pinned: tab.pinned || false,
+        windowId: tab.windowId,
+        category: assignment.category,
+        categorySource: assignment.source,
+        categoryLocked: assignment.locked,
+        needsReview: assignment.needsReview,
+        confidence: assignment.confidence,
+        tags: engine.resolveTabTags(assignment.ruleTags, stored)
+      };
+    });
 
     this.filteredTabs = [...this.tabs];
 
@@ -1284,50 +3243,6 @@ class PopupController {
     this.updateTabCount(this.tabs.length);
   }
 
-  categorizeTab(tab) {
-    if (!tab.url) return 'other';
-    
-    const url = tab.url.toLowerCase();
-    const title = (tab.title || '').toLowerCase();
-    
-    const customRules = this.settingsManager.getCustomRules();
-    
-    for (const [category, rules] of Object.entries(customRules)) {
-      if (rules.domains && rules.domains.some(domain => url.includes(domain))) {
-        return category;
-      }
-      
-      if (rules.keywords && rules.keywords.some(keyword => 
-        url.includes(keyword) || title.includes(keyword))) {
-        return category;
-      }
-    }
-    
-    if (url.includes('github.com') || url.includes('stackoverflow.com') || title.includes('code')) {
-      return 'development';
-    }
-    if (url.includes('youtube.com') || url.includes('netflix.com') || url.includes('spotify.com')) {
-      return 'entertainment';
-    }
-    if (url.includes('twitter.com') || url.includes('facebook.com') || url.includes('linkedin.com')) {
-      return 'social';
-    }
-    if (url.includes('docs.google.com') || url.includes('notion.so') || url.includes('trello.com')) {
-      return 'productivity';
-    }
-    if (url.includes('amazon.com') || url.includes('ebay.com') || title.includes('shop')) {
-      return 'shopping';
-    }
-    if (url.includes('news') || url.includes('cnn.com') || url.includes('bbc.com')) {
-      return 'news';
-    }
-    if (url.includes('wikipedia.org') || title.includes('tutorial')) {
-      return 'reference';
-    }
-    
-    return 'other';
-  }
-
   updateTabCount(count) {
     if (this.elements.tabCount) {
       this.elements.tabCount.textContent = count;
@@ -1395,9 +3310,13 @@ class PopupController {
       this.filteredTabs = [...this.tabs];
       console.log('Search cleared, showing all tabs');
     } else {
-      const searchTerm = query.toLowerCase().trim();
+      const { tags, text: searchTerm } = this.parseSearchQuery(query);
       
       this.filteredTabs = this.tabs.filter(tab => {
+        if (!tags.every(tag => (tab.tags || []).includes(tag))) {
+          return false;
+        }
+
         const title = (tab.title || '').toLowerCase();
         const url = (tab.url || '').toLowerCase();
         
@@ -1421,6 +3340,32 @@ class PopupController {
     }
   }
 
+  /**
+   * Split a search query into #tag filters and free text
+   */
+  parseSearchQuery(query) {
+    const tags = [];
+    const words = [];
+
+    query.toLowerCase().trim().split(/\s+/).filter(Boolean).forEach(word => {
+      if (word.startsWith('#') && word.length > 1) {
+        tags.push(word.slice(1));
+      } else {
+        words.push(word);
+      }
+    });
+
+    return { tags, text: words.join(' ') };
+  }
+
+  searchByTag(tag) {
+    if (this.elements.searchInput) {
+      this.elements.searchInput.value = `#${tag}`;
+    }
+    this.updateSearchClearButton(`#${tag}`);
+    this.handleSearch(`#${tag}`);
+  }
+
   getDomainFromUrl(url) {
     try {
       const urlObj = new URL(url);
@@ -1466,6 +3411,7 @@ class PopupController {
     console.log(`Rendering ${this.filteredTabs.length} tabs (filtered from ${this.tabs.length})`);
     
     this.elements.categoriesContainer.innerHTML = '';
+    this.updateLowConfidenceFilter();
 
     if (this.filteredTabs.length === 0) {
       if (this.currentSearchQuery) {
@@ -1476,18 +3422,36 @@ class PopupController {
       return;
     }
 
+    const visibleTabs = this.lowConfidenceOnly
+      ? this.filteredTabs.filter(tab => this.isLowConfidence(tab))
+      : this.filteredTabs;
+
+    if (visibleTabs.length === 0) {
+      this.showNoLowConfidenceState();
+      return;
+    }
+
+    // Tabs waiting for review (hybrid mode) are shown first, outside their category
+    const reviewTabs = visibleTabs.filter(tab => tab.needsReview);
+    if (reviewTabs.length > 0) {
+      this.renderCategory('needs-review', reviewTabs, { name: 'Needs review', icon: '📥' });
+    }
+
     const grouped = {};
-    this.filteredTabs.forEach(tab => {
+    visibleTabs.filter(tab => !tab.needsReview).forEach(tab => {
       const category = tab.category || 'other';
       if (!grouped[category]) grouped[category] = [];
       grouped[category].push(tab);
     });
 
-    const sortedCategories = Object.entries(grouped)
-      .sort(([,a], [,b]) => b.length - a.length);
+    // Sections follow the user's category order; sub-categories nest inside their top-level category
+    const categoryOrder = this.settingsManager.getCategories().map(category => category.id);
+    const rootCategories = [...new Set(Object.keys(grouped)
+      .map(category => this.settingsManager.getCategoryPath(category)[0].id))]
+      .sort((a, b) => this.settingsManager.compareCategoryOrder(categoryOrder, a, b));
 
-    sortedCategories.forEach(([category, categoryTabs]) => {
-      this.renderCategory(category, categoryTabs);
+    rootCategories.forEach(category => {
+      this.renderCategory(category, grouped[category] || [], undefined, grouped);
     });
 
     if (this.currentSearchQuery) {
@@ -1495,6 +3459,55 @@ class PopupController {
     }
   }
 
+  /**
+   * A tab is low confidence when the rules filed it with confidence below the review threshold;
+   * tabs the user filed or locked are never flagged
+   */
+  isLowConfidence(tab) {
+    if (typeof tab.confidence !== 'number' || tab.categoryLocked || tab.categorySource === 'manual') {
+      return false;
+    }
+
+    const threshold = this.settingsManager.settings.reviewThreshold ?? DEFAULT_SETTINGS.reviewThreshold;
+    return tab.confidence < threshold;
+  }
+
+  toggleLowConfidenceFilter() {
+    this.lowConfidenceOnly = !this.lowConfidenceOnly;
+    this.renderTabs();
+  }
+
+  updateLowConfidenceFilter() {
+    if (this.elements.lowConfidenceCount) {
+      this.elements.lowConfidenceCount.textContent = this.tabs.filter(tab => this.isLowConfidence(tab)).length;
+    }
+
+    if (this.elements.lowConfidenceFilter) {
+      this.elements.lowConfidenceFilter.classList.toggle('active', this.lowConfidenceOnly);
+      this.elements.lowConfidenceFilter.setAttribute('aria-pressed', String(this.lowConfidenceOnly));
+    }
+  }
+
+  showNoLowConfidenceState() {
+    const showAllBtn = document.createElement('button');
+    showAllBtn.className = 'btn btn-secondary';
+    showAllBtn.textContent = 'Show All Tabs';
+    showAllBtn.addEventListener('click', () => this.toggleLowConfidenceFilter());
+
+    this.elements.categoriesContainer.innerHTML = `
+      <div class="empty-state show" style="display: flex; position: relative; background: transparent;">
+        <span class="empty-icon" aria-hidden="true">✅</span>
+        <h3>No Low-Confidence Tabs</h3>
+        <p>Every tab shown was filed with confidence</p>
+      </div>
+    `;
+    this.elements.categoriesContainer.querySelector('.empty-state').appendChild(showAllBtn);
+  }
+
+  formatConfidence(confidence) {
+    return `${Math.round(confidence * 100)}%`;
+  }
+
   addSearchSummary() {
     if (!this.elements.categoriesContainer || !this.currentSearchQuery) return;
     
@@ -1512,27 +3525,40 @@ class PopupController {
     this.elements.categoriesContainer.insertBefore(summaryDiv, this.elements.categoriesContainer.firstChild);
   }
 
-  renderCategory(category, tabs) {
+  /**
+   * Draw a collapsible category section; sub-categories with tabs (from grouped) nest inside it
+   */
+  renderCategory(category, tabs, definition = this.settingsManager.getCategory(category), grouped = {},
+    container = this.elements.categoriesContainer) {
+    const childCategories = this.settingsManager.getChildCategories(category)
+      .filter(child => this.countCategoryTabs(child.id, grouped) > 0);
+    const totalCount = tabs.length + childCategories
+      .reduce((sum, child) => sum + this.countCategoryTabs(child.id, grouped), 0);
+
     const categoryDiv = document.createElement('div');
     categoryDiv.className = 'category-section';
     categoryDiv.dataset.category = category;
 
-    const icon = CATEGORY_ICONS[category] || CATEGORY_ICONS.other;
-    const categoryName = category.charAt(0).toUpperCase() + category.slice(1);
+    const icon = this.escapeHtml(definition.icon || CATEGORY_ICONS.other);
+    const categoryName = this.escapeHtml(definition.name);
 
     const headerDiv = document.createElement('div');
     headerDiv.className = 'category-header';
     headerDiv.innerHTML = `
       <div class="category-info">
-        <span class="category-icon category-${category}">${icon}</span>
+        <span class="category-icon category-${this.escapeHtml(category)}">${icon}</span>
         <span class="category-name">${categoryName}</span>
-        <span class="category-count">${tabs.length}</span>
+        <span class="category-count">${totalCount}</span>
       </div>
       <svg class="category-toggle" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
         <path d="M6 9l6 6 6-6"/>
       </svg>
     `;
 
+    if (definition.color) {
+      headerDiv.querySelector('.category-icon').style.background = definition.color;
+    }
+
     headerDiv.addEventListener('click', () => {
       const tabList = categoryDiv.querySelector('.tab-list');
       if (tabList) {
@@ -1543,15 +3569,30 @@ class PopupController {
 
     const tabListDiv = document.createElement('div');
     tabListDiv.className = 'tab-list';
+
+    // Unscored tabs (filed or locked by the user) go last when sorting by confidence
+    const sortedTabs = this.tabSortMode === 'confidence'
+      ? [...tabs].sort((a, b) => (a.confidence ?? Infinity) - (b.confidence ?? Infinity))
+      : tabs;
     
-    tabs.forEach(tab => {
+    sortedTabs.forEach(tab => {
       const tabElement = this.createTabElement(tab);
       tabListDiv.appendChild(tabElement);
     });
 
+    // Sub-categories live inside the tab list so they collapse with their parent
+    childCategories.forEach(child => {
+      this.renderCategory(child.id, grouped[child.id] || [], child, grouped, tabListDiv);
+    });
+
     categoryDiv.appendChild(headerDiv);
     categoryDiv.appendChild(tabListDiv);
-    this.elements.categoriesContainer.appendChild(categoryDiv);
+    container.appendChild(categoryDiv);
+  }
+
+  countCategoryTabs(category, grouped) {
+    return (grouped[category]?.length || 0) + this.settingsManager.getChildCategories(category)
+      .reduce((sum, child) => sum + this.countCategoryTabs(child.id, grouped), 0);
   }
 
   createTabElement(tab) {
@@ -1563,8 +3604,8 @@ class PopupController {
     let title = this.escapeHtml(tab.title || 'Loading...');
     let url = this.escapeHtml(this.formatUrl(tab.url));
 
-    if (this.currentSearchQuery) {
-      const query = this.currentSearchQuery.toLowerCase();
+    const query = this.currentSearchQuery ? this.parseSearchQuery(this.currentSearchQuery).text : '';
+    if (query) {
       const titleLower = title.toLowerCase();
       const urlLower = url.toLowerCase();
       
@@ -1589,11 +3630,36 @@ class PopupController {
 
     const tabInfo = document.createElement('div');
     tabInfo.className = 'tab-info';
+    let confidenceBadge = '';
+    if (this.isLowConfidence(tab)) {
+      const runnerUp = tab.runnerUpCategory ? this.settingsManager.getCategory(tab.runnerUpCategory) : null;
+      const badgeTitle = `Low confidence (${this.formatConfidence(tab.confidence)})` +
+        (runnerUp ? ` · runner-up: ${runnerUp.name}` : '');
+      confidenceBadge = `<span class="tab-confidence" title="${this.escapeHtml(badgeTitle)}">${this.formatConfidence(tab.confidence)}</span>`;
+    }
+
     tabInfo.innerHTML = `
-      <div class="tab-title">${title}</div>
+      <div class="tab-title">${tab.categoryLocked ? '<span class="tab-lock" title="Category locked">🔒</span>' : ''}${confidenceBadge}${title}</div>
       <div class="tab-url">${url}</div>
     `;
 
+    if (tab.tags?.length > 0) {
+      const tagList = document.createElement('div');
+      tagList.className = 'tab-tags';
+      tab.tags.forEach(tag => {
+        const chip = document.createElement('button');
+        chip.className = 'tab-tag';
+        chip.textContent = `#${tag}`;
+        chip.title = `Show tabs tagged #${tag}`;
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.searchByTag(tag);
+        });
+        tagList.appendChild(chip);
+      });
+      tabInfo.appendChild(tagList);
+    }
+
     const tabActions = document.createElement('div');
     tabActions.className = 'tab-actions';
 
@@ -1611,6 +3677,21 @@ class PopupController {
       this.focusTab(tab.id);
     });
 
+    const explainBtn = document.createElement('button');
+    explainBtn.className = 'tab-action';
+    explainBtn.title = 'Why is this tab here?';
+    explainBtn.innerHTML = `
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"/>
+        <line x1="12" y1="16" x2="12" y2="12"/>
+        <line x1="12" y1="8" x2="12.01" y2="8"/>
+      </svg>
+    `;
+    explainBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.openTabDetail(tab);
+    });
+
     const closeBtn = document.createElement('button');
     closeBtn.className = 'tab-action';
     closeBtn.title = 'Close Tab';
@@ -1625,6 +3706,21 @@ class PopupController {
       this.closeTab(tab.id);
     });
 
+    // Review tabs can be filed into the suggested category with one click
+    if (tab.needsReview && tab.suggestedCategory) {
+      const suggestion = this.settingsManager.getCategory(tab.suggestedCategory);
+      const fileBtn = document.createElement('button');
+      fileBtn.className = 'tab-action tab-file';
+      fileBtn.title = `File under ${suggestion.name}`;
+      fileBtn.textContent = suggestion.icon || CATEGORY_ICONS.other;
+      fileBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.fileTab(tab, tab.suggestedCategory);
+      });
+      tabActions.appendChild(fileBtn);
+    }
+
+    tabActions.appendChild(explainBtn);
     tabActions.appendChild(focusBtn);
     tabActions.appendChild(closeBtn);
 
@@ -1709,6 +3805,49 @@ class PopupController {
     }
   }
 
+  async handleBackgroundEvent({ eventType, data }) {
+    if (eventType === MESSAGE_TYPES.TABS_RECATEGORIZED) {
+      const count = data?.changes?.length || 0;
+      await this.handleCategoriesChanged({ reloadTabs: true });
+
+      if (count > 0 && this.initialized) {
+        this.notificationManager.info(`${count} ${count === 1 ? 'tab' : 'tabs'} re-categorized by the updated rules`);
+      }
+    }
+  }
+
+  async handleCategoriesChanged({ reloadTabs = false } = {}) {
+    this.renderProfileSelect();
+
+    if (reloadTabs) {
+      await this.loadInitialData();
+    }
+
+    if (this.currentSearchQuery) {
+      this.handleSearch(this.currentSearchQuery);
+    } else {
+      this.renderTabs();
+    }
+  }
+
+  renderProfileSelect() {
+    const select = this.elements.profileSelect;
+    if (!select) return;
+
+    const profiles = this.settingsManager.profiles;
+    select.innerHTML = '';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = `${profile.icon} ${profile.name}`;
+      option.selected = profile.active;
+      select.appendChild(option);
+    });
+
+    // A single profile leaves nothing to switch to
+    select.hidden = profiles.length < 2;
+  }
+
   async handleNewTab() {
     try {
       await chrome.tabs.create({});
@@ -1799,6 +3938,12 @@ class PopupController {
   }
 
   closeSettings() {
+    // Closing the panel abandons an unconfirmed rule change
+    this.settingsManager.hideRulePreview(false);
+
+    // The review threshold decides which tabs are flagged as low confidence
+    this.renderTabs();
+
     if (this.elements.settingsPanel) {
       this.elements.settingsPanel.classList.remove('show');
       setTimeout(() => {
@@ -1811,6 +3956,339 @@ class PopupController {
     }
   }
 
+  async openTabDetail(tab) {
+    if (!this.elements.tabDetailPanel || !this.elements.tabDetailContent) return;
+
+    this.elements.tabDetailContent.innerHTML = `
+      <div class="tab-detail-loading">Loading explanation...</div>
+    `;
+    this.elements.tabDetailPanel.style.display = 'flex';
+    setTimeout(() => this.elements.tabDetailPanel.classList.add('show'), 10);
+
+    try {
+      const explanation = await this.settingsManager.sendMessage({
+        type: MESSAGE_TYPES.EXPLAIN_CATEGORY,
+        tabId: tab.id,
+        tab
+      });
+      this.renderTabDetail(explanation);
+    } catch (error) {
+      console.error('Failed to explain category:', error);
+      this.elements.tabDetailContent.innerHTML = `
+        <div class="tab-detail-loading">Explanation unavailable: ${this.escapeHtml(error.message)}</div>
+      `;
+    }
+  }
+
+  renderTabDetail(explanation) {
+    const container = this.elements.tabDetailContent;
+    const category = this.settingsManager.getCategory(explanation.category);
+    const predicted = this.settingsManager.getCategory(explanation.predictedCategory);
+    const scored = explanation.scores.filter(entry => entry.score > 0);
+    const unscoredCount = explanation.scores.length - scored.length;
+    const maxScore = Math.max(explanation.threshold, ...scored.map(entry => Math.max(entry.score, entry.threshold ?? 0)));
+
+    container.innerHTML = `
+      <div class="tab-detail-summary">
+        <div class="tab-title">${this.escapeHtml(explanation.title)}</div>
+        <div class="tab-url">${this.escapeHtml(explanation.url)}</div>
+        <div class="tab-detail-category">
+          In <strong>${this.escapeHtml(category.icon)} ${this.escapeHtml(this.settingsManager.getCategoryLabel(category.id))}</strong>
+          ${explanation.keptExisting && explanation.category !== explanation.predictedCategory
+            ? `· rules now suggest <strong>${this.escapeHtml(predicted.icon)} ${this.escapeHtml(predicted.name)}</strong>`
+            : ''}
+        </div>
+        <div class="tab-detail-source">
+          ${this.escapeHtml(CATEGORY_SOURCE_LABELS[explanation.source] || CATEGORY_SOURCE_LABELS.rule)}${explanation.locked ? ' · 🔒 Locked' : ''}
+        </div>
+        <div class="tab-detail-confidence">
+          Confidence ${this.formatConfidence(explanation.confidence)}${explanation.runnerUpCategory
+            ? ` · runner-up ${this.escapeHtml(this.settingsManager.getCategory(explanation.runnerUpCategory).name)}`
+            : ''}
+        </div>
+        <div class="setting-description">${this.escapeHtml(explanation.reason)}</div>
+      </div>
+    `;
+
+    container.appendChild(this.createMoveForm(explanation));
+    container.appendChild(this.createTagEditor(explanation));
+
+    const list = document.createElement('div');
+    list.className = 'score-list';
+
+    scored.forEach(entry => {
+      list.appendChild(this.createScoreRow(entry, maxScore, explanation));
+    });
+
+    if (unscoredCount > 0) {
+      const note = document.createElement('div');
+      note.className = 'setting-description';
+      note.textContent = `${unscoredCount} ${unscoredCount === 1 ? 'category' : 'categories'} scored 0`;
+      list.appendChild(note);
+    }
+
+    container.appendChild(list);
+  }
+
+  createScoreRow(entry, maxScore, explanation) {
+    const definition = this.settingsManager.getCategory(entry.category);
+    const row = document.createElement('div');
+    row.className = 'score-row';
+    if (entry.category === explanation.predictedCategory) {
+      row.classList.add('score-row-winner');
+    }
+
+    // Each category may have its own minimum score
+    const threshold = entry.threshold ?? explanation.threshold;
+    const thresholdPercent = (threshold / maxScore) * 100;
+    row.innerHTML = `
+      <div class="score-row-header">
+        <span>${this.escapeHtml(definition.icon)} ${this.escapeHtml(this.settingsManager.getCategoryLabel(entry.category))}</span>
+        <span class="score-value">${entry.score.toFixed(2)}</span>
+      </div>
+      <div class="score-bar">
+        <div class="score-bar-fill" style="width: ${(entry.score / maxScore) * 100}%"></div>
+        <div class="score-bar-threshold" style="left: ${thresholdPercent}%" title="Threshold ${threshold}"></div>
+      </div>
+    `;
+
+    const details = document.createElement('ul');
+    details.className = 'score-details';
+
+    const addDetail = (points, label) => {
+      if (points <= 0) return;
+      const item = document.createElement('li');
+      item.textContent = `+${points.toFixed(2)} ${label}`;
+      details.appendChild(item);
+    };
+
+    const scheduled = (match) => match.scheduled ? ' 🕒' : '';
+    addDetail(entry.domains.points, `domain: ${entry.domains.matched
+      .map(match => `${match.value} (${match.mode})${scheduled(match)}`).join(', ')}`);
+    addDetail(entry.patterns.points, `pattern: ${entry.patterns.matched
+      .map(match => `${match.value}${scheduled(match)}`).join(', ')}`);
+    if (entry.expressions) {
+      addDetail(entry.expressions.points, `expression: ${entry.expressions.matched
+        .map(match => `${match.value}${scheduled(match)}`).join('; ')}`);
+    }
+    addDetail(entry.keywords.points, `keywords: ${entry.keywords.matched
+      .map(match => `${match.value} (${[match.inTitle && 'title', match.inUrl && 'url', match.inMetadata && 'page'].filter(Boolean).join('+')})${scheduled(match)}`)
+      .join(', ')}`);
+    if (entry.metadata) {
+      const fieldLabels = { ogType: 'page type', jsonLdType: 'structured data', generator: 'generator' };
+      addDetail(entry.metadata.points, `page metadata: ${entry.metadata.matched
+        .map(match => `${match.value} (${fieldLabels[match.field]})`).join(', ')}`);
+    }
+    (entry.exclusions?.matched || []).forEach(match => {
+      const item = document.createElement('li');
+      item.className = 'score-detail-negative';
+      item.textContent = match.exclude
+        ? `excluded by ${match.type}: ${match.value}${scheduled(match)}`
+        : `${match.weight.toFixed(2)} ${match.type}: ${match.value}${scheduled(match)}`;
+      details.appendChild(item);
+    });
+    if (entry.inherited) {
+      addDetail(entry.inherited.points, `inherited from ${entry.inherited.from
+        .map(id => this.settingsManager.getCategory(id).name).join(', ')}`);
+    }
+    addDetail(entry.boosts.accessCount, 'frequently accessed');
+    addDetail(entry.boosts.recency, 'accessed in the last hour');
+    if (entry.learned) {
+      addDetail(entry.learned.points, `learned from your corrections (${Math.round(entry.learned.probability * 100)}%` +
+        `${entry.learned.capped ? ', capped by your rules' : ''})`);
+    }
+
+    row.appendChild(details);
+    return row;
+  }
+
+  createMoveForm(explanation) {
+    const form = document.createElement('div');
+    form.className = 'add-rule-form tab-detail-move';
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Move to category');
+    this.settingsManager.getCategoriesInTreeOrder().forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = `${category.icon} ${this.settingsManager.getCategoryLabel(category.id)}`;
+      option.selected = category.id === explanation.category;
+      select.appendChild(option);
+    });
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-primary';
+    button.textContent = 'Move';
+    button.title = 'Move this tab; similar tabs will learn from the correction';
+    button.addEventListener('click', () => this.handleMoveTab(explanation, select.value));
+
+    const lockButton = document.createElement('button');
+    lockButton.className = 'btn btn-secondary';
+    lockButton.textContent = explanation.locked ? '🔓 Unlock' : '🔒 Lock';
+    lockButton.title = explanation.locked
+      ? 'Let the rules re-categorize this tab again'
+      : 'Keep this tab in its category when the rules change';
+    lockButton.addEventListener('click', () => this.handleToggleLock(explanation));
+
+    form.appendChild(select);
+    form.appendChild(button);
+    form.appendChild(lockButton);
+    return form;
+  }
+
+  createTagEditor(explanation) {
+    const editor = document.createElement('div');
+    editor.className = 'tab-detail-tags';
+
+    const chips = document.createElement('div');
+    chips.className = 'tab-tags';
+    explanation.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tab-tag';
+      chip.textContent = `#${tag}`;
+      if (explanation.ruleTags.includes(tag)) {
+        chip.title = 'Added by a rule';
+      }
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'tab-tag-remove';
+      removeBtn.textContent = '×';
+      removeBtn.title = `Remove #${tag}`;
+      removeBtn.addEventListener('click', () => this.handleUpdateTags(explanation, { remove: [tag] }));
+
+      chip.appendChild(removeBtn);
+      chips.appendChild(chip);
+    });
+
+    const form = document.createElement('div');
+    form.className = 'add-rule-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Add tags (comma separated)';
+    input.setAttribute('aria-label', 'Add tags');
+
+    const addTags = () => {
+      const tags = this.settingsManager.parseTagList(input.value);
+      if (tags.length > 0) {
+        this.handleUpdateTags(explanation, { add: tags });
+      }
+    };
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = 'Add';
+    button.addEventListener('click', addTags);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        addTags();
+      }
+    });
+
+    form.appendChild(input);
+    form.appendChild(button);
+    editor.appendChild(chips);
+    editor.appendChild(form);
+    return editor;
+  }
+
+  async handleUpdateTags(explanation, { add = [], remove = [] }) {
+    try {
+      await this.settingsManager.sendMessage({
+        type: MESSAGE_TYPES.UPDATE_TAB_TAGS,
+        tabId: explanation.tabId,
+        add,
+        remove
+      });
+
+      await this.handleCategoriesChanged({ reloadTabs: true });
+      await this.openTabDetail({ id: explanation.tabId, title: explanation.title, url: explanation.url });
+    } catch (error) {
+      console.error('Failed to update tags:', error);
+      this.notificationManager.error(`Failed to update tags: ${error.message}`);
+    }
+  }
+
+  async handleToggleLock(explanation) {
+    try {
+      const { change } = await this.settingsManager.sendMessage({
+        type: MESSAGE_TYPES.SET_CATEGORY_LOCK,
+        tabId: explanation.tabId,
+        locked: !explanation.locked
+      });
+
+      if (explanation.locked && change) {
+        const definition = this.settingsManager.getCategory(change.to);
+        this.notificationManager.success(`Unlocked; the rules moved it to ${definition.name}`);
+      } else {
+        this.notificationManager.success(explanation.locked ? 'Category unlocked' : 'Category locked');
+      }
+
+      await this.handleCategoriesChanged({ reloadTabs: true });
+      await this.openTabDetail({ id: explanation.tabId, title: explanation.title, url: explanation.url });
+    } catch (error) {
+      console.error('Failed to toggle category lock:', error);
+      this.notificationManager.error(`Failed to update lock: ${error.message}`);
+    }
+  }
+
+  async handleMoveTab(explanation, category) {
+    // Unfiled tabs sit in "Other", so filing them there is still a move
+    if (category === explanation.category && explanation.source !== 'unfiled') return;
+
+    try {
+      const { movedCount } = await this.settingsManager.sendMessage({
+        type: MESSAGE_TYPES.MOVE_TABS,
+        tabIds: [explanation.tabId],
+        category
+      });
+
+      if (movedCount === 0) {
+        throw new Error('Tab is no longer tracked');
+      }
+
+      const definition = this.settingsManager.getCategory(category);
+      this.notificationManager.success(`Moved to ${definition.name}`);
+
+      await this.handleCategoriesChanged({ reloadTabs: true });
+      await this.openTabDetail({ id: explanation.tabId, title: explanation.title, url: explanation.url });
+    } catch (error) {
+      console.error('Failed to move tab:', error);
+      this.notificationManager.error(`Failed to move tab: ${error.message}`);
+    }
+  }
+
+  async fileTab(tab, category) {
+    try {
+      const { movedCount } = await this.settingsManager.sendMessage({
+        type: MESSAGE_TYPES.MOVE_TABS,
+        tabIds: [tab.id],
+        category
+      });
+
+      if (movedCount === 0) {
+        throw new Error('Tab is no longer tracked');
+      }
+
+      const definition = this.settingsManager.getCategory(category);
+      this.notificationManager.success(`Filed under ${definition.name}`);
+
+      await this.handleCategoriesChanged({ reloadTabs: true });
+    } catch (error) {
+      console.error('Failed to file tab:', error);
+      this.notificationManager.error(`Failed to file tab: ${error.message}`);
+    }
+  }
+
+  closeTabDetail() {
+    if(this.elements.tabDetailPanel) {
+      this.elements.tabDetailPanel.classList.remove('show');
+      setTimeout(() => {
+        this.elements.tabDetailPanel.style.display = 'none';
+      }, 300);
+    }
+  }
+
   handleInitializationError(error) {
     console.error('Initialization error:', error);
     
@@ -1837,6 +4315,11 @@ class PopupController {
       }
       this.eventHandlers.clear();
 
+      if (this.backgroundMessageHandler) {
+        chrome.runtime.onMessage.removeListener(this.backgroundMessageHandler);
+        this.backgroundMessageHandler = null;
+      }
+
       if (this.notificationManager) {
         this.notificationManager.destroy();
       }